@@ -0,0 +1,94 @@
+// Talk to the dialog engine in the terminal: `npm run chat [-- options]`
+// Prints each reply as text with numbered quick replies; type a number to pick one, anything else to send it
+// (/help lists the commands). For debugging routing and replaying reported conversations.
+//   --lang <code>            conversation language (default en, or the replayed fixture's)
+//   --domains <a,b>          only offer these domains, like the embeddable widget's `domains` attribute
+//   --nlu <regex|bayes>      NLU provider (default regex)
+//   --kb <file.json>         use another knowledge base (e.g. a draft export from #/admin)
+//   --flow <file.json>       use another dialog flow (checked first, see src/utils/dialogFlow.js)
+//   --trace                  print the routing line (step, domain, needs, ...) after each turn
+//   --replay <file>          play a conversation first, then carry on by hand: a conversation fixture
+//                            (.yaml / .json, see tests/conversationRunner.js) or a text file with one input per line
+import { readFileSync } from "node:fs";
+import readline from "node:readline";
+import YAML from "yaml";
+import {
+  createTextChat, setKnowledgeBase, setDialogFlow, loadNluProvider, setNluProvider, DOMAIN
+} from "../src/engine.js";
+
+const args = process.argv.slice(2);
+const option = name => {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 ? args[i + 1] : undefined;
+};
+
+function fail(message) {
+  console.error(`chat: ${message}`);
+  process.exit(2);
+}
+
+function readFile(path, parse = x => x) {
+  try {
+    return parse(readFileSync(path, "utf8"));
+  } catch (e) {
+    fail(`cannot read ${path}: ${e.message}`);
+  }
+}
+
+// Fixture turns ({ user } / { chip } / { action }), or lines typed as they are
+function readReplay(path) {
+  if (/\.(ya?ml|json)$/.test(path)) {
+    const fixture = readFile(path, raw => (path.endsWith(".json") ? JSON.parse(raw) : YAML.parse(raw)));
+    return { lang: fixture.lang, turns: fixture.turns || [] };
+  }
+  const lines = readFile(path).split(/\r?\n/).map(x => x.trim()).filter(x => x && !x.startsWith("#"));
+  return { lang: undefined, turns: lines.map(line => ({ line })) };
+}
+
+function turnLabel(turn) {
+  if (turn.line != null) return turn.line;
+  if (turn.user != null) return turn.user;
+  if (turn.chip) return `[${turn.chip}]`;
+  return JSON.stringify(turn.action);
+}
+
+const replay = option("replay") ? readReplay(option("replay")) : null;
+
+if (option("kb")) setKnowledgeBase(readFile(option("kb"), JSON.parse));
+if (option("flow")) {
+  try {
+    setDialogFlow(readFile(option("flow"), JSON.parse));
+  } catch (e) {
+    fail(e.message);
+  }
+}
+if (option("nlu")) {
+  try {
+    setNluProvider(await loadNluProvider(option("nlu")));
+  } catch (e) {
+    fail(e.message);
+  }
+}
+
+const domainIds = DOMAIN.map(d => d.id);
+const allowedDomains = option("domains") ? option("domains").split(",").map(x => x.trim()).filter(Boolean) : null;
+const unknown = (allowedDomains || []).filter(id => !domainIds.includes(id));
+if (unknown.length) fail(`unknown domain(s) ${unknown.join(", ")} (expected ${domainIds.join(", ")})`);
+
+const chat = createTextChat({ lang: option("lang") || replay?.lang || "en", allowedDomains, trace: args.includes("--trace") });
+console.log(chat.start());
+
+for (const turn of replay?.turns || []) {
+  console.log(`\n> ${turnLabel(turn)}\n`);
+  console.log(turn.line != null ? chat.input(turn.line) : chat.turn(turn));
+}
+
+const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: "\n> " });
+rl.prompt();
+rl.on("line", line => {
+  const input = line.trim();
+  if (input === "/quit" || input === "/exit") return rl.close();
+  if (input) console.log(`\n${chat.input(input)}`);
+  rl.prompt();
+});
+rl.on("close", () => console.log(""));
@@ -0,0 +1,42 @@
+// KB linter for content editors: `npm run kb:check [path/to/kb.json] [--strict]`
+// Validates the knowledge base against src/data/sg_services_kb.schema.json and the content rules in kbCheck.js.
+// Exit code 1 when there are errors (or warnings with --strict), so it can gate CI.
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { checkKb, describePath } from "../src/utils/kbCheck.js";
+import { DOMAIN } from "../src/utils/domains.js";
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+const args = process.argv.slice(2);
+const strict = args.includes("--strict");
+const kbPath = args.find(a => !a.startsWith("--")) || `${root}src/data/sg_services_kb.json`;
+const schemaPath = `${root}src/data/sg_services_kb.schema.json`;
+
+function readJson(path) {
+  try {
+    return JSON.parse(readFileSync(path, "utf8"));
+  } catch (e) {
+    console.error(`kb:check: cannot read ${path}: ${e.message}`);
+    process.exit(2);
+  }
+}
+
+const kb = readJson(kbPath);
+const schema = readJson(schemaPath);
+const { errors, warnings } = checkKb(kb, { schema, categories: DOMAIN.map(d => d.cat) });
+
+const print = (label, list) => {
+  if (!list.length) return;
+  console.log(`\n${label} (${list.length})`);
+  list.forEach(x => console.log(`  ${describePath(kb, x.path)}: ${x.message}`));
+};
+
+console.log(`kb:check ${kbPath}`);
+console.log(`  ${kb.schemes?.length ?? 0} schemes, ${kb.entry_points?.length ?? 0} entry points, last updated ${kb.meta?.last_updated ?? "?"}`);
+print("Errors", errors);
+print("Warnings", warnings);
+
+if (!errors.length && !warnings.length) console.log("\nOK: no issues found");
+else console.log(`\n${errors.length} error(s), ${warnings.length} warning(s)`);
+
+process.exit(errors.length || (strict && warnings.length) ? 1 : 0);
@@ -0,0 +1,71 @@
+// Train the NLU classifier: `npm run nlu:train [--check]`
+// Learns from the labelled utterances in src/data/nlu_utterances.json plus each KB scheme's name, summary and
+// keywords (labelled with the domain that covers its category), reports cross-validated accuracy on the
+// utterances, and writes the model the app bundles (src/data/nlu_model.json).
+// --check: don't write, exit 1 if the bundled model is out of date (for CI).
+import { readFileSync, writeFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { trainNaiveBayes, predictLabels, kbTrainingExamples } from "../src/utils/nluBayes.js";
+import { DOMAIN } from "../src/utils/domains.js";
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+const dataPath = `${root}src/data/nlu_utterances.json`;
+const modelPath = `${root}src/data/nlu_model.json`;
+const kbPath = `${root}src/data/sg_services_kb.json`;
+const FOLDS = 5;
+
+const check = process.argv.includes("--check");
+const { utterances } = JSON.parse(readFileSync(dataPath, "utf8"));
+const kb = JSON.parse(readFileSync(kbPath, "utf8"));
+
+// KB text as extra training examples: how schemes describe themselves is how people often ask for them
+const kbExamples = kbTrainingExamples(kb, DOMAIN);
+
+// k-fold over the utterances (the KB examples are always in training): every utterance is
+// predicted by a model that never saw it
+function crossValidate(items, extra, folds) {
+  const misses = [];
+  const perLabel = new Map();
+  for (let k = 0; k < folds; k++) {
+    const train = items.filter((_, i) => i % folds !== k);
+    const test = items.filter((_, i) => i % folds === k);
+    const fold = trainNaiveBayes([...train, ...extra]);
+    for (const u of test) {
+      const got = predictLabels(fold, u.text)[0]?.label || "none";
+      const row = perLabel.get(u.label) || { ok: 0, n: 0 };
+      row.n += 1;
+      if (got === u.label) row.ok += 1;
+      else misses.push({ ...u, got });
+      perLabel.set(u.label, row);
+    }
+  }
+  return { accuracy: 1 - misses.length / items.length, perLabel, misses };
+}
+
+const pct = x => `${(x * 100).toFixed(1)}%`;
+const cv = crossValidate(utterances, kbExamples, FOLDS);
+console.log(`nlu:train ${utterances.length} utterances + ${kbExamples.length} KB examples, ${new Set(utterances.map(u => u.label)).size} labels`);
+console.log(`  ${FOLDS}-fold accuracy ${pct(cv.accuracy)}`);
+for (const [label, { ok, n }] of [...cv.perLabel.entries()].sort()) console.log(`    ${label.padEnd(12)} ${pct(ok / n)} (${ok}/${n})`);
+if (cv.misses.length) {
+  console.log(`  Misclassified (${cv.misses.length}):`);
+  cv.misses.forEach(m => console.log(`    [${m.lang}] ${m.text}: ${m.label} -> ${m.got}`));
+}
+
+const json = JSON.stringify(trainNaiveBayes([...utterances, ...kbExamples])) + "\n";
+if (check) {
+  let current = "";
+  try {
+    current = readFileSync(modelPath, "utf8");
+  } catch {
+    // missing model counts as out of date
+  }
+  if (current !== json) {
+    console.error("\nsrc/data/nlu_model.json is out of date: run npm run nlu:train");
+    process.exit(1);
+  }
+  console.log("\nOK: model is up to date");
+} else {
+  writeFileSync(modelPath, json);
+  console.log(`\nWrote ${modelPath}`);
+}
@@ -0,0 +1,45 @@
+// Vite plugin: builds the service worker (src/serviceWorker.js) into dist/sw.js
+// - Precache list = every file in the build output (content-hashed assets, index.html, manifest, icons)
+// - Cache version = hash of that list, so each deploy installs a fresh cache and drops the old one
+// - Build only: in dev there is no service worker (see src/utils/pwa.js)
+import { createHash } from "node:crypto";
+import { readdirSync, readFileSync, writeFileSync } from "node:fs";
+import { join, relative, resolve, sep } from "node:path";
+
+const SW_FILE = "sw.js";
+
+// Not worth caching for offline use
+const SKIP = [/\.map$/, /^\.vite\//];
+
+function listFiles(dir, root = dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const full = join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(full, root);
+    return [relative(root, full).split(sep).join("/")];
+  });
+}
+
+export default function serviceWorkerPlugin({ src = "src/serviceWorker.js" } = {}) {
+  let outDir;
+  let swSource;
+
+  return {
+    name: "sga-service-worker",
+    apply: "build",
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir);
+      swSource = resolve(config.root, src);
+    },
+    closeBundle() {
+      const files = listFiles(outDir)
+        .filter(f => f !== SW_FILE && !SKIP.some(re => re.test(f)))
+        .sort();
+      const version = createHash("sha256").update(files.join("\n")).digest("hex").slice(0, 12);
+
+      const header =
+        `self.__PRECACHE_MANIFEST__ = ${JSON.stringify(files)};\n` +
+        `self.__PRECACHE_VERSION__ = ${JSON.stringify(version)};\n\n`;
+      writeFileSync(join(outDir, SW_FILE), header + readFileSync(swSource, "utf8"));
+    }
+  };
+}
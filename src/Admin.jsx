@@ -0,0 +1,616 @@
+// KB editor for content maintainers (open with #/admin)
+// - No backend: edits are kept as a draft on this device; import / export the KB as a JSON file
+// - Records are validated live with the same rules as `npm run kb:check`
+// - Preview renders the record exactly like the chat's SchemeCard, in English and Chinese
+// - Safety trigger log of this device, for reviewing data/safety_lexicon.json
+import React, { useEffect, useMemo, useState } from "react";
+import "./App.css";
+import "./Admin.css";
+
+import bundledKb from "./data/sg_services_kb.json" with { type: "json" };
+import kbSchema from "./data/sg_services_kb.schema.json" with { type: "json" };
+import { DOMAIN } from "./utils/domains";
+import { checkKb, describePath } from "./utils/kbCheck";
+import { previewCard } from "./utils/dialogEngine";
+import { SchemeCard } from "./components/SchemeCard";
+import { loadSafetyLog, summarizeSafetyLog, clearSafetyLog } from "./utils/safety";
+import { STORAGE_KEYS, deviceStorage } from "./utils/storage";
+
+const DRAFT_KEY = STORAGE_KEYS.adminDraft;
+const CATEGORIES = DOMAIN.map((d) => d.cat);
+const PREVIEW_LANGS = ["en", "zh"];
+
+const LISTS = {
+    schemes: { label: "Schemes", kind: "scheme" },
+    entry_points: { label: "Entry points", kind: "entry_point" }
+};
+
+// Localised fields, edited side by side (EN | ZH). List fields are one item per line.
+const SCHEME_FIELDS = [
+    { field: "name", label: "Name" },
+    { field: "summary", label: "Summary", multiline: true },
+    { field: "keywords", label: "Keywords", list: true },
+    { field: "eligibility", label: "Eligibility", list: true },
+    { field: "how_to_apply", label: "How to apply (steps)", list: true },
+    { field: "docs_to_prepare", label: "Documents to prepare", list: true, optional: true }
+];
+const ENTRY_POINT_FIELDS = [{ field: "name", label: "Name" }];
+
+// Language-neutral list fields
+const SCHEME_LINKS = [
+    { field: "official_links", label: "Official links (shown to users)" },
+    { field: "sources", label: "Sources (every official link must be listed here too)" },
+    { field: "related", label: "Related scheme ids", optional: true }
+];
+const ENTRY_POINT_LINKS = [
+    { field: "links", label: "Links" },
+    { field: "sources", label: "Sources" }
+];
+
+function emptyScheme() {
+    return {
+        id: "",
+        category: CATEGORIES[0],
+        name_en: "",
+        name_zh: "",
+        summary_en: "",
+        summary_zh: "",
+        keywords_en: [],
+        keywords_zh: [],
+        eligibility_en: [],
+        eligibility_zh: [],
+        how_to_apply_en: [],
+        how_to_apply_zh: [],
+        official_links: [],
+        sources: []
+    };
+}
+
+function emptyEntryPoint() {
+    return { id: "", name_en: "", name_zh: "", links: [], sources: [] };
+}
+
+function loadDraft() {
+    try {
+        const draft = JSON.parse(deviceStorage()?.getItem(DRAFT_KEY) || "null");
+        if (draft && Array.isArray(draft.schemes) && Array.isArray(draft.entry_points)) return draft;
+    } catch {
+        // fall back to the bundled KB
+    }
+    return structuredClone(bundledKb);
+}
+
+function saveDraft(draft) {
+    try {
+        deviceStorage()?.setItem(DRAFT_KEY, JSON.stringify(draft));
+    } catch {
+        // quota exceeded / storage disabled: the draft lives until the tab closes
+    }
+}
+
+function downloadJson(data, filename) {
+    const blob = new Blob([JSON.stringify(data, null, 2) + "\n"], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function todayIso() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+// Set or drop a field: optional fields are removed when empty, so the exported JSON stays clean
+function withField(record, field, value, optional = false) {
+    const next = { ...record };
+    const empty = Array.isArray(value) ? !value.length : value === "" || value == null;
+    if (empty && optional) delete next[field];
+    else next[field] = value;
+    return next;
+}
+
+function Issues({ issues, kb }) {
+    if (!issues.length) return null;
+    return (
+        <ul className="adminIssues">
+            {issues.map((x, i) => (
+                <li key={i} className={x.level}>
+                    <strong>{x.level === "error" ? "Error" : "Warning"}</strong> {describePath(kb, x.path)}: {x.message}
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+function FieldIssues({ issues }) {
+    if (!issues.length) return null;
+    return (
+        <div className="formError">
+            {issues.map((x) => x.message).join(" · ")}
+        </div>
+    );
+}
+
+// Textarea for a list (one item per line). Keeps its own text so blank lines can be typed.
+function ListInput({ value, onChange, rows = 4, lang, label }) {
+    const [text, setText] = useState(() => (value || []).join("\n"));
+    return (
+        <textarea
+            className="input textarea"
+            rows={rows}
+            lang={lang}
+            aria-label={label}
+            value={text}
+            onChange={(e) => {
+                setText(e.target.value);
+                onChange(e.target.value.split("\n").map((x) => x.trim()).filter(Boolean));
+            }}
+        />
+    );
+}
+
+// Eligibility rules (used by the pre-screener) are edited as JSON
+function RulesInput({ value, onChange }) {
+    const [text, setText] = useState(() => (value?.length ? JSON.stringify(value, null, 2) : ""));
+    const [error, setError] = useState("");
+    return (
+        <>
+            <textarea
+                className="input textarea mono"
+                rows={5}
+                aria-label="Eligibility rules (JSON)"
+                value={text}
+                placeholder='[{ "field": "citizenship", "in": ["citizen", "pr"] }]'
+                onChange={(e) => {
+                    setText(e.target.value);
+                    if (!e.target.value.trim()) {
+                        setError("");
+                        onChange([]);
+                        return;
+                    }
+                    try {
+                        const rules = JSON.parse(e.target.value);
+                        setError(Array.isArray(rules) ? "" : "Rules must be a JSON array.");
+                        if (Array.isArray(rules)) onChange(rules);
+                    } catch (err) {
+                        setError(`Not valid JSON yet: ${err.message}`);
+                    }
+                }}
+            />
+            {error ? <div className="formError">{error}</div> : null}
+        </>
+    );
+}
+
+function RecordEditor({ kind, record, issues, onChange }) {
+    const isScheme = kind === "scheme";
+    const prefix = (field) => issues.filter((x) => x.field === field || x.field.startsWith(`${field}[`));
+    const set = (field, value, optional) => onChange(withField(record, field, value, optional));
+
+    return (
+        <div className="adminForm">
+            <div className="adminRow">
+                <label className="formField">
+                    <span className="formLabel">Id (lowercase letters, digits, _)</span>
+                    <input className="input" value={record.id || ""} onChange={(e) => set("id", e.target.value.trim())} />
+                    <FieldIssues issues={prefix("id")} />
+                </label>
+
+                {isScheme ? (
+                    <label className="formField">
+                        <span className="formLabel">Category</span>
+                        <select className="select" value={record.category || ""} onChange={(e) => set("category", e.target.value)}>
+                            {[...new Set([...CATEGORIES, record.category].filter(Boolean))].map((c) => (
+                                <option key={c} value={c}>
+                                    {c}
+                                </option>
+                            ))}
+                        </select>
+                        <FieldIssues issues={prefix("category")} />
+                    </label>
+                ) : null}
+            </div>
+
+            <div className="adminBilingualHead">
+                <span />
+                <span>English</span>
+                <span lang="zh-Hans">中文</span>
+            </div>
+            {(isScheme ? SCHEME_FIELDS : ENTRY_POINT_FIELDS).map((f) => (
+                <div key={f.field} className="adminBilingual">
+                    <span className="formLabel">
+                        {f.label}
+                        {f.optional ? " (optional)" : ""}
+                    </span>
+                    {["en", "zh"].map((l) => {
+                        const key = `${f.field}_${l}`;
+                        return (
+                            <div key={l}>
+                                {f.list ? (
+                                    <ListInput
+                                        value={record[key]}
+                                        lang={l}
+                                        label={`${f.label} (${l})`}
+                                        onChange={(v) => set(key, v, f.optional)}
+                                    />
+                                ) : f.multiline ? (
+                                    <textarea
+                                        className="input textarea"
+                                        rows={3}
+                                        lang={l}
+                                        aria-label={`${f.label} (${l})`}
+                                        value={record[key] || ""}
+                                        onChange={(e) => set(key, e.target.value)}
+                                    />
+                                ) : (
+                                    <input
+                                        className="input"
+                                        lang={l}
+                                        aria-label={`${f.label} (${l})`}
+                                        value={record[key] || ""}
+                                        onChange={(e) => set(key, e.target.value)}
+                                    />
+                                )}
+                                <FieldIssues issues={prefix(key)} />
+                            </div>
+                        );
+                    })}
+                </div>
+            ))}
+
+            {!isScheme ? (
+                <div className="adminRow">
+                    {["hotline", "email"].map((c) => (
+                        <label key={c} className="formField">
+                            <span className="formLabel">{c === "hotline" ? "Hotline" : "Email"} (optional)</span>
+                            <input
+                                className="input"
+                                value={record.contacts?.[c] || ""}
+                                onChange={(e) => {
+                                    const contacts = withField(record.contacts || {}, c, e.target.value.trim(), true);
+                                    onChange(withField(record, "contacts", Object.keys(contacts).length ? contacts : null, true));
+                                }}
+                            />
+                            <FieldIssues issues={prefix(`contacts.${c}`)} />
+                        </label>
+                    ))}
+                </div>
+            ) : null}
+
+            {(isScheme ? SCHEME_LINKS : ENTRY_POINT_LINKS).map((f) => (
+                <label key={f.field} className="formField">
+                    <span className="formLabel">{f.label} — one per line</span>
+                    <ListInput
+                        value={record[f.field]}
+                        rows={3}
+                        label={f.label}
+                        onChange={(v) => set(f.field, v, f.optional)}
+                    />
+                    <FieldIssues issues={prefix(f.field)} />
+                </label>
+            ))}
+
+            {isScheme ? (
+                <div className="formField">
+                    <span className="formLabel">Eligibility rules for the pre-screener (optional, JSON)</span>
+                    <RulesInput value={record.eligibility_rules} onChange={(v) => set("eligibility_rules", v, true)} />
+                    <FieldIssues issues={prefix("eligibility_rules")} />
+                </div>
+            ) : null}
+        </div>
+    );
+}
+
+// Which safety-lexicon triggers fired in conversations on this device (ids only, no user text)
+function SafetyLog() {
+    const [entries, setEntries] = useState(() => loadSafetyLog());
+    const rows = summarizeSafetyLog(entries);
+
+    function onClear() {
+        if (!window.confirm("Clear the safety trigger log on this device?")) return;
+        clearSafetyLog();
+        setEntries([]);
+    }
+
+    return (
+        <details className="adminMeta">
+            <summary>Safety triggers on this device ({entries.length})</summary>
+            {rows.length ? (
+                <table className="adminLogTable">
+                    <thead>
+                        <tr>
+                            <th>Trigger</th>
+                            <th>Level</th>
+                            <th>Count</th>
+                            <th>Last fired</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map((r) => (
+                            <tr key={r.id}>
+                                <td>
+                                    <code>{r.id}</code>
+                                </td>
+                                <td>{r.level}</td>
+                                <td>{r.count}</td>
+                                <td>{new Date(r.lastAt).toLocaleString()}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            ) : (
+                <div className="panelEmpty">No triggers logged.</div>
+            )}
+            <div className="formActions">
+                <button className="chip" type="button" onClick={() => setEntries(loadSafetyLog())}>
+                    Refresh
+                </button>
+                <button className="chip" type="button" onClick={() => downloadJson(entries, "safety_log.json")} disabled={!entries.length}>
+                    Download log
+                </button>
+                <button className="chip" type="button" onClick={onClear} disabled={!entries.length}>
+                    Clear log
+                </button>
+            </div>
+        </details>
+    );
+}
+
+export default function Admin() {
+    const [draft, setDraft] = useState(() => loadDraft());
+    const [listKey, setListKey] = useState("schemes");
+    const [selected, setSelected] = useState(0);
+    const [filter, setFilter] = useState("");
+    const [notice, setNotice] = useState("");
+    // Bumped whenever records move or get replaced under the same index (import, reset, delete),
+    // so the record editor's inputs reload instead of writing their old text into another record
+    const [revision, setRevision] = useState(0);
+
+    useEffect(() => {
+        saveDraft(draft);
+    }, [draft]);
+
+    const report = useMemo(() => checkKb(draft, { schema: kbSchema, categories: CATEGORIES }), [draft]);
+
+    const list = draft[listKey] || [];
+    const kind = LISTS[listKey].kind;
+    const record = list[selected] || null;
+
+    // Issues of one record, with paths relative to it ("name_zh", "official_links[1]")
+    function recordIssues(key, index) {
+        const base = `$.${key}[${index}]`;
+        return report.issues
+            .filter((x) => x.path === base || x.path.startsWith(`${base}.`) || x.path.startsWith(`${base}[`))
+            .map((x) => ({ ...x, field: x.path.slice(base.length + 1) }));
+    }
+
+    const selectedIssues = record ? recordIssues(listKey, selected) : [];
+    const globalIssues = report.issues.filter((x) => !/^\$\.(schemes|entry_points)\[\d+\]/.test(x.path));
+
+    const shown = list
+        .map((r, i) => ({ r, i }))
+        .filter(({ r }) => {
+            const q = filter.trim().toLowerCase();
+            return !q || [r.id, r.name_en, r.name_zh].some((v) => (v || "").toLowerCase().includes(q));
+        });
+
+    function updateRecord(next) {
+        setDraft((d) => ({ ...d, [listKey]: d[listKey].map((r, i) => (i === selected ? next : r)) }));
+    }
+
+    function addRecord() {
+        const fresh = listKey === "schemes" ? emptyScheme() : emptyEntryPoint();
+        setDraft((d) => ({ ...d, [listKey]: [...d[listKey], fresh] }));
+        setSelected(list.length);
+        setFilter("");
+    }
+
+    function deleteRecord() {
+        if (!record || !window.confirm(`Delete "${record.id || "(new record)"}"?`)) return;
+        setDraft((d) => ({ ...d, [listKey]: d[listKey].filter((_, i) => i !== selected) }));
+        setSelected(Math.max(0, selected - 1));
+        setRevision((n) => n + 1);
+    }
+
+    function switchList(key) {
+        setListKey(key);
+        setSelected(0);
+        setFilter("");
+    }
+
+    function updateMeta(field, value) {
+        setDraft((d) => ({ ...d, meta: withField(d.meta || {}, field, value, field !== "country" && field !== "last_updated") }));
+    }
+
+    async function onImport(e) {
+        const file = e.target.files?.[0];
+        e.target.value = "";
+        if (!file) return;
+        try {
+            const data = JSON.parse(await file.text());
+            if (!data || !Array.isArray(data.schemes) || !Array.isArray(data.entry_points)) {
+                throw new Error("the file has no schemes / entry_points lists");
+            }
+            setDraft(data);
+            setSelected(0);
+            setRevision((n) => n + 1);
+            const { errors, warnings } = checkKb(data, { schema: kbSchema, categories: CATEGORIES });
+            setNotice(`Imported ${file.name}: ${data.schemes.length} schemes, ${data.entry_points.length} entry points — ${errors.length} error(s), ${warnings.length} warning(s).`);
+        } catch (err) {
+            setNotice(`Could not import ${file.name}: ${err.message}`);
+        }
+    }
+
+    function onExport() {
+        const n = report.errors.length;
+        if (n && !window.confirm(`The knowledge base still has ${n} error(s). Export anyway?`)) return;
+        downloadJson(draft, "sg_services_kb.json");
+        setNotice("Exported sg_services_kb.json. Send it to the maintainers to publish it (it replaces src/data/sg_services_kb.json).");
+    }
+
+    function onReset() {
+        if (!window.confirm("Discard all edits on this device and start again from the published knowledge base?")) return;
+        setDraft(structuredClone(bundledKb));
+        setSelected(0);
+        setRevision((n) => n + 1);
+        setNotice("Draft reset to the published knowledge base.");
+    }
+
+    return (
+        <div className="page admin">
+            <header className="topbar">
+                <div className="brand">
+                    <div className="title">Knowledge base editor</div>
+                    <div className="subtitle">
+                        {report.errors.length} error(s) · {report.warnings.length} warning(s) · drafts are saved on this device
+                    </div>
+                </div>
+                <div className="actions">
+                    <label className="btn ghost adminFile">
+                        Import JSON
+                        <input type="file" accept="application/json,.json" onChange={onImport} />
+                    </label>
+                    <button className="btn" type="button" onClick={onExport}>
+                        Export JSON
+                    </button>
+                    <button className="btn ghost" type="button" onClick={onReset}>
+                        Reset draft
+                    </button>
+                    <a className="btn ghost adminLink" href="#/">
+                        Back to assistant
+                    </a>
+                </div>
+            </header>
+
+            {notice ? (
+                <div className="adminNotice" role="status">
+                    {notice}
+                </div>
+            ) : null}
+
+            <main className="adminMain">
+                <nav className="adminSide" aria-label="Records">
+                    <div className="adminTabs" role="tablist">
+                        {Object.entries(LISTS).map(([key, l]) => (
+                            <button
+                                key={key}
+                                type="button"
+                                role="tab"
+                                aria-selected={key === listKey}
+                                className={key === listKey ? "chip active" : "chip"}
+                                onClick={() => switchList(key)}
+                            >
+                                {l.label} ({draft[key]?.length || 0})
+                            </button>
+                        ))}
+                    </div>
+
+                    <input
+                        className="input"
+                        placeholder="Filter by id or name"
+                        value={filter}
+                        onChange={(e) => setFilter(e.target.value)}
+                    />
+
+                    <ul className="adminList">
+                        {shown.map(({ r, i }) => {
+                            const n = recordIssues(listKey, i).filter((x) => x.level === "error").length;
+                            return (
+                                <li key={i}>
+                                    <button
+                                        type="button"
+                                        className={i === selected ? "adminListItem active" : "adminListItem"}
+                                        onClick={() => setSelected(i)}
+                                    >
+                                        <span>{r.name_en || r.id || "(new record)"}</span>
+                                        {n ? <span className="badge unlikely">{n}</span> : null}
+                                    </button>
+                                </li>
+                            );
+                        })}
+                    </ul>
+
+                    <button className="btn" type="button" onClick={addRecord}>
+                        {listKey === "schemes" ? "New scheme" : "New entry point"}
+                    </button>
+
+                    <details className="adminMeta">
+                        <summary>KB details (last updated, version)</summary>
+                        <label className="formField">
+                            <span className="formLabel">Last updated</span>
+                            <input
+                                className="input"
+                                type="date"
+                                value={draft.meta?.last_updated || ""}
+                                onChange={(e) => updateMeta("last_updated", e.target.value)}
+                            />
+                        </label>
+                        <button className="chip" type="button" onClick={() => updateMeta("last_updated", todayIso())}>
+                            Set to today
+                        </button>
+                        <label className="formField">
+                            <span className="formLabel">Version (optional)</span>
+                            <input
+                                className="input"
+                                value={draft.meta?.version || ""}
+                                onChange={(e) => updateMeta("version", e.target.value)}
+                            />
+                        </label>
+                        <label className="formField">
+                            <span className="formLabel">Note shown with plans</span>
+                            <textarea
+                                className="input textarea"
+                                rows={3}
+                                value={draft.meta?.note || ""}
+                                onChange={(e) => updateMeta("note", e.target.value)}
+                            />
+                        </label>
+                    </details>
+
+                    <SafetyLog />
+
+                    <Issues issues={globalIssues} kb={draft} />
+                </nav>
+
+                {record ? (
+                    <section className="adminEditor" aria-label="Edit record">
+                        <div className="adminEditorHead">
+                            <div className="panelTitle">{record.name_en || record.id || "(new record)"}</div>
+                            <button className="btn ghost" type="button" onClick={deleteRecord}>
+                                Delete
+                            </button>
+                        </div>
+
+                        <Issues issues={selectedIssues} kb={draft} />
+
+                        {/* keyed by record (and draft revision) so list inputs reload their text for another record */}
+                        <RecordEditor
+                            key={`${listKey}:${selected}:${revision}`}
+                            kind={kind}
+                            record={record}
+                            issues={selectedIssues}
+                            onChange={updateRecord}
+                        />
+
+                        <div className="panelTitle">Preview</div>
+                        <div className="adminPreview">
+                            {PREVIEW_LANGS.map((l) => (
+                                <div key={l} lang={l === "zh" ? "zh-Hans" : "en"}>
+                                    <SchemeCard card={previewCard(record, kind, l)} lang={l} />
+                                </div>
+                            ))}
+                        </div>
+                    </section>
+                ) : (
+                    <section className="adminEditor">
+                        <div className="panelEmpty">Nothing selected. Pick a record on the left or create a new one.</div>
+                    </section>
+                )}
+            </main>
+        </div>
+    );
+}
@@ -1,105 +1,530 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
-import "./App.css";
 
-import { LANGS } from "./utils/languages";
+import { LANGS, langInfo } from "./utils/languages";
 import { t } from "./utils/i18n";
 import {
     initDialogState,
     getInitialAssistantMessage,
     handleUserText,
-    handleAction
+    handleAction,
+    renderMessage,
+    getSchemeCards,
+    getEntryPointCards,
+    setKnowledgeBase
 } from "./utils/dialogEngine";
+import { initialKnowledgeBase, refreshKnowledgeBase, kbStaleness } from "./utils/kbLoader";
+import { validateTicketForm, buildTicket, submitTicket, flushOutbox } from "./utils/escalation";
+import { isOnline, onConnectivityChange } from "./utils/pwa";
+import { getSpeechProvider, messageSpeechText } from "./utils/speech";
+import { showsCrisisBanner, logSafetyTriggers } from "./utils/safety";
+import {
+    getAnalyticsConsent,
+    setAnalyticsConsent,
+    newAnalyticsSession,
+    trackEvent,
+    turnEvents
+} from "./utils/analytics";
+import { hostEvents } from "./utils/widget";
+import {
+    saveSession,
+    loadSession,
+    loadFullHistory,
+    clearSession,
+    clearAllData,
+    idleTimeoutMs
+} from "./utils/sessionStore";
+import { openPrintablePlan, downloadPlan } from "./utils/planExport";
+import { SchemeCard } from "./components/SchemeCard";
+import { loadShortlist, saveShortlist, toggleSaved, MIN_COMPARE, MAX_COMPARE } from "./utils/shortlist";
 
 function uid() {
     return `${Date.now()}_${Math.random().toString(16).slice(2)}`;
 }
 
-function ChatBubble({ role, text, ts }) {
+// Hotlines shown while offline (their details come from the KB, which is cached with the app)
+const OFFLINE_ENTRY_POINTS = ["sso_comcare", "mindline_1771"];
+
+function assistantMessage(m) {
+    return {
+        id: uid(),
+        role: "assistant",
+        text: m.text,
+        cards: m.cards || [],
+        quickReplies: m.quickReplies || [],
+        form: m.form || null,
+        plan: m.plan || null,
+        desc: m.desc || null,
+        ts: new Date().toLocaleTimeString()
+    };
+}
+
+// A new conversation: the welcome, then straight into `domain` when the page embedding the widget picked one
+function openingConversation(lang, { domain = null, allowedDomains = null } = {}) {
+    const dlg = initDialogState(lang, { allowedDomains });
+    const welcome = assistantMessage(getInitialAssistantMessage(lang, { allowedDomains }));
+    if (!domain) return { dlg, messages: [welcome] };
+
+    const { state, message } = handleAction(dlg, { type: "SET_DOMAIN", domainId: domain });
+    return { dlg: state, messages: [welcome, assistantMessage(message)] };
+}
+
+// Re-render an assistant message in another language from its descriptor (engine `desc` or UI `uiKey`).
+// User messages and messages saved before descriptors existed are kept as they are.
+function translateMessage(m, lang) {
+    if (m.role !== "assistant") return m;
+    if (m.desc) {
+        const r = renderMessage(m.desc, lang);
+        return { ...m, text: r.text, cards: r.cards, quickReplies: r.quickReplies, plan: r.plan || null };
+    }
+    if (m.uiKey) return { ...m, text: t(lang, m.uiKey) };
+    return m;
+}
+
+function hasUserTurns(messages) {
+    return messages.some((m) => m.role === "user");
+}
+
+function ResumeBanner({ snapshot, onResume, onStartFresh }) {
+    const lang = snapshot.lang;
+    const when = new Date(snapshot.savedAt).toLocaleString();
+    return (
+        <div className="resumeBanner" role="region" aria-label={t(lang, "resumeTitle")}>
+            <div>
+                <div className="resumeTitle">{t(lang, "resumeTitle")}</div>
+                <div className="resumeHint">
+                    {t(lang, "resumeHint")} {when}
+                </div>
+            </div>
+            <div className="formActions">
+                <button className="btn" type="button" onClick={onResume}>
+                    {t(lang, "resume")}
+                </button>
+                <button className="btn ghost" type="button" onClick={onStartFresh}>
+                    {t(lang, "startFresh")}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+// Stays on screen once the conversation's risk level is elevated (utils/safety), until the conversation is restarted
+function CrisisBanner({ lang, onDismiss }) {
+    return (
+        <div className="crisisBanner" role="region" aria-label={t(lang, "crisisTitle")}>
+            <div className="crisisText">
+                <strong>{t(lang, "crisisTitle")}</strong> {t(lang, "crisisHint")}
+            </div>
+            <div className="formActions">
+                <a className="btn crisisCall" href="tel:999">
+                    {t(lang, "call999")}
+                </a>
+                <a className="btn crisisCall" href="tel:1771">
+                    {t(lang, "call1771")}
+                </a>
+                <button className="btn ghost" onClick={onDismiss} type="button">
+                    {t(lang, "crisisDismiss")}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+// Opt-in for anonymous usage events (utils/analytics); asked once, "Clear my data" asks again
+function ConsentBanner({ lang, onAnswer }) {
+    return (
+        <div className="resumeBanner" role="region" aria-label={t(lang, "analyticsTitle")}>
+            <div>
+                <div className="resumeTitle">{t(lang, "analyticsTitle")}</div>
+                <div className="resumeHint">{t(lang, "analyticsHint")}</div>
+            </div>
+            <div className="formActions">
+                <button className="btn" type="button" onClick={() => onAnswer(true)}>
+                    {t(lang, "analyticsAllow")}
+                </button>
+                <button className="btn ghost" type="button" onClick={() => onAnswer(false)}>
+                    {t(lang, "analyticsDeny")}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+// No connection: the assistant still works from the cached KB; make the hotlines easy to reach
+function OfflineBanner({ lang }) {
+    const hotlines = getEntryPointCards(OFFLINE_ENTRY_POINTS, lang).filter((ep) => ep.contacts?.hotline);
+    return (
+        <div className="offlineBanner" role="status">
+            <div className="resumeTitle">{t(lang, "offlineTitle")}</div>
+            <div className="resumeHint">{t(lang, "offlineHint")}</div>
+            <ul className="offlineHotlines">
+                {hotlines.map((ep) => (
+                    <li key={ep.id}>
+                        {ep.title}:{" "}
+                        <a href={`tel:${ep.contacts.hotline.replace(/[^\d+]/g, "")}`}>{ep.contacts.hotline}</a>
+                    </li>
+                ))}
+                <li>{t(lang, "planEmergency")}</li>
+            </ul>
+        </div>
+    );
+}
+
+// "Information last updated" + a warning once the KB is older than VITE_KB_STALE_DAYS
+function KbStatus({ kbInfo, lang }) {
+    const { lastUpdated, stale } = kbStaleness(kbInfo.kb.meta);
+    if (!lastUpdated) return null;
+    const date = new Date(`${lastUpdated}T00:00:00`).toLocaleDateString(langInfo(lang).locale, {
+        day: "numeric",
+        month: "short",
+        year: "numeric"
+    });
+    return (
+        <>
+            <div className="subtitle">
+                {t(lang, "kbUpdated")} <time dateTime={lastUpdated}>{date}</time>
+            </div>
+            {stale ? (
+                <div className="kbStale" role="note">
+                    {t(lang, "kbStale")}
+                </div>
+            ) : null}
+        </>
+    );
+}
+
+function ChatBubble({ role, text, ts, lang, speaking, onSpeak }) {
     return (
         <div className={`bubbleRow ${role === "user" ? "right" : "left"}`}>
             <div className={`bubble ${role}`}>
                 <div className="bubbleText">{text}</div>
-                <div className="bubbleMeta">{ts}</div>
+                <div className="bubbleMeta">
+                    {ts}
+                    {onSpeak ? (
+                        <button className="speakBtn" type="button" onClick={onSpeak} aria-pressed={speaking}>
+                            {speaking ? t(lang, "stopReading") : t(lang, "readAloud")}
+                        </button>
+                    ) : null}
+                </div>
             </div>
         </div>
     );
 }
 
-function LinkList({ links }) {
-    if (!links?.length) return null;
+// Push-to-talk: hold (mouse, touch or Space/Enter) to listen, release to send
+function MicButton({ lang, listening, onStart, onStop }) {
+    const isKey = (e) => e.key === " " || e.key === "Enter";
     return (
-        <div className="links">
-            <div className="linksLabel">Official links</div>
-            <ul>
-                {links.map((u) => (
-                    <li key={u}>
-                        <a href={u} target="_blank" rel="noreferrer">
-                            {u}
-                        </a>
+        <button
+            className={listening ? "btn micBtn listening" : "btn ghost micBtn"}
+            type="button"
+            aria-pressed={listening}
+            onPointerDown={(e) => {
+                e.preventDefault();
+                onStart();
+            }}
+            onPointerUp={onStop}
+            onPointerLeave={() => listening && onStop()}
+            onPointerCancel={onStop}
+            onKeyDown={(e) => {
+                if (!isKey(e)) return;
+                e.preventDefault();
+                if (!e.repeat) onStart();
+            }}
+            onKeyUp={(e) => isKey(e) && onStop()}
+            onContextMenu={(e) => e.preventDefault()}
+        >
+            {listening ? t(lang, "listening") : t(lang, "holdToTalk")}
+        </button>
+    );
+}
+
+// Cards in message order; grouped results (several needs) get a heading wherever the group changes.
+function CardList({ cards, lang, onAction, savedIds, onToggleSave }) {
+    return (
+        <div className="cardList">
+            {cards.map((c, i) => (
+                <React.Fragment key={c.id}>
+                    {c.group && c.group.id !== cards[i - 1]?.group?.id ? (
+                        <h3 className="cardGroupTitle">{c.group.title}</h3>
+                    ) : null}
+                    <SchemeCard
+                        card={c}
+                        lang={lang}
+                        onAction={onAction}
+                        saved={savedIds?.includes(c.id)}
+                        onToggleSave={onToggleSave}
+                    />
+                </React.Fragment>
+            ))}
+        </div>
+    );
+}
+
+// Saved schemes (persists on this device). Tick 2–3 to open the compare view.
+function ShortlistPanel({ savedIds, lang, onRemove, onOpen, onCompare }) {
+    const [picked, setPicked] = useState([]);
+    const cards = getSchemeCards(savedIds, lang);
+    const selected = picked.filter((id) => savedIds.includes(id));
+
+    function togglePick(id) {
+        setPicked((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+    }
+
+    return (
+        <aside className="panel" aria-label={t(lang, "panelTitle")}>
+            <div className="panelTitle">
+                {t(lang, "panelTitle")} {cards.length ? `(${cards.length})` : ""}
+            </div>
+
+            {!cards.length ? <div className="panelEmpty">{t(lang, "emptyPanel")}</div> : null}
+
+            <ul className="shortlist">
+                {cards.map((c) => (
+                    <li key={c.id} className="shortlistItem">
+                        <label className="shortlistPick">
+                            <input
+                                type="checkbox"
+                                checked={selected.includes(c.id)}
+                                disabled={!selected.includes(c.id) && selected.length >= MAX_COMPARE}
+                                onChange={() => togglePick(c.id)}
+                            />
+                            <span className="srOnly">{t(lang, "compareSelect")}</span>
+                        </label>
+                        <button type="button" className="shortlistTitle" onClick={() => onOpen(c)}>
+                            {c.title}
+                        </button>
+                        <button type="button" className="chip" onClick={() => onRemove(c.id)}>
+                            {t(lang, "remove")}
+                        </button>
                     </li>
                 ))}
             </ul>
-        </div>
+
+            {cards.length >= MIN_COMPARE ? (
+                <div className="panelActions">
+                    <div className="panelHint">{t(lang, "compareHint")}</div>
+                    <button
+                        type="button"
+                        className="btn"
+                        disabled={selected.length < MIN_COMPARE}
+                        onClick={() => onCompare(selected)}
+                    >
+                        {t(lang, "compare")} ({selected.length})
+                    </button>
+                </div>
+            ) : null}
+        </aside>
     );
 }
 
-function SchemeCard({ card, lang }) {
-    const focus = card.focus || "overview";
-    const isEntry = focus === "entry";
+// Side-by-side comparison of 2–3 schemes, in English and Chinese (the KB's two complete languages)
+const COMPARE_LANGS = ["en", "zh"];
+const COMPARE_ROWS = [
+    { label: "eligibility", field: "eligibility", ordered: false },
+    { label: "howToApply", field: "steps", ordered: true },
+    { label: "docsTitle", field: "docs", ordered: false }
+];
+
+function CompareView({ ids, lang, onClose }) {
+    const byLang = Object.fromEntries(COMPARE_LANGS.map((l) => [l, getSchemeCards(ids, l, "detail")]));
+    const cards = getSchemeCards(ids, lang, "detail");
+
+    useEffect(() => {
+        function onKey(e) {
+            if (e.key === "Escape") onClose();
+        }
+        window.addEventListener("keydown", onKey);
+        return () => window.removeEventListener("keydown", onKey);
+    }, [onClose]);
 
     return (
-        <div className="card">
-            <div className="cardTitle">{card.title}</div>
-
-            {card.summary ? <div className="cardSummary">{card.summary}</div> : null}
-
-            {isEntry && card.contacts ? (
-                <div className="cardBlock">
-                    <div className="cardBlockTitle">{lang === "zh" ? "联系方式" : "Contacts"}</div>
-                    <div className="kv">
-                        {card.contacts.hotline ? (
-                            <div>
-                                <span className="k">{lang === "zh" ? "热线" : "Hotline"}:</span>{" "}
-                                <span className="v">{card.contacts.hotline}</span>
-                            </div>
-                        ) : null}
-                        {card.contacts.email ? (
-                            <div>
-                                <span className="k">{lang === "zh" ? "邮箱" : "Email"}:</span>{" "}
-                                <span className="v">{card.contacts.email}</span>
-                            </div>
-                        ) : null}
-                    </div>
+        <div className="overlay" role="dialog" aria-modal="true" aria-label={t(lang, "compareTitle")}>
+            <div className="compareDialog">
+                <div className="compareHeader">
+                    <div className="panelTitle">{t(lang, "compareTitle")}</div>
+                    <button type="button" className="btn ghost" onClick={onClose} autoFocus>
+                        {t(lang, "close")}
+                    </button>
                 </div>
-            ) : null}
 
-            {!isEntry && (focus === "overview" || focus === "eligibility") ? (
-                card.eligibility?.length ? (
-                    <div className="cardBlock">
-                        <div className="cardBlockTitle">{lang === "zh" ? "资格要点" : "Eligibility"}</div>
-                        <ul>
-                            {card.eligibility.slice(0, 4).map((x, i) => (
-                                <li key={i}>{x}</li>
+                <div className="compareScroll">
+                    <table className="compareTable">
+                        <thead>
+                            <tr>
+                                <th scope="col" />
+                                {cards.map((c, i) => (
+                                    <th key={c.id} scope="col">
+                                        {COMPARE_LANGS.map((l) => (
+                                            <div key={l} lang={langInfo(l).htmlLang}>
+                                                {byLang[l][i]?.title}
+                                            </div>
+                                        ))}
+                                    </th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {COMPARE_ROWS.map((row) => (
+                                <tr key={row.field}>
+                                    <th scope="row">{t(lang, row.label)}</th>
+                                    {cards.map((c, i) => (
+                                        <td key={c.id}>
+                                            {COMPARE_LANGS.map((l) => {
+                                                const items = byLang[l][i]?.[row.field] || [];
+                                                const List = row.ordered ? "ol" : "ul";
+                                                return (
+                                                    <div key={l} className="compareLang" lang={langInfo(l).htmlLang}>
+                                                        <div className="compareLangLabel">{langInfo(l).label}</div>
+                                                        {items.length ? (
+                                                            <List>
+                                                                {items.map((x, j) => (
+                                                                    <li key={j}>{x}</li>
+                                                                ))}
+                                                            </List>
+                                                        ) : (
+                                                            <div className="panelHint">—</div>
+                                                        )}
+                                                    </div>
+                                                );
+                                            })}
+                                        </td>
+                                    ))}
+                                </tr>
                             ))}
-                        </ul>
-                    </div>
-                ) : null
+                            <tr>
+                                <th scope="row">{t(lang, "officialLinks")}</th>
+                                {cards.map((c) => (
+                                    <td key={c.id} className="links">
+                                        <ul>
+                                            {c.links.map((u) => (
+                                                <li key={u}>
+                                                    <a href={u} target="_blank" rel="noreferrer">
+                                                        {u}
+                                                    </a>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </td>
+                                ))}
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function TicketForm({ lang, dlg, onCreated, onCancel }) {
+    const [form, setForm] = useState(() => ({ name: "", contact: "", summary: dlg.lastQuery || "" }));
+    const [errors, setErrors] = useState({});
+    const [submitting, setSubmitting] = useState(false);
+    const [failed, setFailed] = useState(false);
+
+    function update(field, value) {
+        setForm((f) => ({ ...f, [field]: value }));
+        setErrors((e) => ({ ...e, [field]: undefined }));
+    }
+
+    async function onSubmit(e) {
+        e.preventDefault();
+        const errs = validateTicketForm(form);
+        setErrors(errs);
+        if (Object.keys(errs).length) return;
+
+        setSubmitting(true);
+        setFailed(false);
+        try {
+            const ticket = await submitTicket(buildTicket(form, dlg));
+            onCreated(ticket);
+        } catch {
+            setFailed(true);
+        } finally {
+            setSubmitting(false);
+        }
+    }
+
+    const field = (id, label, control) => (
+        <label className="formField" htmlFor={`ticket_${id}`}>
+            <span className="formLabel">{label}</span>
+            {control}
+            {errors[id] ? (
+                <span className="formError" role="alert">
+                    {t(lang, errors[id])}
+                </span>
             ) : null}
+        </label>
+    );
 
-            {!isEntry && (focus === "overview" || focus === "steps") ? (
-                card.steps?.length ? (
-                    <div className="cardBlock">
-                        <div className="cardBlockTitle">{lang === "zh" ? "申请步骤" : "How to apply"}</div>
-                        <ol>
-                            {card.steps.slice(0, 4).map((x, i) => (
-                                <li key={i}>{x}</li>
-                            ))}
-                        </ol>
-                    </div>
-                ) : null
+    return (
+        <form className="card ticketForm" onSubmit={onSubmit} noValidate>
+            <div className="cardTitle">{t(lang, "ticketTitle")}</div>
+            <div className="cardSummary">{t(lang, "ticketHint")}</div>
+
+            {field(
+                "name",
+                t(lang, "name"),
+                <input
+                    id="ticket_name"
+                    className="input"
+                    value={form.name}
+                    onChange={(e) => update("name", e.target.value)}
+                    autoComplete="name"
+                    aria-invalid={!!errors.name}
+                />
+            )}
+            {field(
+                "contact",
+                t(lang, "contact"),
+                <input
+                    id="ticket_contact"
+                    className="input"
+                    value={form.contact}
+                    onChange={(e) => update("contact", e.target.value)}
+                    inputMode="email"
+                    aria-invalid={!!errors.contact}
+                />
+            )}
+            {field(
+                "summary",
+                t(lang, "summary"),
+                <textarea
+                    id="ticket_summary"
+                    className="input textarea"
+                    value={form.summary}
+                    onChange={(e) => update("summary", e.target.value)}
+                    rows={3}
+                    aria-invalid={!!errors.summary}
+                />
+            )}
+
+            {failed ? (
+                <div className="formError" role="alert">
+                    {t(lang, "ticketFailed")}
+                </div>
             ) : null}
 
-            <LinkList links={card.links} />
+            <div className="formActions">
+                <button className="btn" type="submit" disabled={submitting}>
+                    {submitting ? t(lang, "submitting") : t(lang, "submit")}
+                </button>
+                <button className="btn ghost" type="button" onClick={onCancel} disabled={submitting}>
+                    {t(lang, "cancel")}
+                </button>
+            </div>
+        </form>
+    );
+}
+
+function PlanActions({ plan, lang }) {
+    return (
+        <div className="formActions planActions">
+            <button className="btn" type="button" onClick={() => openPrintablePlan(plan)}>
+                {t(lang, "planPrint")}
+            </button>
+            <button className="btn ghost" type="button" onClick={() => downloadPlan(plan)}>
+                {t(lang, "planDownload")}
+            </button>
         </div>
     );
 }
@@ -123,30 +548,59 @@ function QuickReplies({ items, onClick }) {
     );
 }
 
-export default function App() {
-    const [lang, setLang] = useState("en");
+// Props are only set by the embeddable widget (widgetMain.jsx); the full-page app uses the defaults.
+// `embedded`: compact layout without the shortlist; `onHostEvent`: gets the events for the host page (utils/widget).
+export default function App({ initialLang = "en", domain = null, allowedDomains = null, embedded = false, onHostEvent = null }) {
+    const [lang, setLang] = useState(initialLang);
+    const opening = (nextLang) => openingConversation(nextLang, { domain, allowedDomains });
+
+    // Knowledge base: cached remote copy (if newer) or the bundled one; set before the first message is built
+    const [kbInfo, setKbInfo] = useState(() => {
+        const initial = initialKnowledgeBase();
+        setKnowledgeBase(initial.kb);
+        return initial;
+    });
 
     // Accessibility toggles
     const [seniorMode, setSeniorMode] = useState(false);     // large text + larger tap targets
     const [highContrast, setHighContrast] = useState(false); // strong contrast palette
 
-    const [dlg, setDlg] = useState(() => initDialogState("en"));
+    const [first] = useState(() => opening(initialLang));
+    const [dlg, setDlg] = useState(first.dlg);
 
-    const [messages, setMessages] = useState(() => {
-        const m = getInitialAssistantMessage("en");
-        return [
-            {
-                id: uid(),
-                role: "assistant",
-                text: m.text,
-                cards: m.cards || [],
-                quickReplies: m.quickReplies || [],
-                ts: new Date().toLocaleTimeString()
-            }
-        ];
-    });
+    const [messages, setMessages] = useState(first.messages);
+
+    // The latest dialog state, for callbacks that outlive the render they started in
+    const dlgRef = useRef(dlg);
+    useEffect(() => {
+        dlgRef.current = dlg;
+    }, [dlg]);
+
+    // Saved session from a previous visit (offered as "resume or start fresh")
+    const [resumeOffer, setResumeOffer] = useState(() => loadSession());
 
     const [input, setInput] = useState("");
+    const [ticketFor, setTicketFor] = useState(null); // id of the message whose ticket form is open
+
+    // Shortlist: saved scheme ids (kept across sessions) + the schemes open in the compare view
+    const [savedIds, setSavedIds] = useState(() => loadShortlist());
+    const [compareIds, setCompareIds] = useState(null);
+
+    const [online, setOnline] = useState(() => isOnline());
+
+    // Voice: push-to-talk input and read-aloud (utils/speech; hidden where the browser has no support)
+    const speech = getSpeechProvider();
+    const [listening, setListening] = useState(false);
+    const [voiceError, setVoiceError] = useState(false);
+    const [speakingId, setSpeakingId] = useState(null);
+    const [autoRead, setAutoRead] = useState(false);
+    const listenRef = useRef(null);
+    // A voice turn ends after the render that started it, so its transcript goes through sendTextRef
+    const sendTextRef = useRef(null);
+
+    // Anonymous usage events, only after the user opts in
+    const [analyticsConsent, setConsent] = useState(() => getAnalyticsConsent());
+    const analyticsSession = useRef(newAnalyticsSession());
     const bottomRef = useRef(null);
 
     const lastAssistant = useMemo(() => {
@@ -160,39 +614,204 @@ export default function App() {
         bottomRef.current?.scrollIntoView({ behavior: "smooth" });
     }, [messages]);
 
-    // Language change: restart cleanly in the new language (avoid mixed-language flow)
+    // Persist once the user has actually said something (and not while a saved session is still on offer)
     useEffect(() => {
-        const s = initDialogState(lang);
-        const m = getInitialAssistantMessage(lang);
-        setDlg(s);
-        setMessages([
-            {
-                id: uid(),
-                role: "assistant",
-                text: m.text,
-                cards: m.cards || [],
-                quickReplies: m.quickReplies || [],
-                ts: new Date().toLocaleTimeString()
+        if (resumeOffer || !hasUserTurns(messages)) return;
+        saveSession({ lang, dlg, messages });
+    }, [lang, dlg, messages, resumeOffer]);
+
+    useEffect(() => {
+        saveShortlist(savedIds);
+    }, [savedIds]);
+
+    useEffect(() => onConnectivityChange(setOnline), []);
+
+    // Escalation tickets queued while offline go out as soon as the connection is back. Once tickets have left
+    // the outbox their reference numbers must be shown, so the confirmation is never dropped; it is built from
+    // the conversation as it is by then (language, domain scope).
+    useEffect(() => {
+        if (!online) return;
+        flushOutbox().then((sent) => {
+            if (!sent.length) return;
+            const { message } = handleAction(dlgRef.current, {
+                type: "TICKETS_SENT",
+                refs: sent.map((x) => x.ref)
+            });
+            setMessages((prev) => [...prev, assistantMessage(message)]);
+        });
+    }, [online]);
+
+    // Check for a newer KB once per visit (no-op unless VITE_KB_URL is set); offline keeps the current copy
+    useEffect(() => {
+        let cancelled = false;
+        refreshKnowledgeBase().then((next) => {
+            if (cancelled) return;
+            setKnowledgeBase(next.kb);
+            setKbInfo(next);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    // Privacy on shared devices: wipe the conversation after a period of inactivity
+    useEffect(() => {
+        if (!hasUserTurns(messages)) return;
+        const timer = setTimeout(() => {
+            if (!dlg.ended) {
+                trackEvent(
+                    "drop_off",
+                    { reason: "idle", step: dlg.step, domainId: dlg.domainId || null },
+                    { session: analyticsSession.current, lang, consent: analyticsConsent }
+                );
             }
-        ]);
+            analyticsSession.current = newAnalyticsSession();
+            clearSession();
+            const fresh = openingConversation(lang, { domain, allowedDomains });
+            setDlg(fresh.dlg);
+            setMessages(fresh.messages);
+            setTicketFor(null);
+        }, idleTimeoutMs());
+        return () => clearTimeout(timer);
+    }, [messages, lang, dlg, analyticsConsent, domain, allowedDomains]);
+
+    // Leaving the page mid-conversation counts as a drop-off at the current step
+    useEffect(() => {
+        if (!hasUserTurns(messages) || dlg.ended) return;
+        const onLeave = () =>
+            trackEvent(
+                "drop_off",
+                { reason: "left", step: dlg.step, domainId: dlg.domainId || null },
+                { session: analyticsSession.current, lang, consent: analyticsConsent }
+            );
+        window.addEventListener("pagehide", onLeave);
+        return () => window.removeEventListener("pagehide", onLeave);
+    }, [messages, lang, dlg, analyticsConsent]);
+
+    function startFresh(nextLang) {
+        stopSpeaking();
+        analyticsSession.current = newAnalyticsSession();
+        const fresh = opening(nextLang);
+        setDlg(fresh.dlg);
+        setMessages(fresh.messages);
         setInput("");
-    }, [lang]);
+        setTicketFor(null);
+    }
 
-    function pushAssistantMessage(m) {
-        if (!m) return;
+    // Language change: keep the conversation (domain, focus, query, page) and re-render it in the new language
+    function changeLang(nextLang) {
+        setLang(nextLang);
+        setDlg((prev) => ({ ...prev, lang: nextLang }));
+        setMessages((prev) => prev.map((m) => translateMessage(m, nextLang)));
+    }
+
+    function doResume() {
+        const snapshot = resumeOffer;
+        setResumeOffer(null);
+        setLang(snapshot.lang);
+        setDlg(snapshot.dlg);
+        setMessages(snapshot.messages);
+        setTicketFor(null);
+
+        // Longer histories live in IndexedDB
+        loadFullHistory(snapshot).then((full) => {
+            if (full.length > snapshot.messages.length) setMessages(full);
+        });
+    }
+
+    function doStartFresh() {
+        clearSession();
+        setResumeOffer(null);
+    }
+
+    function doClearData() {
+        clearAllData();
+        setResumeOffer(null);
+        setSavedIds([]);
+        setCompareIds(null);
+        setConsent(null);
+        startFresh(lang);
         setMessages((prev) => [
             ...prev,
             {
                 id: uid(),
                 role: "assistant",
-                text: m.text,
-                cards: m.cards || [],
-                quickReplies: m.quickReplies || [],
+                text: t(lang, "dataCleared"),
+                uiKey: "dataCleared",
+                cards: [],
+                quickReplies: [],
                 ts: new Date().toLocaleTimeString()
             }
         ]);
     }
 
+    function track(type, props) {
+        trackEvent(type, props, { session: analyticsSession.current, lang, consent: analyticsConsent });
+    }
+
+    function trackTurn(prev, next, message, turn) {
+        turnEvents(prev, next, message, turn).forEach(({ type, ...props }) => track(type, props));
+        if (onHostEvent) hostEvents(prev, next, message, turn).forEach(onHostEvent);
+        // A restarted or finished conversation counts as a new one from here on
+        if (turn.action?.type === "RESTART" || (next.ended && !prev.ended)) {
+            analyticsSession.current = newAnalyticsSession();
+        }
+    }
+
+    function answerConsent(granted) {
+        setAnalyticsConsent(granted);
+        setConsent(granted);
+    }
+
+    function pushAssistantMessage(m) {
+        if (!m) return;
+        const msg = assistantMessage(m);
+        setMessages((prev) => [...prev, msg]);
+        setTicketFor(m.form === "ticket" ? msg.id : null);
+        if (autoRead && speech.canSpeak) speakMessage(msg);
+    }
+
+    function speakMessage(m) {
+        setSpeakingId(m.id);
+        speech.speak(messageSpeechText(m, lang), {
+            lang,
+            onEnd: () => setSpeakingId((cur) => (cur === m.id ? null : cur))
+        });
+    }
+
+    function stopSpeaking() {
+        speech.cancel();
+        setSpeakingId(null);
+    }
+
+    function toggleSpeak(m) {
+        if (speakingId === m.id) stopSpeaking();
+        else speakMessage(m);
+    }
+
+    function startListening() {
+        if (listenRef.current) return;
+        stopSpeaking();
+        setVoiceError(false);
+        setListening(true);
+        listenRef.current = speech.listen({
+            lang,
+            onInterim: setInput,
+            onError: (err) => {
+                if (err !== "aborted") setVoiceError(true);
+            },
+            onEnd: (transcript) => {
+                listenRef.current = null;
+                setListening(false);
+                if (transcript.trim()) sendTextRef.current(transcript.trim());
+            }
+        });
+    }
+
+    function stopListening() {
+        listenRef.current?.stop();
+    }
+
     function pushUserMessage(text) {
         setMessages((prev) => [
             ...prev,
@@ -208,34 +827,80 @@ export default function App() {
     }
 
     function onSend() {
-        const text = input.trim();
+        sendText(input.trim());
+    }
+
+    function sendText(text) {
         if (!text) return;
 
         pushUserMessage(text);
         setInput("");
 
         const { state: nextState, message } = handleUserText(dlg, text);
+        logSafetyTriggers(nextState.safety?.lastTurn, { uiLang: lang, conversationLevel: nextState.safety?.level });
+        trackTurn(dlg, nextState, message, { text });
         setDlg(nextState);
         pushAssistantMessage(message);
     }
 
+    // The latest sendText (current dialog state, language and read-aloud setting), not the one captured
+    // when listening started
+    useEffect(() => {
+        sendTextRef.current = sendText;
+    });
+
     function onQuickReply(it) {
         pushUserMessage(it.sendText || it.label);
         const { state: nextState, message } = handleAction(dlg, it.action);
+        trackTurn(dlg, nextState, message, { action: it.action });
         setDlg(nextState);
         if (message) pushAssistantMessage(message);
     }
 
+    // Buttons on scheme cards (details / related): echo the label like a quick reply
+    function onCardAction(label, action) {
+        onQuickReply({ label, action });
+    }
+
+    function onToggleSave(schemeId) {
+        setSavedIds((prev) => toggleSaved(prev, schemeId));
+    }
+
     function doRestart() {
-        pushUserMessage(lang === "zh" ? "重新开始" : "Restart");
+        pushUserMessage(t(lang, "restart"));
         const { state: nextState, message } = handleAction(dlg, { type: "RESTART" });
+        trackTurn(dlg, nextState, message, { action: { type: "RESTART" } });
         setDlg(nextState);
         pushAssistantMessage(message);
     }
 
+    function doEscalate() {
+        pushUserMessage(t(lang, "escalate"));
+        const { state: nextState, message } = handleAction(dlg, { type: "ESCALATE" });
+        trackTurn(dlg, nextState, message, { action: { type: "ESCALATE" } });
+        setDlg(nextState);
+        pushAssistantMessage(message);
+    }
+
+    function onTicketCreated(ticket) {
+        setTicketFor(null);
+        track("escalation", { stage: ticket.queued ? "ticket_queued" : "ticket_created", domainId: dlg.domainId || null });
+        const action = { type: "TICKET_CREATED", ref: ticket.ref, queued: ticket.queued };
+        const { state: nextState, message } = handleAction(dlg, action);
+        if (onHostEvent) hostEvents(dlg, nextState, message, { action }).forEach(onHostEvent);
+        setDlg(nextState);
+        pushAssistantMessage(message);
+    }
+
+    // The crisis banner stays through restarts; only the user hides it (or "Clear my data")
+    function doDismissSafety() {
+        setDlg(handleAction(dlg, { type: "DISMISS_SAFETY" }).state);
+    }
+
     function doUrgent() {
-        pushUserMessage(lang === "zh" ? "我现在很紧急" : "This is urgent");
+        pushUserMessage(t(lang, "urgentEcho"));
         const { state: nextState, message } = handleAction(dlg, { type: "URGENT" });
+        trackTurn(dlg, nextState, message, { action: { type: "URGENT" } });
         setDlg(nextState);
         pushAssistantMessage(message);
     }
@@ -243,7 +908,8 @@ export default function App() {
     const rootClass = [
         "page",
         seniorMode ? "senior" : "",
-        highContrast ? "contrast" : ""
+        highContrast ? "contrast" : "",
+        embedded ? "embedded" : ""
     ]
         .filter(Boolean)
         .join(" ");
@@ -253,7 +919,7 @@ export default function App() {
             <header className="topbar">
                 <div className="brand">
                     <div className="title">{t(lang, "title")}</div>
-
+                    <KbStatus kbInfo={kbInfo} lang={lang} />
                 </div>
 
                 <div className="actions">
@@ -261,6 +927,10 @@ export default function App() {
                         {t(lang, "urgent")}
                     </button>
 
+                    <button className="btn ghost" onClick={doEscalate} type="button">
+                        {t(lang, "escalate")}
+                    </button>
+
                     {/* Accessibility toggles */}
                     <button
                         className="btn ghost"
@@ -282,11 +952,25 @@ export default function App() {
                         {highContrast ? t(lang, "standardContrast") : t(lang, "highContrast")}
                     </button>
 
+                    {speech.canSpeak ? (
+                        <button
+                            className="btn ghost"
+                            onClick={() => {
+                                if (autoRead) stopSpeaking();
+                                setAutoRead((v) => !v);
+                            }}
+                            type="button"
+                            aria-pressed={autoRead}
+                        >
+                            {autoRead ? t(lang, "readRepliesOff") : t(lang, "readRepliesOn")}
+                        </button>
+                    ) : null}
+
                     <select
                         className="select"
                         value={lang}
-                        onChange={(e) => setLang(e.target.value)}
-                        aria-label="Language"
+                        onChange={(e) => changeLang(e.target.value)}
+                        aria-label={t(lang, "language")}
                     >
                         {LANGS.map((x) => (
                             <option key={x.code} value={x.code}>
@@ -295,6 +979,10 @@ export default function App() {
                         ))}
                     </select>
 
+                    <button className="btn ghost" onClick={doClearData} type="button">
+                        {t(lang, "clearData")}
+                    </button>
+
                     <button className="btn" onClick={doRestart} type="button">
                         {t(lang, "reset")}
                     </button>
@@ -303,18 +991,48 @@ export default function App() {
 
             <main className="main">
                 <div className="chat">
+                    {showsCrisisBanner(dlg.safety) ? <CrisisBanner lang={lang} onDismiss={doDismissSafety} /> : null}
+
+                    {online ? null : <OfflineBanner lang={lang} />}
+
+                    {analyticsConsent === null && !resumeOffer ? <ConsentBanner lang={lang} onAnswer={answerConsent} /> : null}
+
+                    {resumeOffer ? (
+                        <ResumeBanner snapshot={resumeOffer} onResume={doResume} onStartFresh={doStartFresh} />
+                    ) : null}
+
                     <div className="chatBody">
                         {messages.map((m) => (
                             <div key={m.id}>
-                                <ChatBubble role={m.role} text={m.text} ts={m.ts} />
+                                <ChatBubble
+                                    role={m.role}
+                                    text={m.text}
+                                    ts={m.ts}
+                                    lang={lang}
+                                    speaking={speakingId === m.id}
+                                    onSpeak={m.role === "assistant" && speech.canSpeak ? () => toggleSpeak(m) : null}
+                                />
 
                                 {/* assistant cards inline */}
                                 {m.role === "assistant" && m.cards?.length ? (
-                                    <div className="cardList">
-                                        {m.cards.map((c) => (
-                                            <SchemeCard key={c.id} card={c} lang={lang} />
-                                        ))}
-                                    </div>
+                                    <CardList
+                                        cards={m.cards}
+                                        lang={lang}
+                                        onAction={onCardAction}
+                                        savedIds={savedIds}
+                                        onToggleSave={embedded ? null : onToggleSave}
+                                    />
+                                ) : null}
+
+                                {m.plan ? <PlanActions plan={m.plan} lang={m.plan.lang} /> : null}
+
+                                {m.form === "ticket" && m.id === ticketFor ? (
+                                    <TicketForm
+                                        lang={lang}
+                                        dlg={dlg}
+                                        onCreated={onTicketCreated}
+                                        onCancel={() => setTicketFor(null)}
+                                    />
                                 ) : null}
                             </div>
                         ))}
@@ -335,13 +1053,38 @@ export default function App() {
                                     if (e.key === "Enter") onSend();
                                 }}
                             />
+                            {speech.canListen ? (
+                                <MicButton
+                                    lang={lang}
+                                    listening={listening}
+                                    onStart={startListening}
+                                    onStop={stopListening}
+                                />
+                            ) : null}
                             <button className="btn" onClick={onSend} type="button">
                                 {t(lang, "send")}
                             </button>
                         </div>
+                        {voiceError ? (
+                            <div className="formError" role="alert">
+                                {t(lang, "voiceError")}
+                            </div>
+                        ) : null}
                     </div>
                 </div>
+
+                {embedded ? null : (
+                    <ShortlistPanel
+                        savedIds={savedIds}
+                        lang={lang}
+                        onRemove={onToggleSave}
+                        onOpen={(c) => onCardAction(c.title, { type: "SHOW_SCHEME", schemeId: c.id })}
+                        onCompare={setCompareIds}
+                    />
+                )}
             </main>
+
+            {compareIds ? <CompareView ids={compareIds} lang={lang} onClose={() => setCompareIds(null)} /> : null}
         </div>
     );
 }
@@ -0,0 +1,290 @@
+// Usage dashboard for programme staff (open with #/dashboard)
+// - Reads the anonymous, opt-in events recorded on this device (utils/analytics)
+// - Event files exported from other devices can be added for a combined view
+// - "Searches with no results" is the list of needs the KB doesn't cover yet
+import React, { useMemo, useState } from "react";
+import "./App.css";
+import "./Admin.css";
+import "./Dashboard.css";
+
+import { DOMAIN } from "./utils/domains";
+import { tr } from "./utils/engineText";
+import { getAnalyticsSink, summarizeEvents, eventsToCsv, unmetNeedsToCsv } from "./utils/analytics";
+
+const PERIODS = [
+    { id: "7", label: "Last 7 days", days: 7 },
+    { id: "30", label: "Last 30 days", days: 30 },
+    { id: "90", label: "Last 90 days", days: 90 },
+    { id: "all", label: "All time", days: null }
+];
+
+const STEP_LABELS = {
+    choose_domain: "Choosing a topic",
+    choose_focus: "Choosing what to see",
+    refine_and_show: "Looking at results",
+    screening: "Eligibility questions"
+};
+
+const ENDING_LABELS = {
+    end: "Finished (End)",
+    idle: "Timed out (idle)",
+    left: "Closed the page",
+    restart: "Started over"
+};
+
+const MATCH_LABELS = {
+    none: "Nothing found",
+    fallback: "General topic results"
+};
+
+const ESCALATION_LABELS = {
+    opened: "Form opened",
+    ticket_created: "Ticket sent",
+    ticket_queued: "Ticket queued (offline)",
+    urgent: "Urgent help (hotlines)"
+};
+
+function domainLabel(id) {
+    return DOMAIN.some((d) => d.id === id) ? tr("en", `domain.${id}`) : id === "(none)" ? "All needs / none" : id;
+}
+
+function downloadFile(text, filename, type) {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function daysAgoIso(days) {
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// Horizontal bars, largest first
+function BarChart({ title, rows, label = (x) => x }) {
+    const max = Math.max(1, ...rows.map((r) => r.count));
+    return (
+        <section className="dashCard">
+            <div className="panelTitle">{title}</div>
+            {rows.length ? (
+                <ul className="dashBars">
+                    {rows.map((r) => (
+                        <li key={r.label}>
+                            <span className="dashBarLabel">{label(r.label)}</span>
+                            <span className="dashBarTrack">
+                                <span className="dashBar" style={{ width: `${(r.count / max) * 100}%` }} />
+                            </span>
+                            <span className="dashBarValue">{r.count}</span>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <div className="panelEmpty">No data yet.</div>
+            )}
+        </section>
+    );
+}
+
+// Events per day, as columns
+function DailyChart({ rows }) {
+    const max = Math.max(1, ...rows.map((r) => r.count));
+    const w = 640;
+    const h = 140;
+    const col = rows.length ? w / rows.length : w;
+    return (
+        <section className="dashCard dashWide">
+            <div className="panelTitle">Events per day</div>
+            {rows.length ? (
+                <svg className="dashDaily" viewBox={`0 0 ${w} ${h + 18}`} role="img" aria-label="Events per day">
+                    {rows.map((r, i) => {
+                        const bh = (r.count / max) * h;
+                        return (
+                            <g key={r.label}>
+                                <title>{`${r.label}: ${r.count}`}</title>
+                                <rect x={i * col + 2} y={h - bh} width={Math.max(1, col - 4)} height={bh} />
+                                {rows.length <= 14 || i % Math.ceil(rows.length / 14) === 0 ? (
+                                    <text x={i * col + col / 2} y={h + 14} textAnchor="middle">
+                                        {String(r.label).slice(5)}
+                                    </text>
+                                ) : null}
+                            </g>
+                        );
+                    })}
+                </svg>
+            ) : (
+                <div className="panelEmpty">No data yet.</div>
+            )}
+        </section>
+    );
+}
+
+export default function Dashboard() {
+    const sink = getAnalyticsSink();
+    const [local, setLocal] = useState(() => sink.read?.() || []);
+    const [imported, setImported] = useState([]);
+    const [period, setPeriod] = useState("30");
+    const [notice, setNotice] = useState("");
+
+    const events = useMemo(() => {
+        const days = PERIODS.find((p) => p.id === period)?.days;
+        const from = days ? daysAgoIso(days) : "";
+        return [...local, ...imported].filter((e) => !from || (e.day || "") >= from);
+    }, [local, imported, period]);
+
+    const summary = useMemo(() => summarizeEvents(events), [events]);
+    const count = (rows, label) => rows.find((r) => r.label === label)?.count || 0;
+
+    async function onImport(e) {
+        const files = [...(e.target.files || [])];
+        e.target.value = "";
+        const added = [];
+        for (const file of files) {
+            try {
+                const data = JSON.parse(await file.text());
+                if (!Array.isArray(data)) throw new Error("expected a list of events");
+                added.push(...data.filter((x) => x && typeof x.type === "string"));
+            } catch (err) {
+                setNotice(`Could not read ${file.name}: ${err.message}`);
+                return;
+            }
+        }
+        setImported((prev) => [...prev, ...added]);
+        setNotice(`Added ${added.length} event(s) from ${files.length} file(s). Imported events are not saved.`);
+    }
+
+    function onClear() {
+        if (!window.confirm("Delete the usage events recorded on this device?")) return;
+        sink.clear?.();
+        setLocal([]);
+        setNotice("Events on this device deleted.");
+    }
+
+    function exportCsv() {
+        downloadFile(eventsToCsv(events), "usage_events.csv", "text/csv");
+    }
+
+    function exportJson() {
+        downloadFile(JSON.stringify(events, null, 2) + "\n", "usage_events.json", "application/json");
+    }
+
+    function exportUnmet() {
+        downloadFile(unmetNeedsToCsv(summary.zeroQueries), "unmet_needs.csv", "text/csv");
+    }
+
+    return (
+        <div className="page admin">
+            <header className="topbar">
+                <div className="brand">
+                    <div className="title">Usage dashboard</div>
+                    <div className="subtitle">
+                        Anonymous events from users who opted in · {local.length} on this device
+                        {imported.length ? ` · ${imported.length} imported` : ""}
+                        {sink.read ? "" : " · events are sent to the configured endpoint"}
+                    </div>
+                </div>
+                <div className="actions">
+                    <select className="select" value={period} onChange={(e) => setPeriod(e.target.value)} aria-label="Period">
+                        {PERIODS.map((p) => (
+                            <option key={p.id} value={p.id}>
+                                {p.label}
+                            </option>
+                        ))}
+                    </select>
+                    <label className="btn ghost adminFile">
+                        Add event files
+                        <input type="file" accept="application/json,.json" multiple onChange={onImport} />
+                    </label>
+                    <button className="btn" type="button" onClick={exportCsv} disabled={!events.length}>
+                        Export CSV
+                    </button>
+                    <button className="btn ghost" type="button" onClick={exportJson} disabled={!events.length}>
+                        Export JSON
+                    </button>
+                    <button className="btn ghost" type="button" onClick={onClear} disabled={!local.length}>
+                        Delete events
+                    </button>
+                    <a className="btn ghost adminLink" href="#/">
+                        Back to assistant
+                    </a>
+                </div>
+            </header>
+
+            {notice ? (
+                <div className="adminNotice" role="status">
+                    {notice}
+                </div>
+            ) : null}
+
+            <main className="dashMain">
+                <section className="dashStats">
+                    <div className="dashStat">
+                        <span className="dashStatValue">{summary.sessions}</span>
+                        <span className="dashStatLabel">Conversations</span>
+                    </div>
+                    <div className="dashStat">
+                        <span className="dashStatValue">{count(summary.byType, "domain_selected")}</span>
+                        <span className="dashStatLabel">Topics chosen</span>
+                    </div>
+                    <div className="dashStat">
+                        <span className="dashStatValue">{count(summary.byType, "zero_results")}</span>
+                        <span className="dashStatLabel">Searches with no results</span>
+                    </div>
+                    <div className="dashStat">
+                        <span className="dashStatValue">
+                            {count(summary.escalations, "ticket_created") + count(summary.escalations, "ticket_queued")}
+                        </span>
+                        <span className="dashStatLabel">Escalation tickets</span>
+                    </div>
+                </section>
+
+                <DailyChart rows={summary.byDay} />
+
+                <BarChart title="Topics chosen" rows={summary.domains} label={domainLabel} />
+                <BarChart title="What people wanted to see" rows={summary.focus} />
+                <BarChart title="How conversations ended" rows={summary.endings} label={(x) => ENDING_LABELS[x] || x} />
+                <BarChart title="Where people dropped off" rows={summary.dropOffSteps} label={(x) => STEP_LABELS[x] || x} />
+                <BarChart title="Escalations" rows={summary.escalations} label={(x) => ESCALATION_LABELS[x] || x} />
+                <BarChart title="No results, by topic" rows={summary.zeroByDomain} label={domainLabel} />
+
+                <section className="dashCard dashWide">
+                    <div className="adminEditorHead">
+                        <div className="panelTitle">Searches with no results (possible gaps in the KB)</div>
+                        <button className="chip" type="button" onClick={exportUnmet} disabled={!summary.zeroQueries.length}>
+                            Export CSV
+                        </button>
+                    </div>
+                    {summary.zeroQueries.length ? (
+                        <table className="adminLogTable">
+                            <thead>
+                                <tr>
+                                    <th>Search (personal details removed)</th>
+                                    <th>Topic</th>
+                                    <th>Shown instead</th>
+                                    <th>Count</th>
+                                    <th>Last seen</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {summary.zeroQueries.map((q) => (
+                                    <tr key={`${q.domainId}|${q.match}|${q.query}`}>
+                                        <td>{q.query || "(empty)"}</td>
+                                        <td>{q.domainId ? domainLabel(q.domainId) : "—"}</td>
+                                        <td>{MATCH_LABELS[q.match] || q.match}</td>
+                                        <td>{q.count}</td>
+                                        <td>{q.lastDay}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    ) : (
+                        <div className="panelEmpty">No unanswered searches in this period.</div>
+                    )}
+                </section>
+            </main>
+        </div>
+    );
+}
@@ -0,0 +1,33 @@
+import React, { Suspense, lazy, useEffect, useState } from "react";
+import App from "./App.jsx";
+
+// Staff pages are loaded on demand, so the assistant bundle stays small
+const Admin = lazy(() => import("./Admin.jsx"));
+const Dashboard = lazy(() => import("./Dashboard.jsx"));
+
+// Hash routes: "#/admin" opens the KB editor, "#/dashboard" the usage dashboard, anything else the assistant
+export default function Root() {
+    const [hash, setHash] = useState(() => window.location.hash);
+
+    useEffect(() => {
+        const onChange = () => setHash(window.location.hash);
+        window.addEventListener("hashchange", onChange);
+        return () => window.removeEventListener("hashchange", onChange);
+    }, []);
+
+    if (hash.startsWith("#/admin")) {
+        return (
+            <Suspense fallback={null}>
+                <Admin />
+            </Suspense>
+        );
+    }
+    if (hash.startsWith("#/dashboard")) {
+        return (
+            <Suspense fallback={null}>
+                <Dashboard />
+            </Suspense>
+        );
+    }
+    return <App />;
+}
@@ -0,0 +1,32 @@
+import React, { useState } from "react";
+import App from "./App.jsx";
+import { t } from "./utils/i18n";
+
+// The embeddable widget: a floating launcher button that opens the assistant in a panel.
+// The assistant stays mounted while the panel is closed, so closing it doesn't lose the conversation.
+export default function Widget({ lang, domain, allowedDomains, open: startOpen, onHostEvent }) {
+    const [open, setOpen] = useState(startOpen);
+
+    return (
+        <div className="widget">
+            <div className="widgetPanel" role="dialog" aria-label={t(lang, "title")} hidden={!open}>
+                <App
+                    initialLang={lang}
+                    domain={domain}
+                    allowedDomains={allowedDomains}
+                    embedded
+                    onHostEvent={onHostEvent}
+                />
+            </div>
+
+            <button
+                className="widgetLauncher"
+                type="button"
+                aria-expanded={open}
+                onClick={() => setOpen((v) => !v)}
+            >
+                {open ? t(lang, "widgetClose") : t(lang, "widgetOpen")}
+            </button>
+        </div>
+    );
+}
@@ -0,0 +1,171 @@
+// Scheme / entry-point card, shared by the chat, the shortlist and the KB editor preview.
+import React, { useState } from "react";
+import { t } from "../utils/i18n";
+
+export function LinkList({ links, lang, label = "officialLinks" }) {
+    if (!links?.length) return null;
+    return (
+        <div className="links">
+            <div className="linksLabel">{t(lang, label)}</div>
+            <ul>
+                {links.map((u) => (
+                    <li key={u}>
+                        <a href={u} target="_blank" rel="noreferrer">
+                            {u}
+                        </a>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+function DocsChecklist({ cardId, docs, lang }) {
+    const [done, setDone] = useState(() => new Set());
+
+    function toggle(i) {
+        setDone((prev) => {
+            const next = new Set(prev);
+            if (next.has(i)) next.delete(i);
+            else next.add(i);
+            return next;
+        });
+    }
+
+    return (
+        <div className="cardBlock">
+            <div className="cardBlockTitle">
+                {t(lang, "docsTitle")} ({done.size}/{docs.length})
+            </div>
+            <ul className="checklist">
+                {docs.map((x, i) => (
+                    <li key={i}>
+                        <label>
+                            <input
+                                type="checkbox"
+                                checked={done.has(i)}
+                                onChange={() => toggle(i)}
+                                id={`${cardId}_doc_${i}`}
+                            />{" "}
+                            <span>{x}</span>
+                        </label>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+// Compact card in results; focus "detail" shows every field (all bullets, documents, sources)
+export function SchemeCard({ card, lang, onAction, saved = false, onToggleSave }) {
+    const focus = card.focus || "overview";
+    const isEntry = focus === "entry";
+    const isDetail = focus === "detail";
+    const limit = isDetail ? undefined : 4;
+
+    return (
+        <div className="card">
+            <div className="cardTitle">{card.title}</div>
+
+            {card.screening ? (
+                <div className={`badge ${card.screening.label}`}>{card.screening.text}</div>
+            ) : null}
+
+            {card.summary ? <div className="cardSummary">{card.summary}</div> : null}
+
+            {isEntry && card.contacts ? (
+                <div className="cardBlock">
+                    <div className="cardBlockTitle">{t(lang, "contacts")}</div>
+                    <div className="kv">
+                        {card.contacts.hotline ? (
+                            <div>
+                                <span className="k">{t(lang, "hotline")}:</span>{" "}
+                                <span className="v">{card.contacts.hotline}</span>
+                            </div>
+                        ) : null}
+                        {card.contacts.email ? (
+                            <div>
+                                <span className="k">{t(lang, "email")}:</span>{" "}
+                                <span className="v">{card.contacts.email}</span>
+                            </div>
+                        ) : null}
+                    </div>
+                </div>
+            ) : null}
+
+            {!isEntry && (isDetail || focus === "overview" || focus === "eligibility") ? (
+                card.eligibility?.length ? (
+                    <div className="cardBlock">
+                        <div className="cardBlockTitle">{t(lang, "eligibility")}</div>
+                        <ul>
+                            {card.eligibility.slice(0, limit).map((x, i) => (
+                                <li key={i}>{x}</li>
+                            ))}
+                        </ul>
+                    </div>
+                ) : null
+            ) : null}
+
+            {!isEntry && (isDetail || focus === "overview" || focus === "steps") ? (
+                card.steps?.length ? (
+                    <div className="cardBlock">
+                        <div className="cardBlockTitle">{t(lang, "howToApply")}</div>
+                        <ol>
+                            {card.steps.slice(0, limit).map((x, i) => (
+                                <li key={i}>{x}</li>
+                            ))}
+                        </ol>
+                    </div>
+                ) : null
+            ) : null}
+
+            {!isEntry && (isDetail || focus === "documents") ? (
+                card.docs?.length ? (
+                    <DocsChecklist cardId={card.id} docs={card.docs} lang={lang} />
+                ) : (
+                    <div className="cardBlock">
+                        <div className="cardBlockTitle">
+                            {t(lang, "docsMissing")}
+                        </div>
+                    </div>
+                )
+            ) : null}
+
+            <LinkList links={card.links} lang={lang} />
+            {isDetail ? <LinkList links={card.sources} lang={lang} label="sources" /> : null}
+
+            {!isEntry && (onAction || onToggleSave) ? (
+                <div className="cardActions">
+                    {onToggleSave ? (
+                        <button
+                            type="button"
+                            className={saved ? "btn" : "btn ghost"}
+                            aria-pressed={saved}
+                            onClick={() => onToggleSave(card.id)}
+                        >
+                            {saved ? t(lang, "saved") : t(lang, "save")}
+                        </button>
+                    ) : null}
+                    {onAction && !isDetail ? (
+                        <button
+                            type="button"
+                            className="btn ghost"
+                            onClick={() => onAction(t(lang, "viewDetails"), { type: "SHOW_SCHEME", schemeId: card.id })}
+                        >
+                            {t(lang, "viewDetails")}
+                        </button>
+                    ) : null}
+                    {onAction ? (
+                        <button
+                            type="button"
+                            className="btn ghost"
+                            onClick={() => onAction(t(lang, "relatedSchemes"), { type: "RELATED", schemeId: card.id })}
+                        >
+                            {t(lang, "relatedSchemes")}
+                        </button>
+                    ) : null}
+                </div>
+            ) : null}
+        </div>
+    );
+}
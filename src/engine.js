@@ -0,0 +1,29 @@
+// Headless dialog engine: everything needed to hold a conversation without the React UI, as a plain ES module
+// that runs in Node as well as in the browser (no Vite-only imports anywhere below it).
+//   import { initDialogState, handleUserText, handleAction } from "sg-social-good-assistant/engine";
+//   let state = initDialogState("en");
+//   ({ state, message } = handleUserText(state, "I need help with housing"));
+// - The engine is pure: (state, input) -> { state, message }; messages carry text, cards and quick replies
+//   (message.quickReplies[i].action goes back in through handleAction) plus a language-neutral `desc`
+// - The knowledge base, dialog flow and NLU provider are swappable (setKnowledgeBase, setDialogFlow, setNluProvider)
+// - createTextChat / formatMessage render conversations as plain text (the `npm run chat` REPL)
+export {
+  initDialogState,
+  getInitialAssistantMessage,
+  handleUserText,
+  handleAction,
+  renderMessage,
+  setKnowledgeBase,
+  getKnowledgeBaseMeta,
+  checkDialogFlow,
+  setDialogFlow,
+  getSchemeCards,
+  getEntryPointCards,
+  searchSchemes,
+  detectNeeds,
+  buildPlan
+} from "./utils/dialogEngine.js";
+export { NLU_PROVIDERS, loadNluProvider, getNluProvider, setNluProvider } from "./utils/nlu.js";
+export { DOMAIN } from "./utils/domains.js";
+export { LANGS } from "./utils/languages.js";
+export { createTextChat, formatMessage } from "./utils/textChat.js";
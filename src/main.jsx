@@ -1,10 +1,16 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
-import App from "./App.jsx";
+import Root from "./Root.jsx";
 import "./index.css";
+import "./App.css";
+import { registerServiceWorker } from "./utils/pwa";
+import { configureNluProvider } from "./utils/nlu";
+
+registerServiceWorker();
+configureNluProvider();
 
 ReactDOM.createRoot(document.getElementById("root")).render(
     <React.StrictMode>
-        <App />
+        <Root />
     </React.StrictMode>
 );
@@ -0,0 +1,68 @@
+// Service worker: keeps the assistant usable on patchy connections
+// - Precaches the app shell (HTML, JS, CSS, icons, manifest); the KB is bundled into the JS, so the dialog engine runs offline
+// - Navigations: network first, falling back to the cached shell
+// - Precached files: cache first (file names are content-hashed, so they never go stale)
+// - Other same-origin GETs: network first, cached copy when offline
+// Built by scripts/serviceWorkerPlugin.js, which fills in the precache list and version below.
+
+const PRECACHE = self.__PRECACHE_MANIFEST__ || [];
+const VERSION = self.__PRECACHE_VERSION__ || "dev";
+
+const CACHE_PREFIX = "sga-";
+const CACHE_NAME = `${CACHE_PREFIX}${VERSION}`;
+const SCOPE = new URL("./", self.location).pathname; // e.g. /social-good-assistant/
+const SHELL = `${SCOPE}index.html`;
+
+const PRECACHE_URLS = new Set(PRECACHE.map(p => `${SCOPE}${p}`));
+
+self.addEventListener("install", event => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then(cache => cache.addAll([...PRECACHE_URLS]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith(CACHE_PREFIX) && k !== CACHE_NAME).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request, fallbackUrl) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const res = await fetch(request);
+    if (res.ok && res.type === "basic") cache.put(request, res.clone());
+    return res;
+  } catch (e) {
+    const cached = (await cache.match(request)) || (fallbackUrl && (await cache.match(fallbackUrl)));
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  return cached || fetch(request);
+}
+
+self.addEventListener("fetch", event => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin || !url.pathname.startsWith(SCOPE)) return; // e.g. a remote KB: see utils/kbLoader
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, SHELL));
+  } else if (PRECACHE_URLS.has(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  } else {
+    event.respondWith(networkFirst(request));
+  }
+});
@@ -0,0 +1,248 @@
+// Anonymous usage events, opt-in (staff dashboard: #/dashboard)
+// - Nothing is recorded until the user agrees; "Clear my data" removes the events and the answer
+// - No names, contacts or message text: only what was picked (domain, focus), where people stop,
+//   and -- for unmet-need reporting -- zero-result queries with personal details scrubbed out
+// - Events go to a pluggable sink: localStorage (default) or an HTTP endpoint (VITE_ANALYTICS_ENDPOINT)
+// - Events are derived by comparing dialog states before/after each turn, so the engine stays pure
+import { STORAGE_KEYS, deviceStorage } from "./storage.js";
+
+const CONSENT_KEY = STORAGE_KEYS.analyticsConsent;
+const EVENTS_KEY = STORAGE_KEYS.analyticsEvents;
+const LOCAL_EVENT_LIMIT = 5000;
+const MAX_QUERY_CHARS = 120;
+
+export const EVENT_TYPES = ["domain_selected", "focus_selected", "zero_results", "escalation", "end", "drop_off"];
+
+// ----------------- Consent -----------------
+
+/** true / false once answered, null while not asked yet */
+export function getAnalyticsConsent(store = deviceStorage()) {
+  const v = store?.getItem(CONSENT_KEY);
+  return v === "granted" ? true : v === "denied" ? false : null;
+}
+
+export function setAnalyticsConsent(granted, store = deviceStorage()) {
+  try {
+    store?.setItem(CONSENT_KEY, granted ? "granted" : "denied");
+  } catch {
+    // storage disabled: we'll ask again next visit
+  }
+}
+
+// ----------------- PII scrubbing -----------------
+
+const SCRUBBERS = [
+  [/\bhttps?:\/\/\S+/gi, "[link]"],
+  [/[^\s@]+@[^\s@]+\.[^\s@]+/g, "[email]"],
+  [/\b[STFGM]\d{7}[A-Z]\b/gi, "[nric]"],                       // NRIC / FIN
+  [/(?:\+?65[\s-]?)?\b[3689]\d{3}[\s-]?\d{4}\b/g, "[phone]"],   // SG phone numbers
+  [/\b(?:blk|block)\s*\d+[a-z]?\b/gi, "[address]"],
+  [/#\d{1,3}-\d{1,5}\b/g, "[address]"],                         // unit numbers
+  [/\b\d{6}\b/g, "[postcode]"],
+  [/\d{5,}/g, "[number]"],
+  [/\b(my name is|i am called|name:)\s+\S+(\s+\S+)?/gi, "$1 [name]"],
+  [/(我叫|我的名字是|我名叫)\s*\S{1,4}/g, "$1[name]"],
+  [/\b(nama saya)\s+\S+/gi, "$1 [name]"]
+];
+
+/**
+ * Remove personal details from free text before it is stored (emails, phone / NRIC numbers, addresses, names).
+ */
+export function scrubPii(text) {
+  let s = String(text || "");
+  for (const [re, repl] of SCRUBBERS) s = s.replace(re, repl);
+  return s.replace(/\s+/g, " ").trim().slice(0, MAX_QUERY_CHARS);
+}
+
+// ----------------- Sinks -----------------
+// A sink is any object with `write(event)`; `read()` / `clear()` are optional (the dashboard uses them).
+
+export function createLocalStorageSink(store = deviceStorage(), key = EVENTS_KEY, limit = LOCAL_EVENT_LIMIT) {
+  const read = () => {
+    try {
+      const events = JSON.parse(store?.getItem(key) || "[]");
+      return Array.isArray(events) ? events : [];
+    } catch {
+      return [];
+    }
+  };
+  return {
+    kind: "local",
+    write(event) {
+      try {
+        store?.setItem(key, JSON.stringify([...read(), event].slice(-limit)));
+      } catch {
+        // quota exceeded: drop the event
+      }
+    },
+    read,
+    clear() {
+      store?.removeItem(key);
+    }
+  };
+}
+
+export function createHttpSink(endpoint, { fetchImpl = globalThis.fetch } = {}) {
+  return {
+    kind: "http",
+    write(event) {
+      // Fire and forget: analytics must never get in the user's way
+      fetchImpl?.(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(event),
+        keepalive: true
+      }).catch(() => {});
+    }
+  };
+}
+
+let sink = null;
+
+export function getAnalyticsSink() {
+  if (!sink) {
+    const endpoint = import.meta.env?.VITE_ANALYTICS_ENDPOINT;
+    sink = endpoint ? createHttpSink(endpoint) : createLocalStorageSink();
+  }
+  return sink;
+}
+
+/**
+ * Swap the sink (e.g. an in-memory one in tests). `null` goes back to the default.
+ */
+export function setAnalyticsSink(next) {
+  sink = next;
+}
+
+// ----------------- Recording -----------------
+
+// Random per conversation, never stored with anything that identifies the user
+export function newAnalyticsSession() {
+  return Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * Record one event if the user opted in. Dates are kept to the day.
+ */
+export function trackEvent(type, props = {}, { session = null, lang = "en", now = new Date(), consent = getAnalyticsConsent() } = {}) {
+  if (consent !== true) return;
+  getAnalyticsSink().write({ type, day: now.toISOString().slice(0, 10), lang, session, ...props });
+}
+
+// "none": nothing matched at all (only entry points shown);
+// "fallback": the words matched no scheme, so the topic's general schemes were shown instead
+function unmatchedKind(message) {
+  const keys = (message?.desc?.text || []).map(p => p?.key);
+  if (keys.includes("msg.noMatch")) return "none";
+  if (keys.includes("msg.resultsLow")) return "fallback";
+  return null;
+}
+
+/**
+ * Events for one turn, from the dialog state before / after it and what the user did:
+ * turn = { text } for typed input, { action } for a quick reply.
+ */
+export function turnEvents(prev, next, message, turn = {}) {
+  const events = [];
+  const via = turn.action ? "chip" : "text";
+
+  const added = (next.needs || []).filter(id => !(prev.needs || []).includes(id));
+  const picked = next.domainId && next.domainId !== prev.domainId && !added.includes(next.domainId) ? [next.domainId] : [];
+  for (const domainId of [...added, ...picked]) events.push({ type: "domain_selected", domainId, via });
+
+  if (turn.action?.type === "SET_FOCUS" || next.focus !== prev.focus) {
+    events.push({ type: "focus_selected", focus: next.focus, domainId: next.domainId || null });
+  }
+
+  const unmatched = unmatchedKind(message);
+  if (unmatched === "none" || (unmatched === "fallback" && turn.text)) {
+    events.push({
+      type: "zero_results",
+      match: unmatched,
+      domainId: next.domainId || null,
+      focus: next.focus,
+      query: scrubPii(turn.text || next.lastQuery || "")
+    });
+  }
+
+  if (message?.form === "ticket") events.push({ type: "escalation", stage: "opened", domainId: next.domainId || null });
+  // "Urgent help": straight to the hotlines; the topic is left, so report the one they were in
+  if (turn.action?.type === "URGENT") events.push({ type: "escalation", stage: "urgent", domainId: prev.domainId || null });
+
+  if (next.ended && !prev.ended) events.push({ type: "end", step: prev.step, domainId: prev.domainId || null });
+
+  // Starting over part-way: the previous attempt didn't get anywhere
+  if (turn.action?.type === "RESTART" && !prev.ended && (prev.needs || []).length) {
+    events.push({ type: "drop_off", reason: "restart", step: prev.step, domainId: prev.domainId || null });
+  }
+
+  return events;
+}
+
+// ----------------- Reporting (dashboard) -----------------
+
+function countBy(events, key) {
+  const counts = new Map();
+  for (const e of events) {
+    const k = e[key] ?? "(none)";
+    counts.set(k, (counts.get(k) || 0) + 1);
+  }
+  return [...counts.entries()].map(([label, count]) => ({ label, count })).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Aggregate events for the dashboard.
+ */
+export function summarizeEvents(events) {
+  const of = type => events.filter(e => e.type === type);
+  const zero = of("zero_results");
+
+  const queries = new Map();
+  for (const e of zero) {
+    const q = (e.query || "").toLowerCase();
+    const k = `${e.domainId || ""}|${e.match || "none"}|${q}`;
+    const row = queries.get(k) || { query: q, domainId: e.domainId || null, match: e.match || "none", count: 0, lastDay: null };
+    row.count += 1;
+    if (!row.lastDay || e.day > row.lastDay) row.lastDay = e.day;
+    queries.set(k, row);
+  }
+
+  return {
+    total: events.length,
+    sessions: new Set(events.map(e => e.session).filter(Boolean)).size,
+    byType: countBy(events, "type"),
+    byDay: countBy(events, "day").sort((a, b) => String(a.label).localeCompare(String(b.label))),
+    domains: countBy(of("domain_selected"), "domainId"),
+    focus: countBy(of("focus_selected"), "focus"),
+    zeroByDomain: countBy(zero, "domainId"),
+    zeroQueries: [...queries.values()].sort((a, b) => b.count - a.count || a.query.localeCompare(b.query)),
+    escalations: countBy(of("escalation"), "stage"),
+    endings: countBy([...of("end").map(e => ({ ...e, how: "end" })), ...of("drop_off").map(e => ({ ...e, how: e.reason }))], "how"),
+    dropOffSteps: countBy(of("drop_off"), "step")
+  };
+}
+
+const CSV_COLUMNS = ["day", "type", "lang", "session", "domainId", "focus", "via", "stage", "step", "reason", "match", "query"];
+
+// Text starting with = + - @ (or a tab / CR) runs as a formula in Excel and Sheets; queries are typed by
+// users, so such cells get a leading ' to stay plain text (CSV injection)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(v) {
+  const raw = v == null ? "" : String(v);
+  const s = typeof v === "string" && FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function eventsToCsv(events) {
+  const rows = events.map(e => CSV_COLUMNS.map(c => csvCell(e[c])).join(","));
+  return [CSV_COLUMNS.join(","), ...rows].join("\n");
+}
+
+/**
+ * The "searches with no results" table (see summarizeEvents().zeroQueries) as CSV.
+ */
+export function unmetNeedsToCsv(zeroQueries) {
+  const rows = zeroQueries.map(q => [q.query, q.domainId, q.match, q.count, q.lastDay].map(csvCell).join(","));
+  return ["query,domain,match,count,last_seen", ...rows].join("\n");
+}
@@ -1,233 +1,230 @@
 // Design goals
-// - One clear flow: choose domain -> choose focus (eligibility / steps / overview) -> refine query -> show schemes
+// - One clear flow: choose domain -> choose focus (eligibility / steps / documents / overview) -> refine query -> show schemes
+//   The steps, prompts, chips and transitions are data (src/data/dialog_flow.json, run by utils/dialogFlow);
+//   this module supplies what the flow refers to by name: guards, state updates, computed values and views
 // - Always offer: Back to topics / Restart
-// - Global urgent & sensitive handling (entry points first)
-// - Be tolerant of free-form input: detect domain from natural text, soft-guess domain if needed
+// - Global urgent & sensitive handling (entry points first), with risk tracked across the conversation (utils/safety)
+// - Be tolerant of free-form input: detect the needs in natural text (pluggable NLU provider, see utils/nlu)
 // - More empathetic, caring tone while staying factual
-
-import kb from "../data/sg_services_kb.json";
+// - Headless: runs in Node as well as the browser (src/engine.js, `npm run chat`), so imports here and in the
+//   modules below carry their .js extension. JSON imports carry a `type: "json"` attribute, here and everywhere
+//   else in src (Vite warns when the same file is imported with and without it)
+
+import bundledKb from "../data/sg_services_kb.json" with { type: "json" };
+import bundledFlow from "../data/dialog_flow.json" with { type: "json" };
+import { SCREEN_QUESTIONS, screenScheme, screenSchemes, hasProfile } from "./eligibility.js";
+import { tr, fillText } from "./engineText.js";
+import { getIndex, search, tokenizeText } from "./searchIndex.js";
+import { DOMAIN } from "./domains.js";
+import { initSafetyState, assessTurn, raiseSafetyLevel } from "./safety.js";
+import { STOPWORDS, normalizeText } from "./textNormalize.js";
+import { getNluProvider } from "./nlu.js";
+import { mergeSlots, slotsToProfile, slotsToScreenAnswers } from "./slots.js";
+import { TEXT_EVENTS, runFlow, checkFlow, sayDescriptor, localized } from "./dialogFlow.js";
+
+// Active knowledge base: the bundled copy until the app swaps in a newer one (see utils/kbLoader).
+// Search and "related" caches are keyed by the schemes array, so a swap rebuilds them on next use.
+let kb = bundledKb;
+
+// Active dialog flow: the bundled one unless swapped with setDialogFlow
+let flow = bundledFlow;
 
 const DEFAULT_PAGE_SIZE = 3;
+const GROUP_PAGE_SIZE = 2;   // schemes per need when several needs are shown together
 const MAX_MATCHES_CAP = 50; // safety cap (avoid huge payloads)
+const CATEGORY_BOOST = 5;             // added to every scheme in the chosen domain
+const MIN_CONFIDENT_TEXT_SCORE = 1.5; // below this, results are introduced as "possibly relevant"
+const RELATED_LIMIT = 3;
+const RELATED_CATEGORY_BONUS = 1;     // added when both schemes are in the same category
+const RELATED_MIN_SCORE = 3.5;        // shared generic words ("support", "补贴") stay below this
+const PROFILE_BOOST = 2;              // added to matched schemes the household looks likely eligible for
+const UNLIKELY_FACTOR = 0.5;          // matched schemes it looks ineligible for sink, but stay listed
+
+// KB text field for the UI language, e.g. pickField(s, "name", "ms") -> s.name_ms || s.name_en
+function pickField(obj, field, lang) {
+  return obj?.[`${field}_${lang}`] || obj?.[`${field}_en`] || obj?.[`${field}_zh`] || "";
+}
 
-const STOPWORDS = new Set([
-  "the","a","an","to","for","and","or","of","in","on","at","is","are","am",
-  "i","me","my","we","our","you","your","they","them","this","that",
-  "need","help","please","can","could","want","looking","apply","get",
-  "with","from","about","into","as","it","im","i'm",
-
-  "我","我们","你","你们","需要","想","申请","帮助","怎么","如何","有没有","可以","吗","要","找","想要","一下","现在","这个","那个"
-]);
-
-// Make synonyms generous: this is the key to "free-form" robustness.
-const SYNONYMS = [
-  // English -> canonical
-  { re: /\b(financial aid|cash help|money help|no money|broke|bills? help|overdue bills?|arrears|low income|debt)\b/i, norm: "financial aid" },
-  { re: /\b(housing grant|rental support|rent help|no place to stay|eviction|evicted|homeless|shelter|sleeping outside)\b/i, norm: "housing" },
-
-  // IMPORTANT: "health" should map into medical intent
-  { re: /\b(health|healthcare|medical|sick|ill|clinic|doctor|gp|polyclinic|medicine|medication|dental)\b/i, norm: "medical" },
-  { re: /\b(hospital bill|ward|a&e|emergency room|cannot afford hospital|cant afford hospital)\b/i, norm: "hospital bill" },
-  { re: /\b(medical subsidy|clinic subsidy|medifund|chas|medisave|medishield)\b/i, norm: "medical" },
-
-  { re: /\b(senior support|elderly|caregiver|home care)\b/i, norm: "seniors" },
-  { re: /\b(disability|wheelchair|assistive|pwd|sgenable)\b/i, norm: "disability" },
-  { re: /\b(school fees|childcare|preschool|student care|kifas|ecda)\b/i, norm: "education" },
-  { re: /\b(job|employment|unemployed|training|upskill|skillsfuture)\b/i, norm: "employment" },
-  { re: /\b(mental health|anxiety|depression|counselling|therapy|stressed|overwhelmed|panic|suicid)\b/i, norm: "mental health" },
-  { re: /\b(legal aid|lawyer|divorce|court|legal)\b/i, norm: "legal" },
-
-  // Chinese -> canonical
-  { re: /(经济援助|现金补助|没钱|我很穷|生活费|账单|欠费|补贴|发放)/, norm: "financial aid" },
-  { re: /(住房|租房|租金补贴|被驱逐|驱逐通知|没地方住|无家可归|收容|露宿)/, norm: "housing" },
-
-  { re: /(健康|生病|看病|医疗|医药费|药|药费|太贵|诊所|医生|医院账单|住院费|急诊|A&E|社工)/i, norm: "medical" },
-
-  { re: /(长者|老人|照护|护理|照护者|看护)/, norm: "seniors" },
-  { re: /(残障|残疾|轮椅|辅助器材|助听器)/, norm: "disability" },
-  { re: /(学费|幼儿园|托儿|学生托管|课后照护)/, norm: "education" },
-  { re: /(工作|就业|失业|培训|技能|课程补贴)/, norm: "employment" },
-  { re: /(心理|抑郁|焦虑|压力很大|崩溃|想不开|自杀|辅导)/, norm: "mental health" },
-  { re: /(法律援助|离婚|律师|法庭|法律)/, norm: "legal" }
-];
-
-const SENSITIVE_TRIGGERS = [
-  /\b(suicide|kill myself|self-harm|end my life)\b/i,
-  /(自杀|轻生|想不开|伤害自己|结束生命)/
-];
-
-const URGENT_TRIGGERS = [
-  /\b(no place to stay today|no place to stay tonight|sleeping outside|evicted today|urgent|emergency|tonight)\b/i,
-  /(今天没地方住|今晚没地方睡|紧急|急需|被赶出来|露宿|马上需要)/
-];
-
-const DOMAIN = [
-  { id: "financial",  cat: "financial_assistance",  en: "Financial",     zh: "经济援助" },
-  { id: "housing",    cat: "housing_assistance",    en: "Housing",       zh: "住房" },
-  { id: "healthcare", cat: "healthcare_support",    en: "Healthcare",    zh: "医疗" },
-  { id: "seniors",    cat: "elderly_support",       en: "Seniors",       zh: "长者支持" },
-  { id: "disability", cat: "disability_support",    en: "Disability",    zh: "残障支持" },
-  { id: "legal",      cat: "legal_support",         en: "Legal",         zh: "法律援助" },
-  { id: "mental",     cat: "mental_health_support", en: "Mental health", zh: "心理支持" }
-];
-
-// Optional: category keyword hints to help soft-domain scoring
-const DOMAIN_HINTS = {
-  financial: ["financial aid","comcare","gstv","assurance","cdc","workfare","wis","cash","bills"],
-  housing: ["housing","rent","rental","hdb","irh","pphs","eviction","homeless","shelter"],
-  healthcare: ["medical","clinic","doctor","chas","medifund","medisave","medishield","hospital bill","health"],
-  seniors: ["seniors","elderly","caregiver","aic","silver support"],
-  disability: ["disability","pwd","sgenable","assistive","atf","eec"],
-  legal: ["legal","lab","lawyer","divorce","court","legal aid"],
-  mental: ["mental health","mindline","1771","anxiety","depression","stressed","overwhelmed"]
-};
-
-function langPick(lang, en, zh) {
-  return lang === "zh" ? (zh || en) : (en || zh);
+function pickList(obj, field, lang) {
+  const own = obj?.[`${field}_${lang}`];
+  return own?.length ? own : (obj?.[`${field}_en`] || []);
 }
 
-function normalizeText(raw = "") {
-  let t = raw.trim();
-  for (const s of SYNONYMS) t = t.replace(s.re, s.norm);
-  return t;
+function domainLabel(domainId, lang) {
+  return domainId ? tr(lang, `domain.${domainId}`) : "";
 }
 
-function tokenize(raw = "") {
-  const t = normalizeText(raw)
-      .toLowerCase()
-      .replace(/[^\p{L}\p{N}\s]+/gu, " ");
-  const parts = t.split(/\s+/).filter(Boolean);
-  return parts.filter(w => !STOPWORDS.has(w));
+/**
+ * What the configured NLU provider finds in the text: { domainIds (strongest first), slots }.
+ */
+function understand(raw, lang) {
+  const { domains = [], slots = {} } = getNluProvider().classify(raw, lang) || {};
+  return { domainIds: domains.map(d => d.id), slots };
 }
 
-function containsAny(raw, regexList) {
-  return regexList.some(re => re.test(raw));
+// Household facts for ranking: what the user mentioned in free text, overridden by screener answers
+function rankingProfile(state) {
+  const answered = Object.entries(state.profile || {}).filter(([, v]) => v !== undefined && v !== null);
+  const profile = { ...slotsToProfile(state.slots), ...Object.fromEntries(answered) };
+  return hasProfile(profile) ? profile : null;
 }
 
 function domainById(id) {
   return DOMAIN.find(d => d.id === id) || null;
 }
 
-// Hard detection: fast path
-function detectDomainIdFromText(raw) {
-  const t = normalizeText(raw).toLowerCase();
-
-  if (/\bfinancial aid\b/.test(t) || /\bcomcare\b/.test(t) || /assurance|gstv|cdc vouchers|workfare|wis/.test(t)) return "financial";
-  if (/\bhousing\b/.test(t) || /eviction|evicted|homeless|rental|shelter|no place to stay/.test(t)) return "housing";
-
-  // IMPORTANT: health/medical should map to healthcare
-  if (/\bmedical\b/.test(t) || /\bhealth\b/.test(t) || /clinic|doctor|gp|polyclinic|chas|medifund|medisave|medishield|hospital bill/.test(t)) return "healthcare";
-
-  if (/\bseniors\b/.test(t) || /elderly|caregiver|silver support|aic/.test(t)) return "seniors";
-  if (/\bdisability\b/.test(t) || /pwd|sgenable|assistive|atf|eec/.test(t)) return "disability";
-  if (/\blegal\b/.test(t) || /lab|lawyer|divorce|court|legal aid/.test(t)) return "legal";
-  if (/\bmental health\b/.test(t) || /anxiety|depression|mindline|1771|stressed|overwhelmed/.test(t)) return "mental";
+function schemeById(id) {
+  return kb.schemes.find(s => s.id === id) || null;
+}
 
-  return null;
+// Append newly mentioned needs to the ranked list (earlier needs keep their rank)
+function addNeeds(needs = [], added = []) {
+  return [...needs, ...added.filter(id => !needs.includes(id))];
 }
 
-// Soft detection: if user free-types without clicking topics
-function softGuessDomainId(raw) {
-  const t = normalizeText(raw).toLowerCase();
-  const tokens = tokenize(t);
+// Locale suffixes a KB entry may carry (name_ms, summary_ta, ...); English is the required base
+const KB_LANGS = ["en", "zh", "ms", "ta"];
 
-  let best = { id: null, score: 0 };
-  for (const d of DOMAIN) {
-    const hints = DOMAIN_HINTS[d.id] || [];
-    let s = 0;
+function schemeIndex() {
+  return getIndex(kb.schemes, { langs: KB_LANGS, normalize: normalizeText, stopwords: STOPWORDS });
+}
 
-    for (const h of hints) {
-      const hh = normalizeText(h).toLowerCase();
-      if (t.includes(hh)) s += 3;
-    }
-    for (const tok of tokens) {
-      if (hints.some(h => normalizeText(h).toLowerCase().includes(tok))) s += 1;
-    }
+/**
+ * Return all matched schemes (sorted, score>0) up to MAX_MATCHES_CAP.
+ * Text relevance comes from the BM25 index; schemes in the chosen domain get a flat boost,
+ * so picking a topic still lists its schemes when the query itself matches little.
+ * With household facts (`profile`), matched schemes are re-weighted by how eligible the household looks.
+ * We paginate on top of this to avoid duplicates.
+ */
+function retrieveAllSchemes({ query, domainId, profile = null }) {
+  const d = domainById(domainId);
+  const textScores = new Map(search(schemeIndex(), query).map(r => [r.item.id, r.score]));
 
-    // tiny bias if user already typed canonical keyword like "medical"/"housing"
-    if (t.includes(d.id)) s += 1;
+  const scored = kb.schemes
+      .map(s => {
+        const text = textScores.get(s.id) || 0;
+        const score = text + (d && s.category === d.cat ? CATEGORY_BOOST : 0);
+        return { s, text, score: profile && score > 0 ? profileWeighted(s, score, profile) : score };
+      })
+      .sort((a, b) => b.score - a.score);
 
-    if (s > best.score) best = { id: d.id, score: s };
-  }
+  const matched = scored.filter(x => x.score > 0).slice(0, MAX_MATCHES_CAP);
+  const bestText = Math.max(0, ...scored.map(x => x.text));
+  const lowConfidence = bestText < MIN_CONFIDENT_TEXT_SCORE;
 
-  // threshold: require at least small signal
-  return best.score >= 3 ? best.id : null;
+  return { matched, lowConfidence, bestScore: scored[0]?.score ?? 0 };
 }
 
-function schemeTextForMatch(s) {
-  const all = [
-    s.name_en, s.name_zh,
-    s.summary_en, s.summary_zh,
-    ...(s.keywords_en || []),
-    ...(s.keywords_zh || []),
-    ...(s.eligibility_en || []),
-    ...(s.eligibility_zh || []),
-    ...(s.how_to_apply_en || []),
-    ...(s.how_to_apply_zh || [])
-  ].filter(Boolean).join(" ");
-  return normalizeText(all).toLowerCase();
+function profileWeighted(s, score, profile) {
+  const { label } = screenScheme(s, profile);
+  if (label === "likely") return score + PROFILE_BOOST;
+  if (label === "unlikely") return score * UNLIKELY_FACTOR;
+  return score;
 }
 
-function scoreScheme(queryTokens, scheme, categoryBoost = null) {
-  const hay = schemeTextForMatch(scheme);
-  let score = 0;
-
-  for (const tok of queryTokens) {
-    if (hay.includes(tok)) score += 3;
-  }
-  if (categoryBoost && scheme.category === categoryBoost) score += 10; // stronger boost
+/**
+ * One result group per need: that domain's schemes, ranked by the query. A scheme appears in one group only.
+ */
+function retrieveGroupedSchemes({ query, needs, perGroup, profile = null }) {
+  const used = new Set();
+  let lowConfidence = true;
+
+  const groups = needs.map(domainId => {
+    const d = domainById(domainId);
+    const res = retrieveAllSchemes({ query, domainId, profile });
+    lowConfidence = lowConfidence && res.lowConfidence;
+    const schemeIds = res.matched
+        .filter(x => x.s.category === d?.cat && !used.has(x.s.id))
+        .slice(0, perGroup)
+        .map(x => x.s.id);
+    schemeIds.forEach(id => used.add(id));
+    return { domainId, schemeIds };
+  }).filter(g => g.schemeIds.length);
+
+  return { groups, lowConfidence };
+}
 
-  const nameHay = normalizeText(`${scheme.name_en || ""} ${scheme.name_zh || ""}`).toLowerCase();
-  for (const tok of queryTokens) {
-    if (nameHay.includes(tok)) score += 2;
+// Keyword tokens per scheme and language, plus how many schemes use each token (for IDF).
+// Built once per KB array, like the search index.
+const keywordStatsCache = new WeakMap();
+function keywordStats(schemes) {
+  if (!keywordStatsCache.has(schemes)) {
+    const sets = new Map();
+    const df = new Map();
+    for (const s of schemes) {
+      const byLang = {};
+      for (const l of KB_LANGS) {
+        // raw keywords, no synonym folding: "补贴" -> "financial aid" would make every subsidy look alike
+        byLang[l] = new Set(tokenizeText((s[`keywords_${l}`] || []).join(" "), { stopwords: STOPWORDS }));
+        byLang[l].forEach(tok => df.set(`${l}:${tok}`, (df.get(`${l}:${tok}`) || 0) + 1));
+      }
+      sets.set(s.id, byLang);
+    }
+    keywordStatsCache.set(schemes, { sets, df, n: schemes.length });
   }
+  return keywordStatsCache.get(schemes);
+}
 
-  // Extra: if query is very short (e.g., "health"), avoid falling to 0 too often
-  if (queryTokens.length <= 2 && categoryBoost && scheme.category === categoryBoost) score += 2;
-
-  return score;
+// Shared keywords weighted by rarity; languages are scored separately so a translation doesn't count twice
+function keywordAffinity(stats, a, b) {
+  const scores = KB_LANGS.map(l => [...stats.sets.get(a)[l]]
+      .filter(tok => stats.sets.get(b)[l].has(tok))
+      .reduce((sum, tok) => sum + Math.log(stats.n / stats.df.get(`${l}:${tok}`)), 0));
+  return Math.max(0, ...scores);
 }
 
 /**
- * Return all matched schemes (sorted, score>0) up to MAX_MATCHES_CAP.
- * We paginate on top of this to avoid duplicates.
+ * Companion schemes for a scheme: the ones declared in the KB (`related`) first,
+ * then the closest by rare shared keywords (+ same category).
  */
-function retrieveAllSchemes({ query, domainId }) {
-  const d = domainById(domainId);
-  const tokens = tokenize(query);
-
-  const scored = kb.schemes
-      .map(s => ({ s, score: scoreScheme(tokens, s, d?.cat || null) }))
+function relatedSchemeIds(id, limit = RELATED_LIMIT) {
+  const s = schemeById(id);
+  if (!s) return [];
+  const declared = (s.related || []).filter(x => x !== id && schemeById(x));
+  const stats = keywordStats(kb.schemes);
+
+  const computed = kb.schemes
+      .filter(o => o.id !== id && !declared.includes(o.id))
+      .map(o => ({ id: o.id, score: keywordAffinity(stats, id, o.id) + (o.category === s.category ? RELATED_CATEGORY_BONUS : 0) }))
+      .filter(x => x.score >= RELATED_MIN_SCORE)
       .sort((a, b) => b.score - a.score);
 
-  const matched = scored.filter(x => x.score > 0).slice(0, MAX_MATCHES_CAP);
-  const bestScore = scored[0]?.score ?? 0;
-  const lowConfidence = bestScore < 5;
-
-  return { matched, lowConfidence, bestScore };
+  return [...declared, ...computed.map(x => x.id)].slice(0, limit);
 }
 
-function formatScheme(s, lang, focus = "overview") {
-  const title = langPick(lang, s.name_en, s.name_zh);
-  const summary = langPick(lang, s.summary_en, s.summary_zh);
-  const eligibility = lang === "zh" ? (s.eligibility_zh || []) : (s.eligibility_en || []);
-  const steps = lang === "zh" ? (s.how_to_apply_zh || []) : (s.how_to_apply_en || []);
-  const links = (s.official_links || []).slice(0, 3);
-
-  return { id: s.id, title, summary, eligibility, steps, links, focus };
+function formatScheme(s, lang, focus = "overview", profile = null) {
+  const title = pickField(s, "name", lang);
+  const summary = pickField(s, "summary", lang);
+  const eligibility = pickList(s, "eligibility", lang);
+  const steps = pickList(s, "how_to_apply", lang);
+  const docs = pickList(s, "docs_to_prepare", lang);
+  const links = focus === "detail" ? (s.official_links || []) : (s.official_links || []).slice(0, 3);
+
+  const card = { id: s.id, title, summary, eligibility, steps, docs, links, focus };
+  if (focus === "detail") card.sources = s.sources || [];
+  if (hasProfile(profile)) {
+    const { label } = screenScheme(s, profile);
+    card.screening = { label, text: tr(lang, `eligibility.${label}`) };
+  }
+  return card;
 }
 
-function entryPointsCards(lang) {
-  return (kb.entry_points || []).map(ep => ({
+function formatEntryPoint(ep, lang) {
+  return {
     id: ep.id,
-    title: langPick(lang, ep.name_en, ep.name_zh),
+    title: pickField(ep, "name", lang),
     summary: "",
     eligibility: [],
     steps: [],
+    docs: [],
     links: ep.links || [],
     contacts: ep.contacts || null,
     focus: "entry"
-  }));
+  };
+}
+
+function entryPointsCards(lang) {
+  return (kb.entry_points || []).map(ep => formatEntryPoint(ep, lang));
 }
 
 function makeQuickReplies(items) {
@@ -239,566 +236,616 @@ function makeQuickReplies(items) {
   }));
 }
 
-function baseNavQuickReplies(lang) {
-  return makeQuickReplies([
-    { id: "back_topics", label: lang === "zh" ? "返回主题" : "Back to topics", action: { type: "BACK_TOPICS" } },
-    { id: "restart", label: lang === "zh" ? "重新开始" : "Restart", action: { type: "RESTART" } }
-  ]);
+// The flow's content for a domain ({ empathy, clarifier, presets }), or {} for none
+function flowDomain(domainId) {
+  return (domainId && flow.domains?.[domainId]) || {};
 }
 
-function endQuickReply(lang) {
-  return makeQuickReplies([
-    { id: "end", label: lang === "zh" ? "结束" : "End", action: { type: "END" } }
-  ])[0];
-}
+// Named quick-reply groups. A message lists the groups it wants (e.g. ["topics"] or [{ set: "presets", domainId }, "nav"]).
+const CHIP_SETS = {
+  nav: lang => [
+    { id: "back_topics", label: tr(lang, "nav.backTopics"), action: { type: "BACK_TOPICS" } },
+    { id: "restart", label: tr(lang, "nav.restart"), action: { type: "RESTART" } }
+  ],
+  end: lang => [{ id: "end", label: tr(lang, "nav.end"), action: { type: "END" } }],
+  escalate: lang => [{ id: "escalate", label: tr(lang, "nav.escalate"), action: { type: "ESCALATE" } }],
+  exportPlan: lang => [{ id: "export_plan", label: tr(lang, "nav.exportPlan"), action: { type: "EXPORT_PLAN" } }],
+  screen: lang => [{ id: "screen", label: tr(lang, "nav.screen"), action: { type: "SCREEN_START" } }],
+  rephrase: lang => [{ id: "rephrase", label: tr(lang, "nav.rephrase"), action: { type: "NOOP" } }],
+
+  // { domainIds }: only these topics (an embedded widget limited to some domains)
+  topics: (lang, { domainIds = null } = {}) => [
+    ...DOMAIN.filter(d => !domainIds || domainIds.includes(d.id)).map(d => ({ id: `topic_${d.id}`, label: domainLabel(d.id, lang), action: { type: "SET_DOMAIN", domainId: d.id } })),
+    { id: "urgent", label: tr(lang, "nav.urgent"), action: { type: "URGENT" } },
+    // add end at the bottom
+    ...CHIP_SETS.end(lang)
+  ],
+
+  // choose_focus step
+  focus: lang => ["overview", "eligibility", "steps", "documents"].map(f => ({
+    id: f,
+    label: tr(lang, `focus.${f}`),
+    action: { type: "SET_FOCUS", focus: f }
+  })),
+
+  // focus switches under a results page (+ "More results" while there are more)
+  resultFocus: (lang, { hasMore = false } = {}) => [
+    ...["overview", "eligibility", "steps", "documents"].map(f => ({
+      id: f,
+      label: tr(lang, `chip.${f}`),
+      action: { type: "SET_FOCUS", focus: f }
+    })),
+    ...(hasMore ? [{ id: "more", label: tr(lang, "chip.more"), action: { type: "MORE_RESULTS" } }] : [])
+  ],
+
+  // switch between the needs of a multi-need conversation (nothing with a single need)
+  needs: (lang, { needs = [], active = null } = {}) => needs.length < 2 ? [] : [
+    ...needs.filter(id => id !== active).map(id => ({
+      id: `need_${id}`,
+      label: tr(lang, "nav.workOn", { domain: domainLabel(id, lang) }),
+      action: { type: "SET_NEED", domainId: id }
+    })),
+    ...(active ? [{ id: "all_needs", label: tr(lang, "nav.allNeeds"), action: { type: "SET_NEED", domainId: null } }] : [])
+  ],
+
+  related: (lang, { schemeId } = {}) => [
+    { id: "related", label: tr(lang, "nav.related"), action: { type: "RELATED", schemeId } }
+  ],
+
+  // open the detail view of each listed scheme
+  details: (lang, { schemeIds = [] } = {}) => schemeIds.filter(id => schemeById(id)).map(id => ({
+    id: `detail_${id}`,
+    label: tr(lang, "nav.details", { name: pickField(schemeById(id), "name", lang) }),
+    action: { type: "SHOW_SCHEME", schemeId: id }
+  })),
+
+  // preset chips from the flow: `query` text is added to the search, otherwise the chip fires `action`
+  presets: (lang, { domainId } = {}) => (flowDomain(domainId).presets || []).map(p => ({
+    id: p.id,
+    label: localized(p.label, lang),
+    action: p.query ? { type: "ADD_QUERY", text: localized(p.query, lang) } : p.action
+  })),
+
+  screenOptions: (lang, { index = 0 } = {}) => {
+    const q = SCREEN_QUESTIONS[index];
+    return [
+      ...q.options.map(o => ({
+        id: o.id,
+        label: tr(lang, `screen.opt.${o.id}`),
+        action: { type: "SCREEN_ANSWER", field: q.field, value: o.value }
+      })),
+      { id: "skip", label: tr(lang, "screen.skip"), action: { type: "SCREEN_ANSWER", field: q.field, value: null } },
+      { id: "screen_stop", label: tr(lang, "screen.stop"), action: { type: "SCREEN_STOP" } }
+    ];
+  }
+};
 
-function escalateQuickReply(lang) {
-  return makeQuickReplies([
-    { id: "escalate", label: lang === "zh" ? "转人工" : "Talk to a human", action: { type: "ESCALATE" } }
-  ])[0];
+// ----------------- Message descriptors -----------------
+// Every assistant message is built from a language-neutral descriptor, kept on the message as `desc`,
+// so the UI can re-render the whole conversation when the user switches language:
+//   { text: [part], cards?, chips: [chip set], form?, plan? }
+//   part:  { key, vars } -- vars may hold nested parts (e.g. the domain label) or lists of them
+//          { text: { en, zh, ... }, vars } -- text from the dialog flow
+//          { scheme: id } -- the scheme's name from the KB
+//   cards: { schemeIds, focus, profile } | { groups: [{ domainId, schemeIds }], focus, profile } | { entryPoints: true }
+//          focus "detail" renders every field of the scheme
+//   chips: CHIP_SETS names, or { set, ...args }
+//   plan:  { schemeIds }
+
+function part(key, vars = null) {
+  return vars ? { key, vars } : { key };
 }
 
-function topicQuickReplies(lang) {
-  const topics = DOMAIN.map(d => ({
-    id: `topic_${d.id}`,
-    label: langPick(lang, d.en, d.zh),
-    action: { type: "SET_DOMAIN", domainId: d.id }
-  }));
-  topics.push({
-    id: "urgent",
-    label: lang === "zh" ? "我现在很紧急" : "This is urgent",
-    action: { type: "URGENT" }
-  });
-  // add end at the bottom
-  topics.push({
-    id: "end",
-    label: lang === "zh" ? "结束" : "End",
-    action: { type: "END" }
-  });
-  return makeQuickReplies(topics);
+function domainPart(domainId) {
+  return domainById(domainId) ? part(`domain.${domainId}`) : "";
 }
 
-function focusQuickReplies(lang) {
-  return makeQuickReplies([
-    { id: "overview", label: lang === "zh" ? "先看概览" : "Overview", action: { type: "SET_FOCUS", focus: "overview" } },
-    { id: "eligibility", label: lang === "zh" ? "我想看资格" : "Eligibility", action: { type: "SET_FOCUS", focus: "eligibility" } },
-    { id: "steps", label: lang === "zh" ? "我想看申请步骤" : "How to apply", action: { type: "SET_FOCUS", focus: "steps" } },
-    ...baseNavQuickReplies(lang),
-    endQuickReply(lang)
-  ]);
+function needsPart(needs) {
+  return needs.map(domainPart).filter(Boolean);
 }
 
 // Small empathy helpers (keeps your deterministic flow, but sounds better)
-function empathyStart(domainId, lang) {
-  const zh = lang === "zh";
-  switch (domainId) {
-    case "financial":
-      return zh ? "明白，经济压力真的会让人喘不过气。我们先找最直接可行的官方方案。" : "I hear you — money stress can be heavy. Let’s start with the most workable official options.";
-    case "housing":
-      return zh ? "听起来你在处理住宿压力，这种情况很不容易。我们先确保你有安全可行的下一步。" : "That sounds tough. Let’s make sure you have a safe, practical next step first.";
-    case "healthcare":
-      return zh ? "我明白，身体不舒服或医药费压力会很焦虑。我们先看最直接的补贴/减免入口。" : "I’m sorry you’re dealing with this. Let’s look at the most direct subsidy/relief routes.";
-    case "mental":
-      return zh ? "我听到了你的压力。你不需要一个人扛着，我们一步一步来。" : "I hear you. You don’t have to handle this alone — we’ll take it one step at a time.";
-    case "seniors":
-      return zh ? "明白，我们先把适合长者/照护者的官方入口整理出来。" : "Got it. Let’s narrow down the best official support for seniors/caregivers.";
-    case "disability":
-      return zh ? "明白，我们先看最匹配的残障支持与申请路径。" : "Got it. Let’s look at the most relevant disability support and application route.";
-    case "legal":
-      return zh ? "明白，法律问题往往很耗心力。我们先从官方援助入口开始。" : "Got it — legal issues can be stressful. Let’s start from official aid entry points.";
-    default:
-      return zh ? "明白。我们先把方向收敛一下。" : "Got it. Let’s narrow this down.";
-  }
+function empathyPart(domainId) {
+  return { text: (domainById(domainId) && flowDomain(domainId).empathy) || flow.domains.default.empathy };
 }
 
-function askOneClarifier(domainId, lang) {
-  const zh = lang === "zh";
-  switch (domainId) {
-    case "healthcare":
-      return zh
-          ? "你更接近哪种情况？A 诊所/门诊补贴（例如 CHAS）｜B 住院/医院账单需要减免（例如 MediFund/医疗社工）"
-          : "Which is closer? A) clinic/outpatient subsidies (e.g., CHAS) or B) help with a hospital bill (e.g., MediFund/Medical Social Worker)?";
-    case "housing":
-      return zh
-          ? "这是“今天/今晚没地方住”的紧急情况吗？（是/否）"
-          : "Is this urgent — no place to stay today/tonight? (yes/no)";
-    case "financial":
-      return zh
-          ? "你现在最急的是：A 日常生活费/食物｜B 账单欠费｜C 短期现金周转？"
-          : "What’s most urgent: A) daily expenses/food, B) overdue bills, or C) short-term cash help?";
-    case "mental":
-      return zh
-          ? "你希望我优先给：A 先有人倾听/匿名支持｜B 专业转介与下一步？"
-          : "Do you prefer A) someone to talk to anonymously, or B) professional referral/next steps?";
-    default:
-      return zh
-          ? "你想先看：A 资格条件（我是否符合）｜B 申请步骤（怎么做/去哪办）？"
-          : "Would you like A) eligibility criteria, or B) step-by-step how/where to apply?";
-  }
+function clarifierPart(domainId) {
+  return { text: flowDomain(domainId).clarifier || flow.domains.default.clarifier };
 }
 
-function domainPresets(domainId, lang) {
-  const zh = lang === "zh";
-  switch (domainId) {
-    case "financial":
-      return makeQuickReplies([
-        { id: "daily", label: zh ? "日常生活费/食物" : "Daily expenses / food", action: { type: "ADD_QUERY", text: zh ? "生活费 食物" : "daily expenses food" } },
-        { id: "bills", label: zh ? "账单/水电费" : "Bills / utilities", action: { type: "ADD_QUERY", text: zh ? "账单 水电费" : "bills utilities" } },
-        { id: "rent", label: zh ? "租金压力" : "Rent problems", action: { type: "ADD_QUERY", text: zh ? "租金" : "rent" } },
-        ...baseNavQuickReplies(lang),
-        endQuickReply(lang)
-      ]);
-    case "housing":
-      return makeQuickReplies([
-        { id: "no_place", label: zh ? "今天没地方住" : "No place to stay today", action: { type: "URGENT" } },
-        { id: "rental", label: zh ? "公共租赁/租房" : "Public rental / renting", action: { type: "ADD_QUERY", text: zh ? "公共租赁 租房" : "public rental" } },
-        { id: "temp", label: zh ? "过渡/临时安置" : "Temporary shelter", action: { type: "ADD_QUERY", text: zh ? "临时安置 shelter" : "temporary shelter" } },
-        ...baseNavQuickReplies(lang),
-        endQuickReply(lang)
-      ]);
-    case "healthcare":
-      return makeQuickReplies([
-        { id: "clinic", label: zh ? "诊所/门诊补贴" : "Clinic/outpatient subsidy", action: { type: "ADD_QUERY", text: zh ? "CHAS 门诊 诊所" : "CHAS clinic outpatient" } },
-        { id: "hospital", label: zh ? "医院账单付不起" : "Can't afford hospital bill", action: { type: "ADD_QUERY", text: zh ? "医院账单 付不起 MediFund" : "hospital bill MediFund" } },
-        { id: "insurance", label: zh ? "保险/保费" : "Insurance / premiums", action: { type: "ADD_QUERY", text: zh ? "MediShield Life 保费" : "MediShield Life premiums" } },
-        ...baseNavQuickReplies(lang),
-        endQuickReply(lang)
-      ]);
-    case "seniors":
-      return makeQuickReplies([
-        { id: "cash", label: zh ? "现金补助" : "Cash support", action: { type: "ADD_QUERY", text: zh ? "现金补助 Silver Support" : "cash support Silver Support" } },
-        { id: "care", label: zh ? "照护服务" : "Care services", action: { type: "ADD_QUERY", text: zh ? "照护服务 AIC" : "care services AIC" } },
-        { id: "caregiver", label: zh ? "照护者资源" : "Caregiver support", action: { type: "ADD_QUERY", text: zh ? "照护者 支持" : "caregiver support" } },
-        ...baseNavQuickReplies(lang),
-        endQuickReply(lang)
-      ]);
-    case "disability":
-      return makeQuickReplies([
-        { id: "assistive", label: zh ? "辅助器材补贴" : "Assistive tech subsidy", action: { type: "ADD_QUERY", text: zh ? "辅助器材 ATF" : "assistive technology fund ATF" } },
-        { id: "jobs", label: zh ? "就业支持" : "Employment support", action: { type: "ADD_QUERY", text: zh ? "残障 就业" : "disability employment" } },
-        ...baseNavQuickReplies(lang),
-        endQuickReply(lang)
-      ]);
-    case "legal":
-      return makeQuickReplies([
-        { id: "legal_aid", label: zh ? "法律援助申请" : "Apply for legal aid", action: { type: "ADD_QUERY", text: zh ? "法律援助 LAB" : "legal aid LAB" } },
-        { id: "family", label: zh ? "家庭/离婚" : "Family/divorce", action: { type: "ADD_QUERY", text: zh ? "离婚 家庭" : "divorce family law" } },
-        ...baseNavQuickReplies(lang),
-        endQuickReply(lang)
-      ]);
-    case "mental":
-      return makeQuickReplies([
-        { id: "talk", label: zh ? "想找人聊聊" : "I need someone to talk to", action: { type: "ADD_QUERY", text: zh ? "心理支持 倾诉" : "mental health support talk" } },
-        { id: "urgent_mental", label: zh ? "我很危险/想伤害自己" : "I'm in danger / self-harm thoughts", action: { type: "SENSITIVE" } },
-        ...baseNavQuickReplies(lang),
-        endQuickReply(lang)
-      ]);
-    default:
-      return makeQuickReplies([
-        ...baseNavQuickReplies(lang),
-        endQuickReply(lang)
-      ]);
+function renderPart(p, lang) {
+  if (Array.isArray(p)) return p.map(x => renderPart(x, lang)).join(tr(lang, "list.sep"));
+  if (!p || typeof p !== "object") return String(p ?? "");
+  if (p.scheme) return pickField(schemeById(p.scheme), "name", lang);
+  const vars = p.vars
+      ? Object.fromEntries(Object.entries(p.vars).map(([k, v]) => [k, v && typeof v === "object" ? renderPart(v, lang) : v]))
+      : null;
+  return p.text ? fillText(localized(p.text, lang), vars) : tr(lang, p.key, vars);
+}
+
+function renderCards(cards, lang) {
+  if (!cards) return [];
+  if (cards.entryPoints) return entryPointsCards(lang);
+  const toCards = ids => ids
+      .map(schemeById)
+      .filter(Boolean)
+      .map(s => formatScheme(s, lang, cards.focus, cards.profile));
+
+  // grouped results: cards stay one flat list, each tagged with its need (the UI adds a heading per group)
+  if (cards.groups) {
+    return cards.groups.flatMap(g => {
+      const group = { id: g.domainId, title: domainLabel(g.domainId, lang) };
+      return toCards(g.schemeIds).map(c => ({ ...c, group }));
+    });
   }
+  return toCards(cards.schemeIds || []);
 }
 
-function noMoreResultsMessage(lang, domainId) {
-  const zh = lang === "zh";
-  const text = zh
-      ? "我这边已经没有更多匹配结果了。\n\n如果你希望进一步确认适用方案或需要更个性化的协助，可以选择“转人工”。"
-      : "I don’t have more matched results to show.\n\nIf you need more tailored help or want to confirm what applies to you, you can choose “Talk to a human”.";
+function renderChips(chips, lang) {
+  return makeQuickReplies((chips || []).flatMap(c => {
+    const { set, ...args } = typeof c === "string" ? { set: c } : c;
+    return CHIP_SETS[set] ? CHIP_SETS[set](lang, args) : [];
+  }));
+}
 
-  return {
-    role: "assistant",
-    text,
-    cards: [],
-    quickReplies: makeQuickReplies([
-      { id: "escalate", label: zh ? "转人工" : "Talk to a human", action: { type: "ESCALATE" } },
-      ...baseNavQuickReplies(lang),
-      endQuickReply(lang)
-    ])
-  };
+// ----------------- Domain scope -----------------
+// A conversation limited to some domains (state.allowedDomains, set by the embeddable widget) only offers
+// and detects those. The list goes into each message's descriptor, so re-rendering it keeps the limit.
+
+function inScope(state, domainIds) {
+  return state.allowedDomains ? domainIds.filter(id => state.allowedDomains.includes(id)) : domainIds;
 }
 
-function endConversationMessage(lang) {
-  const zh = lang === "zh";
-  const text = zh
-      ? "希望我提供的信息能帮助到您。\n\n如果之后还需要我协助，你随时可以点击“重新开始”或“返回主题”。"
-      : "I hope the information I shared was helpful.\n\nIf you need help later, you can always tap “Restart” or “Back to topics”.";
+function scopeTopics(state, message) {
+  if (!state.allowedDomains || !message?.desc?.chips) return message;
+  const chips = message.desc.chips.map(c => (c === "topics" ? { set: "topics", domainIds: state.allowedDomains } : c));
+  return { ...message, desc: { ...message.desc, chips }, quickReplies: renderChips(chips, state.lang) };
+}
 
-  return {
-    role: "assistant",
-    text,
-    cards: [],
-    quickReplies: makeQuickReplies([
-      { id: "back_topics", label: zh ? "返回主题" : "Back to topics", action: { type: "BACK_TOPICS" } },
-      { id: "restart", label: zh ? "重新开始" : "Restart", action: { type: "RESTART" } }
-    ])
-  };
+function scoped({ state, message }) {
+  return { state, message: scopeTopics(state, message) };
+}
+
+function noMoreResultsMessage(lang) {
+  return renderMessage({ text: [part("msg.noMore")], chips: ["escalate", "nav", "end"] }, lang);
 }
 
 /**
  * Build results for the *current page* (offset/pageSize).
  * No duplication: "More results" moves offset forward.
  */
-function buildResultsMessage({ lang, domainId, focus, query, offset, pageSize }) {
-  const zh = lang === "zh";
-  const domain = domainById(domainId);
+function buildResultsMessage({ lang, domainId, needs = [], focus, query, offset, pageSize, profile = null, rankProfile = null }) {
+  // Several needs and none picked yet: a few schemes per need, grouped
+  if (!domainId && needs.length > 1) {
+    const { groups } = retrieveGroupedSchemes({ query, needs, perGroup: GROUP_PAGE_SIZE, profile: rankProfile });
+    return renderMessage({
+      text: [part("msg.resultsGrouped")],
+      cards: { groups, focus, profile },
+      chips: [{ set: "needs", needs }, { set: "resultFocus" }, "screen", "exportPlan", "escalate", "nav", "end"]
+    }, lang);
+  }
 
-  const { matched, lowConfidence } = retrieveAllSchemes({ query, domainId });
+  const { matched, lowConfidence } = retrieveAllSchemes({ query, domainId, profile: rankProfile });
   const total = matched.length;
 
   if (!total) {
-    return {
-      role: "assistant",
-      text: zh
-          ? "我暂时没在知识库里匹配到非常具体的项目。别担心——你可以先从这些官方入口开始（能转介/查询），或者换一种说法（例如加上‘住院/诊所/账单’这类关键词）。"
-          : "I couldn’t match a specific scheme in the KB yet. No worries — start from these official entry points (they can refer you), or rephrase with a bit more detail (e.g., ‘clinic/hospital/bills’).",
-      cards: entryPointsCards(lang),
-      quickReplies: makeQuickReplies([
-        { id: "rephrase", label: zh ? "我补充一句细节" : "I’ll add one detail", action: { type: "NOOP" } },
-        ...baseNavQuickReplies(lang),
-        endQuickReply(lang)
-      ])
-    };
+    return renderMessage({
+      text: [part("msg.noMatch")],
+      cards: { entryPoints: true },
+      chips: ["rephrase", "nav", "end"]
+    }, lang);
   }
 
   if (offset >= total) {
-    return noMoreResultsMessage(lang, domainId);
+    return noMoreResultsMessage(lang);
   }
 
   const page = matched.slice(offset, offset + pageSize).map(x => x.s);
   const hasMore = offset + pageSize < total;
 
-  const intro = lowConfidence
-      ? (zh
-          ? `我先给你几个“可能相关”的官方项目（基于：${langPick(lang, domain?.en, domain?.zh)}）。如果方向不对，点“返回主题”就能重来。`
-          : `Here are a few *possibly relevant* official schemes (based on: ${langPick(lang, domain?.en, domain?.zh)}). If this isn’t right, tap “Back to topics”.`)
-      : (zh
-          ? `我找到最相关的官方项目（${langPick(lang, domain?.en, domain?.zh)}）。你想先看“资格”还是“申请步骤”？`
-          : `I found the most relevant official schemes (${langPick(lang, domain?.en, domain?.zh)}). Do you want “Eligibility” or “How to apply” first?`);
+  return renderMessage({
+    text: [part(lowConfidence ? "msg.resultsLow" : "msg.resultsHigh", { domain: domainPart(domainId) })],
+    cards: { schemeIds: page.map(s => s.id), focus, profile },
+    chips: [{ set: "resultFocus", hasMore }, { set: "needs", needs, active: domainId }, "screen", "exportPlan", "escalate", "nav", "end"]
+  }, lang);
+}
 
-  const cards = page.map(s => formatScheme(s, lang, focus));
+// Remember which schemes the user has seen (escalation tickets carry them to the caseworker)
+function withShownSchemes(state, message) {
+  const ids = (message?.cards || []).filter(c => c.focus !== "entry").map(c => c.id);
+  if (!ids.length) return state;
+  const shown = state.shownSchemeIds || [];
+  return { ...state, shownSchemeIds: [...shown, ...ids.filter(id => !shown.includes(id))] };
+}
 
-  const focusChips = [
-    { id: "overview", label: zh ? "概览" : "Overview", action: { type: "SET_FOCUS", focus: "overview" } },
-    { id: "eligibility", label: zh ? "资格" : "Eligibility", action: { type: "SET_FOCUS", focus: "eligibility" } },
-    { id: "steps", label: zh ? "步骤" : "Steps", action: { type: "SET_FOCUS", focus: "steps" } }
-  ];
+// Build the current results page from dialog state and record the schemes it shows.
+// `intro` parts go before the results text (e.g. "I've added … to your list").
+function showResults(state, intro = []) {
+  const built = buildResultsMessage({
+    lang: state.lang,
+    domainId: state.domainId,
+    needs: state.needs || [],
+    focus: state.focus,
+    query: state.lastQuery,
+    offset: state.offset,
+    pageSize: state.pageSize,
+    profile: state.profile,
+    rankProfile: rankingProfile(state)
+  });
+  const message = intro.length
+      ? renderMessage({ ...built.desc, text: [...intro, ...built.desc.text] }, state.lang)
+      : built;
+  return { state: withShownSchemes(state, message), message };
+}
 
-  if (hasMore) {
-    focusChips.push({ id: "more", label: zh ? "更多结果" : "More results", action: { type: "MORE_RESULTS" } });
-  } else {
-    // optional: you can still allow "More results" to show the noMore message,
-    // but UX-wise it’s cleaner to hide it when there’s no more.
-  }
+// The needs a conversation is working on (sessions saved before `needs` existed only have the domain)
+function currentNeeds(state) {
+  return state.needs?.length ? state.needs : [state.domainId].filter(Boolean);
+}
 
-  return {
-    role: "assistant",
-    text: intro,
-    cards,
-    quickReplies: makeQuickReplies([
-      ...focusChips,
-      ...baseNavQuickReplies(lang),
-      endQuickReply(lang)
-    ])
-  };
+// Free text during a topic: newly mentioned needs join the list, and results go back to all needs together
+function withMentionedNeeds(state, domainIds) {
+  const needs = currentNeeds(state);
+  const added = domainIds.filter(id => !needs.includes(id));
+  if (!added.length) return state;
+  return { ...state, domainId: null, needs: addNeeds(needs, added) };
 }
 
-function urgentMessage(lang = "en") {
-  const zh = lang === "zh";
-  const text = zh
-      ? "明白，这听起来比较紧急。为了让你马上有可走的下一步，我先给你最直接的官方入口（可转介/联系）。如果你愿意，也可以再说一句：你现在最急的是住房/钱/医疗哪一块？我会把步骤整理成 1-2-3。"
-      : "Got it — this sounds urgent. To help immediately, here are official entry points you can contact first. If you’d like, tell me in one sentence whether this is mainly housing/money/healthcare, and I’ll turn it into a clear 1-2-3 plan.";
-  return {
-    role: "assistant",
-    text,
-    cards: entryPointsCards(lang),
-    quickReplies: makeQuickReplies([
-      ...topicQuickReplies(lang)
-    ])
-  };
+// ----------------- Eligibility pre-screener -----------------
+// First question from `from` on that the profile doesn't answer yet (-1: none left)
+function nextScreenIndex(profile, from) {
+  return SCREEN_QUESTIONS.findIndex((q, i) => i >= from && (profile?.[q.field] === undefined || profile?.[q.field] === null));
 }
 
-function sensitiveMessage(lang = "en") {
-  const zh = lang === "zh";
-  const text = zh
-      ? "谢谢你告诉我。如果你现在有自伤/他伤风险或处在危险中，请立刻联系紧急服务（999）或使用 national mindline 1771（24/7）。如果你愿意，你也可以回我一句：你更想‘有人倾听’还是‘获得转介与下一步’，我会继续帮你。"
-      : "Thanks for telling me. If you’re in immediate danger or at risk of self-harm, contact emergency services (999) or national mindline 1771 (24/7). If you want, tell me whether you prefer ‘someone to talk to’ or ‘referral/next steps’, and I’ll continue.";
-  return {
-    role: "assistant",
-    text,
-    cards: entryPointsCards(lang),
-    quickReplies: topicQuickReplies(lang)
-  };
+// intro: first question of the screener; prefilled: some answers came from what the user already said
+function screenQuestionMessage(lang, index, { hint = false, intro = false, prefilled = false } = {}) {
+  const q = SCREEN_QUESTIONS[index];
+  const text = [
+    ...(hint ? [part("screen.retry")] : []),
+    ...(intro ? [part("screen.intro")] : []),
+    ...(intro && prefilled ? [part("screen.prefilled")] : []),
+    part("screen.question", { n: index + 1, total: SCREEN_QUESTIONS.length, question: part(`screen.q.${q.field}`) })
+  ];
+  return renderMessage({ text, chips: [{ set: "screenOptions", index }] }, lang);
 }
 
-// ----------------- Public API -----------------
-export function initDialogState(lang = "en") {
-  return {
-    lang,
-    step: "choose_domain",  // choose_domain -> choose_focus -> refine_and_show
-    domainId: null,
-    focus: "overview",      // overview | eligibility | steps
-    lastQuery: "",
-    offset: 0,              // pagination offset (avoid duplicates)
-    pageSize: DEFAULT_PAGE_SIZE,
-    ended: false
-  };
+function finishScreening(state) {
+  const lang = state.lang;
+  const s = { ...state, step: "refine_and_show", screenIndex: null, offset: 0 };
+
+  // With a topic or query: label the normal results
+  if (s.domainId || s.lastQuery || s.needs?.length) {
+    const res = showResults(s);
+    const desc = res.message.desc;
+    return { ...res, message: renderMessage({ ...desc, text: [part("screen.labelled"), ...desc.text] }, lang) };
+  }
+
+  // No topic yet: show the schemes that look most likely across the whole KB
+  const likely = screenSchemes(kb.schemes, s.profile).filter(x => x.label === "likely").slice(0, s.pageSize);
+  const message = renderMessage({
+    text: [part(likely.length ? "screen.likelyList" : "screen.noneLikely")],
+    cards: { schemeIds: likely.map(x => x.s.id), focus: s.focus, profile: s.profile },
+    chips: ["topics"]
+  }, lang);
+  return { state: withShownSchemes({ ...s, step: "choose_domain" }, message), message };
 }
 
-export function getInitialAssistantMessage(lang = "en") {
-  const text = lang === "zh"
-      ? "你好！你可以直接用一句话描述情况（例如：‘医药费太贵’ / ‘今晚没地方住’ / ‘我很焦虑’），我会从官方渠道帮你找到下一步。你现在最需要哪一类帮助？"
-      : "Hi! You can describe your situation in one sentence (e.g., ‘medical bills are too expensive’ / ‘no place to stay tonight’ / ‘I feel overwhelmed’). I’ll help you find the next steps from official sources. What kind of help do you need?";
-  return {
-    role: "assistant",
-    text,
-    cards: [],
-    quickReplies: topicQuickReplies(lang)
-  };
+// Typed text while screening: the current question's answer if the household facts settle it ("I'm 67")
+function screenSlotAnswer(state) {
+  const q = SCREEN_QUESTIONS[state.screenIndex || 0];
+  return { field: q.field, value: slotsToScreenAnswers(state.slots)[q.field] };
 }
 
-export function handleUserText(state, userText) {
-  const lang = state.lang;
-  const raw = (userText || "").trim();
-  const zh = lang === "zh";
+// The next unanswered question, or the labelled results once none are left
+function screenStepMessage(state, { intro = false, hint = false } = {}) {
+  const index = state.screenIndex;
+  if (index == null || index < 0) return finishScreening(state);
+  return { state, message: screenQuestionMessage(state.lang, index, { intro, hint, prefilled: intro && hasProfile(state.profile) }) };
+}
 
-  // If user already ended but types again, revive to start (friendly UX)
-  if (state.ended) {
-    const revived = { ...initDialogState(lang) };
-    return {
-      state: revived,
-      message: {
-        role: "assistant",
-        text: zh ? "好的，我们重新开始。你现在最需要哪一类帮助？" : "Sure — let’s restart. What kind of help do you need?",
-        cards: [],
-        quickReplies: topicQuickReplies(lang)
-      }
-    };
+// ----------------- Scheme detail & related schemes -----------------
+function schemeDetailMessage(state, schemeId) {
+  if (!schemeById(schemeId)) {
+    return renderMessage({ text: [part("msg.schemeMissing")], chips: ["nav", "end"] }, state.lang);
   }
+  return renderMessage({
+    text: [part("msg.schemeDetail", { name: { scheme: schemeId } })],
+    cards: { schemeIds: [schemeId], focus: "detail", profile: state.profile },
+    chips: [{ set: "related", schemeId }, "exportPlan", "escalate", "nav", "end"]
+  }, state.lang);
+}
 
-  if (!raw) {
-    return {
-      state,
-      message: {
-        role: "assistant",
-        text: zh
-            ? "你可以直接选择一个主题，或者用一句话描述你的情况（越像日常说法越好）。"
-            : "You can pick a topic, or describe your situation in one natural sentence.",
-        cards: [],
-        quickReplies: state.step === "choose_domain" ? topicQuickReplies(lang) : domainPresets(state.domainId, lang)
-      }
-    };
+function relatedMessage(state, schemeId) {
+  if (!schemeById(schemeId)) {
+    return renderMessage({ text: [part("msg.schemeMissing")], chips: ["nav", "end"] }, state.lang);
+  }
+  const ids = relatedSchemeIds(schemeId);
+  if (!ids.length) {
+    return renderMessage({ text: [part("msg.noRelated", { name: { scheme: schemeId } })], chips: ["nav", "end"] }, state.lang);
   }
+  return renderMessage({
+    text: [part("msg.related", { name: { scheme: schemeId } })],
+    cards: { schemeIds: ids, focus: "overview", profile: state.profile },
+    chips: [{ set: "details", schemeIds: ids }, "exportPlan", "escalate", "nav", "end"]
+  }, state.lang);
+}
+
+function exportPlanMessage(state) {
+  const schemeIds = (state.shownSchemeIds || []).filter(id => schemeById(id));
 
-  // global safety checks
-  if (containsAny(raw, SENSITIVE_TRIGGERS)) {
-    return { state: { ...state, step: "choose_domain", domainId: null, lastQuery: "", offset: 0 }, message: sensitiveMessage(lang) };
+  if (!schemeIds.length) {
+    return renderMessage({ text: [part("msg.planEmpty")], chips: ["topics"] }, state.lang);
   }
-  if (containsAny(raw, URGENT_TRIGGERS)) {
-    return { state: { ...state, step: "choose_domain", domainId: null, lastQuery: "", offset: 0 }, message: urgentMessage(lang) };
+
+  return renderMessage({
+    text: [part("msg.planReady", { count: schemeIds.length })],
+    plan: { schemeIds },
+    chips: ["nav", "end"]
+  }, state.lang);
+}
+
+// ----------------- Flow registry -----------------
+// Everything src/data/dialog_flow.json refers to by name (see utils/dialogFlow for the format).
+// Guards and values get the scope { state, prev, action, text, detected }; updates get (state, scope).
+
+const FLOW_GUARDS = {
+  hasQuery: ({ state }) => !!state.lastQuery,
+  needDetected: ({ detected = [] }) => detected.length > 0,
+  severalNeeds: ({ detected = [] }) => detected.length > 1,
+  choosesNeed: ({ action }) => !!action?.domainId,
+  ticketQueued: ({ action }) => !!action?.queued,
+  hasTicketRefs: ({ action }) => !!action?.refs?.length,
+  slotsAnswerScreenQuestion: ({ state }) => screenSlotAnswer(state).value !== undefined
+};
+
+const FLOW_UPDATES = {
+  // starting over (Restart, or typing after "end") keeps the conversation's risk level: the crisis banner
+  // only goes when the user dismisses it (DISMISS_SAFETY) or clears their data
+  restart: state => ({ ...initDialogState(state.lang, state), safety: state.safety }),
+  revive: state => ({ ...initDialogState(state.lang, state), safety: state.safety }),
+  dismissSafety: state => ({ ...state, safety: initSafetyState() }),
+  // asking for urgent mental-health help keeps the crisis banner up for the rest of the conversation
+  raiseSafety: state => ({ ...state, safety: raiseSafetyLevel(state.safety, "elevated") }),
+  addChosenNeed: (state, { action }) => ({ ...state, needs: addNeeds(state.needs, [action.domainId]) }),
+  addDetectedNeeds: (state, { detected = [] }) => ({ ...state, needs: addNeeds(state.needs, detected) }),
+  mentionNeeds: (state, { detected = [] }) => withMentionedNeeds(state, detected),
+  appendQuery: (state, { action }) => {
+    const added = (action.text || "").trim();
+    return { ...state, lastQuery: state.lastQuery ? `${state.lastQuery} ${added}`.trim() : added };
+  },
+  nextPage: state => ({ ...state, offset: (state.offset || 0) + (state.pageSize || DEFAULT_PAGE_SIZE) }),
+  // facts the user already typed answer their questions up front; only the rest are asked
+  startScreening: state => {
+    const profile = slotsToScreenAnswers(state.slots);
+    return { ...state, profile, screenIndex: nextScreenIndex(profile, 0) };
+  },
+  // facts typed since the screener started also count (an explicit "skip" stays skipped)
+  recordScreenAnswer: (state, { action }) => {
+    const profile = { ...slotsToScreenAnswers(state.slots), ...(state.profile || {}), [action.field]: action.value ?? null };
+    return { ...state, profile, screenIndex: nextScreenIndex(profile, (state.screenIndex || 0) + 1) };
   }
+};
 
-  // Detect domain from free-form input
-  const detectedHard = detectDomainIdFromText(raw);
-  const detectedSoft = detectedHard || softGuessDomainId(raw);
-  const detectedDomain = detectedSoft;
+const FLOW_VALUES = {
+  domain: ({ state }) => domainPart(state.domainId),
+  empathy: ({ state }) => empathyPart(state.domainId),
+  clarifier: ({ state }) => clarifierPart(state.domainId),
+  detectedEmpathy: ({ detected = [] }) => empathyPart(detected[0]),
+  detectedNeeds: ({ detected = [] }) => needsPart(detected),
+  // "I've added … to your list" when free text raised new needs
+  needsAdded: ({ state, prev }) => {
+    const before = currentNeeds(prev);
+    const added = (state.needs || []).filter(id => !before.includes(id));
+    return added.length ? part("msg.needsAdded", { needs: needsPart(added) }) : null;
+  },
+  // "Working on … (… is still on your list)" when switching to one need of several
+  needSwitched: ({ state }) => {
+    const others = (state.needs || []).filter(id => id !== state.domainId);
+    return state.domainId && others.length ? part("msg.needSwitched", { domain: domainPart(state.domainId), needs: needsPart(others) }) : null;
+  },
+  ticketRefs: ({ action }) => (action?.refs || []).join(", "),
+  screenField: ({ state }) => screenSlotAnswer(state).field,
+  screenSlotValue: ({ state }) => screenSlotAnswer(state).value
+};
 
-  // Step: choose_domain
-  if (state.step === "choose_domain") {
-    if (detectedDomain) {
-      // Let user free-type: auto-advance
-      const next = { ...state, step: "choose_focus", domainId: detectedDomain, offset: 0 };
-      const d = domainById(detectedDomain);
+const FLOW_VIEWS = {
+  welcome: state => ({ state, message: getInitialAssistantMessage(state.lang) }),
+  results: (state, scope, { intro = [] }) => showResults(state, intro),
+  schemeDetail: (state, { action }) => {
+    const message = schemeDetailMessage(state, action.schemeId);
+    return { state: withShownSchemes(state, message), message };
+  },
+  related: (state, { action }) => {
+    const message = relatedMessage(state, action.schemeId);
+    return { state: withShownSchemes(state, message), message };
+  },
+  exportPlan: state => ({ state, message: exportPlanMessage(state) }),
+  screenQuestion: (state, scope, options) => screenStepMessage(state, options),
+  finishScreening: state => finishScreening(state)
+};
 
-      const text = zh
-          ? `${empathyStart(detectedDomain, lang)}\n\n好的，我们先从「${langPick(lang, d.en, d.zh)}」开始。你想先看哪一类信息？`
-          : `${empathyStart(detectedDomain, lang)}\n\nOK — let’s start with “${langPick(lang, d.en, d.zh)}”. What do you want first?`;
+const FLOW_REGISTRY = {
+  guards: FLOW_GUARDS,
+  updates: FLOW_UPDATES,
+  values: FLOW_VALUES,
+  views: FLOW_VIEWS,
+  chipSets: Object.keys(CHIP_SETS),
+  domainIds: DOMAIN.map(d => d.id),
+  render: (desc, lang) => renderMessage(desc, lang),
+  dispatch: (state, action) => handleAction(state, action)
+};
 
-      return { state: next, message: { role: "assistant", text, cards: [], quickReplies: focusQuickReplies(lang) } };
-    }
+// ----------------- Public API -----------------
+
+/**
+ * Render a message descriptor (`message.desc`) in the given language.
+ * Used by the engine for every assistant message, and by the UI to re-render the conversation after a language switch.
+ */
+export function renderMessage(desc, lang = "en") {
+  const message = {
+    role: "assistant",
+    text: (desc.text || []).map(p => renderPart(p, lang)).join("\n\n"),
+    cards: renderCards(desc.cards, lang),
+    quickReplies: renderChips(desc.chips, lang),
+    desc
+  };
+  if (desc.form) message.form = desc.form;
+  if (desc.plan) message.plan = buildPlan({ lang, shownSchemeIds: desc.plan.schemeIds });
+  return message;
+}
 
-    // still unknown: be helpful + ask one clarifier (not just "I'm not sure")
-    const text = zh
-        ? "我还没完全确定你属于哪一类，但我想先接住你。\n\n你更接近下面哪一个？（也可以直接再说一句细节，例如‘住院账单’/‘租金欠费’/‘很焦虑’）"
-        : "I’m not fully sure which category this falls under yet, but I want to help.\n\nWhich is closest? (Or add one detail like ‘hospital bill’ / ‘rent arrears’ / ‘feeling overwhelmed’.)";
+/**
+ * Replace the active knowledge base (e.g. a newer copy loaded at runtime). `null` restores the bundled one.
+ */
+export function setKnowledgeBase(next) {
+  kb = next || bundledKb;
+}
 
-    return { state, message: { role: "assistant", text, cards: [], quickReplies: topicQuickReplies(lang) } };
-  }
+/**
+ * Problems that would stop a dialog flow from running here: [{ path, message }] (empty when it can be used).
+ */
+export function checkDialogFlow(next) {
+  return checkFlow(next, FLOW_REGISTRY);
+}
 
-  // Step: choose_focus
-  if (state.step === "choose_focus") {
-    const q = raw;
-    const next = { ...state, step: "refine_and_show", lastQuery: q, offset: 0 };
-    return {
-      state: next,
-      message: buildResultsMessage({
-        lang,
-        domainId: next.domainId,
-        focus: next.focus,
-        query: q,
-        offset: next.offset,
-        pageSize: next.pageSize
-      })
-    };
+/**
+ * Replace the dialog flow (e.g. a content designer's draft). `null` restores the bundled one.
+ * Throws if the flow refers to steps, guards, views or chips that don't exist.
+ */
+export function setDialogFlow(next) {
+  const issues = next ? checkDialogFlow(next) : [];
+  if (issues.length) {
+    throw new Error(`Invalid dialog flow: ${issues.slice(0, 3).map(x => `${x.path}: ${x.message}`).join("; ")}`);
   }
+  flow = next || bundledFlow;
+}
 
-  // Step: refine_and_show
-  const next = { ...state, step: "refine_and_show", lastQuery: raw, offset: 0 };
-  return {
-    state: next,
-    message: buildResultsMessage({
-      lang,
-      domainId: next.domainId,
-      focus: next.focus,
-      query: next.lastQuery,
-      offset: next.offset,
-      pageSize: next.pageSize
-    })
-  };
+export function getKnowledgeBaseMeta() {
+  return kb.meta || {};
 }
 
-export function handleAction(state, action) {
+/**
+ * Cards for KB schemes by id (unknown ids are skipped), for UI outside the chat (shortlist, compare view).
+ */
+export function getSchemeCards(schemeIds, lang = "en", focus = "overview") {
+  return renderCards({ schemeIds, focus }, lang);
+}
+
+/**
+ * Domains the text points at, strongest first (what a typed message adds to `needs`).
+ */
+export function detectNeeds(text, lang = "en") {
+  return understand(text, lang).domainIds;
+}
+
+/**
+ * Ranked scheme ids for a query, as the results step would list them (golden tests, KB tooling).
+ * `slots`: household facts to rank with, as collected from free text (utils/slots).
+ */
+export function searchSchemes(query, { domainId = null, limit = MAX_MATCHES_CAP, slots = null } = {}) {
+  const profile = rankingProfile({ slots });
+  return retrieveAllSchemes({ query, domainId, profile }).matched.slice(0, limit).map(x => x.s.id);
+}
+
+/**
+ * Entry-point cards (hotlines, front doors) by id, in the given order; all of them when `ids` is omitted.
+ */
+export function getEntryPointCards(ids = null, lang = "en") {
+  const all = kb.entry_points || [];
+  const eps = ids ? ids.map(id => all.find(ep => ep.id === id)).filter(Boolean) : all;
+  return eps.map(ep => formatEntryPoint(ep, lang));
+}
+
+/**
+ * Card for a KB record that may not be in the bundled KB yet (KB editor preview).
+ * kind: "scheme" | "entry_point".
+ */
+export function previewCard(record, kind, lang = "en", focus = "detail") {
+  return kind === "entry_point" ? formatEntryPoint(record, lang) : formatScheme(record, lang, focus);
+}
+
+/**
+ * Plan data for "Export my plan": every scheme shown in this session (in order) + entry-point contacts.
+ * Rendered to printable HTML by utils/planExport.
+ */
+export function buildPlan(state) {
   const lang = state.lang;
-  const zh = lang === "zh";
+  const schemes = (state.shownSchemeIds || [])
+      .map(schemeById)
+      .filter(Boolean)
+      .map(s => {
+        const { id, title, summary, steps, docs } = formatScheme(s, lang);
+        return { id, title, summary, steps, docs, links: s.official_links || [] };
+      });
 
-  if (!action || !action.type) return { state, message: null };
+  const entryPoints = (kb.entry_points || []).map(ep => ({
+    id: ep.id,
+    title: pickField(ep, "name", lang),
+    hotline: ep.contacts?.hotline || null,
+    email: ep.contacts?.email || null,
+    links: ep.links || []
+  }));
 
-  switch (action.type) {
-    case "RESTART": {
-      const s = initDialogState(lang);
-      return { state: s, message: getInitialAssistantMessage(lang) };
-    }
-    case "END": {
-      const s = { ...state, ended: true };
-      return { state: s, message: endConversationMessage(lang) };
-    }
-    case "ESCALATE": {
-      // Engine does not implement human handoff, but we emit the action so UI can route it.
-      // We also provide a friendly message.
-      const text = zh
-          ? "好的，我帮你转接人工支持。"
-          : "Okay — I’ll connect you to human support.";
-      return {
-        state,
-        message: {
-          role: "assistant",
-          text,
-          cards: [],
-          quickReplies: makeQuickReplies([
-            ...baseNavQuickReplies(lang),
-            endQuickReply(lang)
-          ])
-        }
-      };
-    }
-    case "BACK_TOPICS": {
-      const s = { ...state, step: "choose_domain", domainId: null, lastQuery: "", offset: 0, ended: false };
-      return {
-        state: s,
-        message: {
-          role: "assistant",
-          text: zh
-              ? "好的，我们回到一开始。你可以点主题，也可以直接说一句你遇到的情况。"
-              : "Sure — back to the start. You can tap a topic, or just tell me what’s going on in one sentence.",
-          cards: [],
-          quickReplies: topicQuickReplies(lang)
-        }
-      };
-    }
-    case "URGENT": {
-      const s = { ...state, step: "choose_domain", domainId: null, lastQuery: "", offset: 0, ended: false };
-      return { state: s, message: urgentMessage(lang) };
-    }
-    case "SENSITIVE": {
-      const s = { ...state, step: "choose_domain", domainId: null, lastQuery: "", offset: 0, ended: false };
-      return { state: s, message: sensitiveMessage(lang) };
-    }
-    case "SET_DOMAIN": {
-      const d = domainById(action.domainId);
-      const s = { ...state, step: "choose_focus", domainId: action.domainId, lastQuery: "", offset: 0, ended: false };
+  return {
+    lang,
+    generatedAt: new Date().toISOString(),
+    lastUpdated: kb.meta?.last_updated || null,
+    note: kb.meta?.note || "",
+    schemes,
+    entryPoints
+  };
+}
 
-      const text = zh
-          ? `${empathyStart(action.domainId, lang)}\n\n好的，我们从「${langPick(lang, d.en, d.zh)}」开始。你想先看哪一类信息？`
-          : `${empathyStart(action.domainId, lang)}\n\nOK — starting with “${langPick(lang, d.en, d.zh)}”. What do you want first?`;
+/**
+ * A new conversation. `allowedDomains`: the only domains it covers (null: all of them).
+ */
+export function initDialogState(lang = "en", { allowedDomains = null } = {}) {
+  return {
+    lang,
+    step: flow.start,       // choose_domain -> choose_focus -> refine_and_show (nodes of the dialog flow)
+    domainId: null,         // the need being worked on (null: all needs together)
+    needs: [],              // every domain raised in this conversation, strongest first
+    focus: "overview",      // overview | eligibility | steps | documents
+    lastQuery: "",
+    offset: 0,              // pagination offset (avoid duplicates)
+    pageSize: DEFAULT_PAGE_SIZE,
+    shownSchemeIds: [],     // every scheme card shown so far (for escalation tickets)
+    profile: null,          // household answers from the eligibility pre-screener
+    slots: {},              // household facts mentioned in free text (age, income, ...), see utils/slots
+    screenIndex: null,      // current screener question while step === "screening"
+    safety: initSafetyState(), // conversation-level risk (info / elevated / crisis), see utils/safety
+    allowedDomains,         // null, or the only domains offered and detected (embeddable widget)
+    ended: false
+  };
+}
 
-      return { state: s, message: { role: "assistant", text, cards: [], quickReplies: focusQuickReplies(lang) } };
-    }
-    case "SET_FOCUS": {
-      // Focus changed => reset pagination to page 1 to avoid confusing jumps
-      const s = { ...state, focus: action.focus || "overview", offset: 0 };
-
-      if (s.step === "refine_and_show" && s.lastQuery) {
-        return {
-          state: s,
-          message: buildResultsMessage({
-            lang,
-            domainId: s.domainId,
-            focus: s.focus,
-            query: s.lastQuery,
-            offset: s.offset,
-            pageSize: s.pageSize
-          })
-        };
-      }
+export function getInitialAssistantMessage(lang = "en", { allowedDomains = null } = {}) {
+  const state = initDialogState(lang, { allowedDomains });
+  return scopeTopics(state, renderMessage(sayDescriptor(flow.welcome, { state }, FLOW_REGISTRY), lang));
+}
 
-      // Move to refine step: ask one clarifier + show domain presets
-      const text = zh
-          ? `明白。${askOneClarifier(s.domainId, lang)}\n\n你也可以直接用一句话描述，我会马上给你最相关的官方项目。`
-          : `Got it. ${askOneClarifier(s.domainId, lang)}\n\nOr describe it in one sentence — I’ll show the most relevant official schemes right away.`;
+export function handleUserText(prevState, userText) {
+  const raw = (userText || "").trim();
 
-      return {
-        state: { ...s, step: "refine_and_show" },
-        message: { role: "assistant", text, cards: [], quickReplies: domainPresets(s.domainId, lang) }
-      };
-    }
-    case "ADD_QUERY": {
-      const added = (action.text || "").trim();
-      const q = state.lastQuery ? `${state.lastQuery} ${added}`.trim() : added;
-      const s = { ...state, step: "refine_and_show", lastQuery: q, offset: 0 };
-      return {
-        state: s,
-        message: buildResultsMessage({
-          lang,
-          domainId: s.domainId,
-          focus: s.focus,
-          query: s.lastQuery,
-          offset: s.offset,
-          pageSize: s.pageSize
-        })
-      };
-    }
-    case "MORE_RESULTS": {
-      if (!state.lastQuery) {
-        return {
-          state,
-          message: {
-            role: "assistant",
-            text: zh
-                ? "你先用一句话描述你的需求（例如‘住院账单’/‘租金欠费’/‘诊所补贴’），我才能给你更相关的更多结果。"
-                : "Describe your need in one sentence first (e.g., ‘hospital bill’ / ‘rent arrears’ / ‘clinic subsidy’), and I’ll fetch more relevant results.",
-            cards: [],
-            quickReplies: domainPresets(state.domainId, lang)
-          }
-        };
-      }
+  // Safety comes first: every message counts towards the conversation's risk level, even after "end"
+  const { safety, response } = assessTurn(prevState.safety, raw);
+  const state = { ...prevState, safety };
 
-      const nextOffset = (state.offset || 0) + (state.pageSize || DEFAULT_PAGE_SIZE);
-      const s = { ...state, offset: nextOffset };
+  if (response === "sensitive") return scoped(runFlow(flow, FLOW_REGISTRY, state, "SENSITIVE_TEXT"));
+  if (response === "urgent") return scoped(runFlow(flow, FLOW_REGISTRY, state, "URGENT_TEXT"));
 
-      const msg = buildResultsMessage({
-        lang,
-        domainId: s.domainId,
-        focus: s.focus,
-        query: s.lastQuery,
-        offset: s.offset,
-        pageSize: s.pageSize
-      });
+  // If user already ended but types again, revive to start (friendly UX)
+  if (state.ended) return scoped(runFlow(flow, FLOW_REGISTRY, state, "REVIVE"));
 
-      return { state: s, message: msg };
-    }
-    case "NOOP":
-    default:
-      return { state, message: null };
-  }
+  if (!raw) return scoped(runFlow(flow, FLOW_REGISTRY, state, "EMPTY_TEXT"));
+
+  // Household facts ("I'm 67, living alone") are kept whatever else the message does
+  const { domainIds, slots } = understand(raw, state.lang);
+  const informed = { ...state, slots: mergeSlots(state.slots, slots) };
+  return scoped(runFlow(flow, FLOW_REGISTRY, informed, "TEXT", { text: raw, detected: inScope(state, domainIds) }));
+}
+
+export function handleAction(state, action) {
+  if (!action || !action.type || TEXT_EVENTS.includes(action.type)) return { state, message: null };
+  return scoped(runFlow(flow, FLOW_REGISTRY, state, action.type, { action }));
 }
@@ -0,0 +1,253 @@
+// Declarative dialog flow: the conversation graph lives in src/data/dialog_flow.json, this module interprets it
+// - Nodes are the dialog steps (state.step). Events are engine actions (SET_DOMAIN, MORE_RESULTS, ...) and the
+//   text events below; each has one transition or a list (the first whose `if` holds wins).
+//   A node's own `on` is tried before the flow-wide `on`.
+// - A transition: { if, do, set, to } changes the state, then one of { say, show, dispatch } answers
+//     if        guard name(s), "!name" negates; all must hold (they see the state before the transition)
+//     do        named state updates, in order (the engine's registry: addChosenNeed, nextPage, ...)
+//     set       state fields to assign; values are literals or references (below)
+//     to        next node
+//     say       a message: { text: [part], chips, cards: "entryPoints", form }
+//     show      a view the engine builds (results, schemeDetail, screenQuestion, ...): "name" or { view, ...options }
+//     dispatch  hand over to another event, e.g. a typed answer becoming SCREEN_ANSWER
+//   No transition (or one without an answer): the state is kept and there is no message.
+// - Text parts: an engine text key ("msg.unsure"), { key, vars }, { text: { en, zh, ms, ta }, vars } or "@value"
+// - References: "$state.<field>", "$action.<field>", "$text", "$detected.<i>" (needs found in the text),
+//   { "$ref": "action.focus", default: "overview" }, and "@name" for values the engine computes (empathy, clarifier, ...)
+// - domains.<id>: { empathy, clarifier, presets } content per domain; domains.default covers the rest
+
+export const FLOW_VERSION = 1;
+
+// Events raised by handleUserText (not accepted as actions)
+export const TEXT_EVENTS = ["TEXT", "EMPTY_TEXT", "URGENT_TEXT", "SENSITIVE_TEXT", "REVIVE"];
+
+const TRANSITION_KEYS = ["if", "do", "set", "to", "say", "show", "dispatch"];
+const ANSWER_KEYS = ["say", "show", "dispatch"];
+const SAY_KEYS = ["text", "chips", "cards", "form"];
+const REF_ROOTS = ["state", "action", "text", "detected"];
+
+const asList = v => (v === undefined ? [] : Array.isArray(v) ? v : [v]);
+
+/**
+ * Text for the language from an inline { en, zh, ... } object (English, then any language, as fallback).
+ */
+export function localized(text, lang) {
+  if (!text || typeof text !== "object") return String(text ?? "");
+  return text[lang] ?? text.en ?? Object.values(text)[0] ?? "";
+}
+
+function lookup(scope, path) {
+  return path.split(".").reduce((v, key) => (v == null ? undefined : v[key]), scope);
+}
+
+// "$state.x" / "@name" / { $ref, default } / nested lists and objects -> plain values
+function resolve(value, scope, registry) {
+  if (typeof value === "string") {
+    if (value.startsWith("$")) return lookup(scope, value.slice(1));
+    if (value.startsWith("@")) return registry.values[value.slice(1)](scope);
+    return value;
+  }
+  if (Array.isArray(value)) return value.map(v => resolve(v, scope, registry));
+  if (value && typeof value === "object") {
+    if ("$ref" in value) return lookup(scope, value.$ref) ?? value.default ?? null;
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolve(v, scope, registry)]));
+  }
+  return value;
+}
+
+// Text parts as the engine's message descriptors hold them; parts that come out empty are dropped
+function resolveText(parts, scope, registry) {
+  return asList(parts).map(p => {
+    if (typeof p === "string") return p.startsWith("@") ? resolve(p, scope, registry) : { key: p };
+    const out = p.text ? { text: p.text } : { key: p.key };
+    if (p.vars) out.vars = resolve(p.vars, scope, registry);
+    return out;
+  }).filter(Boolean);
+}
+
+/**
+ * A `say` block (or the flow's `welcome`) as a message descriptor for the engine to render.
+ */
+export function sayDescriptor(say, scope, registry) {
+  const desc = { text: resolveText(say.text, scope, registry), chips: resolve(say.chips || [], scope, registry) };
+  if (say.cards === "entryPoints") desc.cards = { entryPoints: true };
+  if (say.form) desc.form = say.form;
+  return desc;
+}
+
+function guardsHold(conditions, scope, registry) {
+  return asList(conditions).every(c => (c.startsWith("!") ? !registry.guards[c.slice(1)](scope) : registry.guards[c](scope)));
+}
+
+/**
+ * Run one event through the flow.
+ * `registry`: { guards, updates, values, views, render, dispatch } from the engine (see dialogEngine.js).
+ * `ctx`: { action, text, detected }. Returns { state, message }.
+ */
+export function runFlow(flow, registry, state, event, ctx = {}) {
+  const before = { ...ctx, state };
+  const candidates = [...asList(flow.nodes[state.step]?.on?.[event]), ...asList(flow.on?.[event])];
+  const t = candidates.find(c => guardsHold(c.if, before, registry));
+  if (!t) return { state, message: null };
+
+  let next = state;
+  for (const name of asList(t.do)) next = registry.updates[name](next, before);
+  if (t.set) next = { ...next, ...resolve(t.set, { ...before, state: next }, registry) };
+  if (t.to) next = { ...next, step: t.to };
+
+  const scope = { ...ctx, prev: state, state: next };
+  if (t.dispatch) return registry.dispatch(next, resolve(t.dispatch, scope, registry));
+  if (t.show) {
+    const { view, intro, ...options } = typeof t.show === "string" ? { view: t.show } : t.show;
+    const resolved = resolve(options, scope, registry);
+    if (intro !== undefined) resolved.intro = typeof intro === "boolean" ? intro : resolveText(intro, scope, registry);
+    return registry.views[view](next, scope, resolved);
+  }
+  if (t.say) return { state: next, message: registry.render(sayDescriptor(t.say, scope, registry), next.lang) };
+  return { state: next, message: null };
+}
+
+// ----------------- Checks -----------------
+
+function isLocalized(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v) && typeof v.en === "string" && v.en.trim() !== "";
+}
+
+// Every "$..." / "@..." / { $ref } inside a value
+function referenceIssues(value, path, registry) {
+  if (typeof value === "string") {
+    if (value.startsWith("$") && !REF_ROOTS.includes(value.slice(1).split(".")[0])) {
+      return [{ path, message: `unknown reference "${value}" (use $${REF_ROOTS.join(", $")})` }];
+    }
+    if (value.startsWith("@") && !registry.values[value.slice(1)]) return [{ path, message: `unknown value "${value}"` }];
+    return [];
+  }
+  if (Array.isArray(value)) return value.flatMap((v, i) => referenceIssues(v, `${path}[${i}]`, registry));
+  if (value && typeof value === "object") {
+    if ("$ref" in value) return referenceIssues(`$${value.$ref}`, `${path}.$ref`, registry);
+    return Object.entries(value).flatMap(([k, v]) => referenceIssues(v, `${path}.${k}`, registry));
+  }
+  return [];
+}
+
+function textIssues(parts, path, registry) {
+  return asList(parts).flatMap((p, i) => {
+    const at = `${path}[${i}]`;
+    if (typeof p === "string") return p.trim() ? referenceIssues(p, at, registry) : [{ path: at, message: "empty text key" }];
+    if (!p || typeof p !== "object") return [{ path: at, message: "expected a text key, { key, vars } or { text, vars }" }];
+    const issues = [];
+    if (p.text !== undefined ? !isLocalized(p.text) : typeof p.key !== "string") {
+      issues.push({ path: at, message: "needs a text key or English text" });
+    }
+    if (p.vars) issues.push(...referenceIssues(p.vars, `${at}.vars`, registry));
+    return issues;
+  });
+}
+
+function chipIssues(chips, path, registry) {
+  return asList(chips).flatMap((c, i) => {
+    const at = `${path}[${i}]`;
+    const set = typeof c === "string" ? c : c?.set;
+    if (!registry.chipSets.includes(set)) return [{ path: at, message: `unknown chip set "${set}"` }];
+    return typeof c === "string" ? [] : referenceIssues(c, at, registry);
+  });
+}
+
+function transitionIssues(t, path, flow, registry) {
+  if (!t || typeof t !== "object" || Array.isArray(t)) return [{ path, message: "expected a transition object" }];
+  const issues = [];
+  const fail = (message, at = path) => issues.push({ path: at, message });
+
+  Object.keys(t).filter(k => !TRANSITION_KEYS.includes(k)).forEach(k => fail("unknown field", `${path}.${k}`));
+  const answers = ANSWER_KEYS.filter(k => k in t);
+  if (answers.length > 1) fail(`use only one of ${answers.join(", ")}`);
+
+  asList(t.if).forEach(g => {
+    if (typeof g !== "string" || !registry.guards[g.replace(/^!/, "")]) fail(`unknown guard "${g}"`, `${path}.if`);
+  });
+  asList(t.do).forEach(u => {
+    if (!registry.updates[u]) fail(`unknown update "${u}"`, `${path}.do`);
+  });
+  if (t.set !== undefined) {
+    if (!t.set || typeof t.set !== "object" || Array.isArray(t.set)) fail("expected an object of state fields", `${path}.set`);
+    else issues.push(...referenceIssues(t.set, `${path}.set`, registry));
+  }
+  if (t.to !== undefined && !flow.nodes?.[t.to]) fail(`unknown node "${t.to}"`, `${path}.to`);
+
+  if (t.say) {
+    Object.keys(t.say).filter(k => !SAY_KEYS.includes(k)).forEach(k => fail("unknown field", `${path}.say.${k}`));
+    issues.push(...textIssues(t.say.text, `${path}.say.text`, registry));
+    issues.push(...chipIssues(t.say.chips, `${path}.say.chips`, registry));
+    if (t.say.cards !== undefined && t.say.cards !== "entryPoints") fail('only "entryPoints" is supported', `${path}.say.cards`);
+  }
+  if (t.show) {
+    const { view, intro, ...options } = typeof t.show === "string" ? { view: t.show } : t.show;
+    if (!registry.views[view]) fail(`unknown view "${view}"`, `${path}.show`);
+    if (intro !== undefined && typeof intro !== "boolean") issues.push(...textIssues(intro, `${path}.show.intro`, registry));
+    issues.push(...referenceIssues(options, `${path}.show`, registry));
+  }
+  if (t.dispatch) {
+    if (typeof t.dispatch.type !== "string") fail("needs an event type", `${path}.dispatch`);
+    issues.push(...referenceIssues(t.dispatch, `${path}.dispatch`, registry));
+  }
+  return issues;
+}
+
+function eventsIssues(on, path, flow, registry) {
+  if (on === undefined) return [];
+  if (!on || typeof on !== "object" || Array.isArray(on)) return [{ path, message: "expected an object of events" }];
+  return Object.entries(on).flatMap(([event, ts]) => {
+    const at = `${path}.${event}`;
+    if (!/^[A-Z][A-Z_]*$/.test(event)) return [{ path: at, message: "event names are UPPER_SNAKE_CASE" }];
+    return Array.isArray(ts)
+        ? ts.flatMap((t, i) => transitionIssues(t, `${at}[${i}]`, flow, registry))
+        : transitionIssues(ts, at, flow, registry);
+  });
+}
+
+function domainIssues(domains, registry) {
+  if (!domains || typeof domains !== "object") return [{ path: "$.domains", message: "missing" }];
+  const issues = [];
+  if (!isLocalized(domains.default?.empathy) || !isLocalized(domains.default?.clarifier)) {
+    issues.push({ path: "$.domains.default", message: "needs English empathy and clarifier text" });
+  }
+  for (const [id, d] of Object.entries(domains)) {
+    const path = `$.domains.${id}`;
+    for (const field of ["empathy", "clarifier"]) {
+      if (d?.[field] !== undefined && !isLocalized(d[field])) issues.push({ path: `${path}.${field}`, message: "needs English text" });
+    }
+    const seen = new Set();
+    asList(d?.presets).forEach((p, i) => {
+      const at = `${path}.presets[${i}]`;
+      if (!p?.id || seen.has(p.id)) issues.push({ path: at, message: p?.id ? `duplicate preset id "${p.id}"` : "missing id" });
+      seen.add(p?.id);
+      if (!isLocalized(p?.label)) issues.push({ path: `${at}.label`, message: "needs English text" });
+      if (("query" in p) === ("action" in p)) issues.push({ path: at, message: "needs either query text or an action" });
+      else if (p.query !== undefined && !isLocalized(p.query)) issues.push({ path: `${at}.query`, message: "needs English text" });
+      else if (p.action !== undefined && typeof p.action?.type !== "string") issues.push({ path: `${at}.action`, message: "needs a type" });
+    });
+  }
+  return issues.concat(Object.keys(domains).filter(id => id !== "default" && !registry.domainIds.includes(id))
+      .map(id => ({ path: `$.domains.${id}`, message: "not a known domain (utils/domains)" })));
+}
+
+/**
+ * Check a flow against the engine's registry ({ guards, updates, values, views, chipSets, domainIds }).
+ * Returns a list of { path, message } (empty when the flow can be run).
+ */
+export function checkFlow(flow, registry) {
+  if (!flow || typeof flow !== "object") return [{ path: "$", message: "expected an object" }];
+  const issues = [];
+  if (flow.version !== FLOW_VERSION) issues.push({ path: "$.version", message: `expected ${FLOW_VERSION}` });
+  if (!flow.nodes || typeof flow.nodes !== "object") return [...issues, { path: "$.nodes", message: "missing" }];
+  if (!flow.nodes[flow.start]) issues.push({ path: "$.start", message: `unknown node "${flow.start}"` });
+  if (!flow.welcome) issues.push({ path: "$.welcome", message: "missing" });
+  else {
+    issues.push(...textIssues(flow.welcome.text, "$.welcome.text", registry));
+    issues.push(...chipIssues(flow.welcome.chips, "$.welcome.chips", registry));
+  }
+  issues.push(...domainIssues(flow.domains, registry));
+  issues.push(...eventsIssues(flow.on, "$.on", flow, registry));
+  for (const [id, node] of Object.entries(flow.nodes)) issues.push(...eventsIssues(node?.on, `$.nodes.${id}.on`, flow, registry));
+  return issues;
+}
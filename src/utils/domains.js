@@ -0,0 +1,14 @@
+// Support domains: the topics users pick from, and the KB `category` each one covers.
+// Labels live in engineText.js ("domain.<id>"). `npm run kb:check` flags schemes whose category no domain covers.
+export const DOMAIN = [
+  { id: "financial",  cat: "financial_assistance" },
+  { id: "housing",    cat: "housing_assistance" },
+  { id: "healthcare", cat: "healthcare_support" },
+  { id: "seniors",    cat: "elderly_support" },
+  { id: "disability", cat: "disability_support" },
+  { id: "legal",      cat: "legal_support" },
+  { id: "mental",     cat: "mental_health_support" },
+  { id: "family",     cat: "family_support" },
+  { id: "education",  cat: "education_support" },
+  { id: "employment", cat: "employment_support" }
+];
@@ -0,0 +1,143 @@
+// Eligibility pre-screening
+// - A short household profile collected through quick replies (see SCREEN_QUESTIONS)
+// - Machine-readable rules per scheme (`eligibility_rules` in the KB)
+// - Pure evaluation: profile + rules -> "likely" | "possible" | "unlikely"
+//
+// Rule format (array, all must hold):
+//   { "field": "citizenship", "in": ["SC", "PR"] }
+//   { "field": "housing", "not_in": ["private"], "soft": true }
+//   { "field": "age", "min": 65 }
+//   { "field": "pc_income", "max": 800, "soft": true }
+// "soft" rules are guidelines (holistic assessment): failing one downgrades to "possible", never to "unlikely".
+// A scheme without `eligibility_rules` cannot be screened and is labelled "possible".
+// An empty array means open access (labelled "likely").
+//
+// Profile values: enum fields hold a string; numeric fields hold an interval [lo, hi] (hi = null means no upper bound).
+// A field that is missing or null means the user skipped the question.
+//
+// Question and option wording lives in engineText.js ("screen.q.<field>", "screen.opt.<option id>",
+// "eligibility.<label>") so every UI language gets it.
+
+export const SCREEN_QUESTIONS = [
+  {
+    field: "citizenship",
+    options: [
+      { id: "sc", value: "SC" },
+      { id: "pr", value: "PR" },
+      { id: "other", value: "other" }
+    ]
+  },
+  {
+    field: "age",
+    options: [
+      { id: "age_u21", value: [0, 20] },
+      { id: "age_21", value: [21, 29] },
+      { id: "age_30", value: [30, 54] },
+      { id: "age_55", value: [55, 64] },
+      { id: "age_65", value: [65, 74] },
+      { id: "age_75", value: [75, null] }
+    ]
+  },
+  {
+    field: "household_size",
+    options: [
+      { id: "hh_1", value: [1, 1] },
+      { id: "hh_2", value: [2, 2] },
+      { id: "hh_3", value: [3, 3] },
+      { id: "hh_4", value: [4, 4] },
+      { id: "hh_5", value: [5, null] }
+    ]
+  },
+  {
+    field: "pc_income",
+    options: [
+      { id: "pci_800", value: [0, 800] },
+      { id: "pci_1200", value: [801, 1200] },
+      { id: "pci_1500", value: [1201, 1500] },
+      { id: "pci_2300", value: [1501, 2300] },
+      { id: "pci_3000", value: [2301, 3000] },
+      { id: "pci_more", value: [3001, null] }
+    ]
+  },
+  {
+    field: "housing",
+    options: [
+      { id: "hdb_rental", value: "hdb_rental" },
+      { id: "hdb_1_2", value: "hdb_1_2" },
+      { id: "hdb_3_4", value: "hdb_3_4" },
+      { id: "hdb_5", value: "hdb_5_exec" },
+      { id: "private", value: "private" },
+      { id: "no_home", value: "none" }
+    ]
+  },
+  {
+    field: "employment",
+    options: [
+      { id: "employed", value: "employed" },
+      { id: "self_employed", value: "self_employed" },
+      { id: "unemployed", value: "unemployed" },
+      { id: "retired", value: "retired" },
+      { id: "not_working", value: "not_working" }
+    ]
+  }
+];
+
+function isInterval(v) {
+  return Array.isArray(v) && v.length === 2;
+}
+
+/**
+ * Check a single rule against the profile: "pass" | "fail" | "unknown".
+ */
+export function checkRule(rule, profile = {}) {
+  const v = profile[rule.field];
+  if (v === undefined || v === null) return "unknown";
+
+  if (rule.in || rule.not_in) {
+    if (isInterval(v)) return "unknown";
+    if (rule.in && !rule.in.includes(v)) return "fail";
+    if (rule.not_in && rule.not_in.includes(v)) return "fail";
+    return "pass";
+  }
+
+  // numeric: compare the answer interval with [min, max]
+  const [lo, hiRaw] = isInterval(v) ? v : [Number(v), Number(v)];
+  const hi = hiRaw === null ? Infinity : hiRaw;
+  const min = rule.min ?? -Infinity;
+  const max = rule.max ?? Infinity;
+
+  if (hi < min || lo > max) return "fail";
+  if (lo >= min && hi <= max) return "pass";
+  return "unknown";
+}
+
+/**
+ * Screen one scheme against a profile.
+ * Returns { label, checks } where checks lists every rule outcome (for explanations).
+ */
+export function screenScheme(scheme, profile = {}) {
+  const rules = scheme?.eligibility_rules;
+  if (!Array.isArray(rules)) return { label: "possible", checks: [] };
+
+  const checks = rules.map(rule => ({ field: rule.field, soft: !!rule.soft, result: checkRule(rule, profile) }));
+
+  if (checks.some(c => c.result === "fail" && !c.soft)) return { label: "unlikely", checks };
+  if (checks.some(c => c.result !== "pass")) return { label: "possible", checks };
+  return { label: "likely", checks };
+}
+
+const LABEL_ORDER = { likely: 0, possible: 1, unlikely: 2 };
+
+/**
+ * Screen a list of schemes; stable-sorts likely -> possible -> unlikely.
+ */
+export function screenSchemes(schemes, profile = {}) {
+  return schemes
+      .map((s, i) => ({ s, i, ...screenScheme(s, profile) }))
+      .sort((a, b) => LABEL_ORDER[a.label] - LABEL_ORDER[b.label] || a.i - b.i)
+      .map(({ s, label, checks }) => ({ s, label, checks }));
+}
+
+export function hasProfile(profile) {
+  return !!profile && Object.values(profile).some(v => v !== undefined && v !== null);
+}
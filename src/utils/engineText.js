@@ -0,0 +1,478 @@
+// Dialog engine text, one dictionary per locale.
+// - Keys are flat ("msg.welcome", "domain.housing", "screen.opt.hh_1")
+// - Per-domain conversation content (empathy openers, clarifiers, preset chips) lives in src/data/dialog_flow.json
+// - Missing keys fall back to English, so a new locale can be added incrementally
+// - `{name}` placeholders are filled from the vars object passed to tr()
+
+export const ENGINE_TEXT = {
+  en: {
+    // navigation chips
+    "nav.backTopics": "Back to topics",
+    "nav.restart": "Restart",
+    "nav.end": "End",
+    "nav.escalate": "Talk to a human",
+    "nav.exportPlan": "Export my plan",
+    "nav.screen": "Check my eligibility",
+    "nav.urgent": "This is urgent",
+    "nav.rephrase": "I’ll add one detail",
+    "nav.workOn": "Work on: {domain}",
+    "nav.allNeeds": "All my needs",
+    "nav.related": "Related schemes",
+    "nav.details": "Details: {name}",
+    "list.sep": ", ",
+
+    // focus (choose_focus step)
+    "focus.overview": "Overview",
+    "focus.eligibility": "Eligibility",
+    "focus.steps": "How to apply",
+    "focus.documents": "Documents to prepare",
+
+    // focus chips under results
+    "chip.overview": "Overview",
+    "chip.eligibility": "Eligibility",
+    "chip.steps": "Steps",
+    "chip.documents": "Documents",
+    "chip.more": "More results",
+
+    // domains
+    "domain.financial": "Financial",
+    "domain.housing": "Housing",
+    "domain.healthcare": "Healthcare",
+    "domain.seniors": "Seniors",
+    "domain.disability": "Disability",
+    "domain.legal": "Legal",
+    "domain.mental": "Mental health",
+    "domain.family": "Family",
+    "domain.education": "Education",
+    "domain.employment": "Employment",
+
+    // messages
+    "msg.welcome": "Hi! You can describe your situation in one sentence (e.g., ‘medical bills are too expensive’ / ‘no place to stay tonight’ / ‘I feel overwhelmed’). I’ll help you find the next steps from official sources. What kind of help do you need?",
+    "msg.revive": "Sure — let’s restart. What kind of help do you need?",
+    "msg.emptyInput": "You can pick a topic, or describe your situation in one natural sentence.",
+    "msg.unsure": "I’m not fully sure which category this falls under yet, but I want to help.\n\nWhich is closest? (Or add one detail like ‘hospital bill’ / ‘rent arrears’ / ‘feeling overwhelmed’.)",
+    "msg.domainDetected": "{empathy}\n\nOK — let’s start with “{domain}”. What do you want first?",
+    "msg.domainSet": "{empathy}\n\nOK — starting with “{domain}”. What do you want first?",
+    "msg.backTopics": "Sure — back to the start. You can tap a topic, or just tell me what’s going on in one sentence.",
+    "msg.clarifier": "Got it. {clarifier}\n\nOr describe it in one sentence — I’ll show the most relevant official schemes right away.",
+    "msg.moreNeedsQuery": "Describe your need in one sentence first (e.g., ‘hospital bill’ / ‘rent arrears’ / ‘clinic subsidy’), and I’ll fetch more relevant results.",
+    "msg.noMatch": "I couldn’t match a specific scheme in the KB yet. No worries — start from these official entry points (they can refer you), or rephrase with a bit more detail (e.g., ‘clinic/hospital/bills’).",
+    "msg.noMore": "I don’t have more matched results to show.\n\nIf you need more tailored help or want to confirm what applies to you, you can choose “Talk to a human”.",
+    "msg.end": "I hope the information I shared was helpful.\n\nIf you need help later, you can always tap “Restart” or “Back to topics”.",
+    "msg.resultsLow": "Here are a few *possibly relevant* official schemes (based on: {domain}). If this isn’t right, tap “Back to topics”.",
+    "msg.resultsHigh": "I found the most relevant official schemes ({domain}). Do you want “Eligibility” or “How to apply” first?",
+    "msg.needsDetected": "{empathy}\n\nIt sounds like a few things are going on at once: {needs}. Here are some options for each. Tap “Work on: …” to go through one need at a time — the others stay on your list.",
+    "msg.needsAdded": "I’ve also added {needs} to your list of needs.",
+    "msg.needSwitched": "Let’s focus on “{domain}”. Your other needs are still on the list: {needs}.",
+    "msg.resultsGrouped": "Here are the most relevant official schemes for each of your needs:",
+    "msg.schemeDetail": "Here is everything I have on “{name}”, including where the information comes from.",
+    "msg.related": "Schemes people often look at together with “{name}”:",
+    "msg.noRelated": "I couldn’t find schemes closely related to “{name}”. You can go back to topics or describe another need.",
+    "msg.schemeMissing": "Sorry — I can’t find that scheme any more. It may have been removed from the knowledge base.",
+    "msg.escalate": "Okay — I’ll connect you to human support. Please leave your name, contact (email or Singapore phone number) and a short summary below, and a caseworker will follow up.\n\nIf it’s urgent, you can also call the ComCare hotline at 1800-222-0000.",
+    "msg.ticketCreated": "Your ticket has been created. Reference number: {ref}. Please keep it — the caseworker will use it when they contact you.\n\nYou can keep browsing other topics in the meantime.",
+    "msg.ticketQueued": "You seem to be offline, so your request is saved on this device with reference number {ref}. It will be sent automatically when you are back online.\n\nIf you need help urgently, call the ComCare hotline 1800-222-0000 (or 999 in an emergency).",
+    "msg.ticketsSent": "You are back online — your saved request ({refs}) has been sent to a caseworker.",
+    "msg.planEmpty": "You haven’t looked at any schemes yet, so there’s no plan to export. Pick a topic to see some options first.",
+    "msg.planReady": "Your plan is ready: it covers the {count} scheme(s) you looked at, with steps, documents to prepare, official links and hotlines. You can print it to bring to the SSO counter, or choose “Save as PDF” in the print dialog.",
+    "msg.urgent": "Got it — this sounds urgent. To help immediately, here are official entry points you can contact first. If you’d like, tell me in one sentence whether this is mainly housing/money/healthcare, and I’ll turn it into a clear 1-2-3 plan.",
+    "msg.sensitive": "Thanks for telling me. If you’re in immediate danger or at risk of self-harm, contact emergency services (999) or national mindline 1771 (24/7). If you want, tell me whether you prefer ‘someone to talk to’ or ‘referral/next steps’, and I’ll continue.",
+
+    // eligibility pre-screener
+    "screen.intro": "Sure — I’ll ask a few quick questions to estimate which schemes you may qualify for. You can skip any question. This is only a guide; the agency’s assessment is final.",
+    "screen.prefilled": "I’ve used what you already told me, so I’ll skip those questions.",
+    "screen.retry": "Please tap one of the options below (or “Skip”).",
+    "screen.question": "Question {n} of {total}: {question}",
+    "screen.skip": "Skip",
+    "screen.stop": "Show results now",
+    "screen.labelled": "Thanks! I’ve labelled each scheme as likely / possibly / likely not eligible based on your answers (a guide only).",
+    "screen.likelyList": "Thanks! Based on your answers, these schemes look likely for you (a guide only). Pick a topic and I’ll narrow it down.",
+    "screen.noneLikely": "Thanks! I can’t tell which schemes are likely from these answers alone. Pick a topic and I’ll label each scheme for you.",
+    "screen.q.citizenship": "Are you a Singapore Citizen or Permanent Resident?",
+    "screen.q.age": "How old are you?",
+    "screen.q.household_size": "How many people live in your household (including you)?",
+    "screen.q.pc_income": "Monthly household income per person? (total household income ÷ number of people)",
+    "screen.q.housing": "What type of home do you live in?",
+    "screen.q.employment": "What is your current work situation?",
+    "screen.opt.sc": "Singapore Citizen",
+    "screen.opt.pr": "Permanent Resident",
+    "screen.opt.other": "Neither",
+    "screen.opt.age_u21": "Under 21",
+    "screen.opt.age_21": "21–29",
+    "screen.opt.age_30": "30–54",
+    "screen.opt.age_55": "55–64",
+    "screen.opt.age_65": "65–74",
+    "screen.opt.age_75": "75 or older",
+    "screen.opt.hh_1": "1 (just me)",
+    "screen.opt.hh_2": "2",
+    "screen.opt.hh_3": "3",
+    "screen.opt.hh_4": "4",
+    "screen.opt.hh_5": "5 or more",
+    "screen.opt.pci_800": "$800 or less",
+    "screen.opt.pci_1200": "$801–$1,200",
+    "screen.opt.pci_1500": "$1,201–$1,500",
+    "screen.opt.pci_2300": "$1,501–$2,300",
+    "screen.opt.pci_3000": "$2,301–$3,000",
+    "screen.opt.pci_more": "More than $3,000",
+    "screen.opt.hdb_rental": "HDB rental flat",
+    "screen.opt.hdb_1_2": "HDB 1–2 room (owned)",
+    "screen.opt.hdb_3_4": "HDB 3–4 room (owned)",
+    "screen.opt.hdb_5": "HDB 5-room / Executive",
+    "screen.opt.private": "Private property",
+    "screen.opt.no_home": "No stable home",
+    "screen.opt.employed": "Employed",
+    "screen.opt.self_employed": "Self-employed / gig work",
+    "screen.opt.unemployed": "Looking for work",
+    "screen.opt.retired": "Retired",
+    "screen.opt.not_working": "Not working (caregiving / studying / health)",
+    "eligibility.likely": "Likely eligible",
+    "eligibility.possible": "Possibly eligible",
+    "eligibility.unlikely": "Likely not eligible"
+  },
+
+  zh: {
+    "nav.backTopics": "返回主题",
+    "nav.restart": "重新开始",
+    "nav.end": "结束",
+    "nav.escalate": "转人工",
+    "nav.exportPlan": "导出我的计划",
+    "nav.screen": "检查我是否符合",
+    "nav.urgent": "我现在很紧急",
+    "nav.rephrase": "我补充一句细节",
+    "nav.workOn": "处理：{domain}",
+    "nav.allNeeds": "查看全部需要",
+    "nav.related": "相关项目",
+    "nav.details": "详情：{name}",
+    "list.sep": "、",
+
+    "focus.overview": "先看概览",
+    "focus.eligibility": "我想看资格",
+    "focus.steps": "我想看申请步骤",
+    "focus.documents": "需要准备什么文件",
+
+    "chip.overview": "概览",
+    "chip.eligibility": "资格",
+    "chip.steps": "步骤",
+    "chip.documents": "所需文件",
+    "chip.more": "更多结果",
+
+    "domain.financial": "经济援助",
+    "domain.housing": "住房",
+    "domain.healthcare": "医疗",
+    "domain.seniors": "长者支持",
+    "domain.disability": "残障支持",
+    "domain.legal": "法律援助",
+    "domain.mental": "心理支持",
+    "domain.family": "家庭支持",
+    "domain.education": "教育与托儿",
+    "domain.employment": "就业与培训",
+
+    "msg.welcome": "你好！你可以直接用一句话描述情况（例如：‘医药费太贵’ / ‘今晚没地方住’ / ‘我很焦虑’），我会从官方渠道帮你找到下一步。你现在最需要哪一类帮助？",
+    "msg.revive": "好的，我们重新开始。你现在最需要哪一类帮助？",
+    "msg.emptyInput": "你可以直接选择一个主题，或者用一句话描述你的情况（越像日常说法越好）。",
+    "msg.unsure": "我还没完全确定你属于哪一类，但我想先接住你。\n\n你更接近下面哪一个？（也可以直接再说一句细节，例如‘住院账单’/‘租金欠费’/‘很焦虑’）",
+    "msg.domainDetected": "{empathy}\n\n好的，我们先从「{domain}」开始。你想先看哪一类信息？",
+    "msg.domainSet": "{empathy}\n\n好的，我们从「{domain}」开始。你想先看哪一类信息？",
+    "msg.backTopics": "好的，我们回到一开始。你可以点主题，也可以直接说一句你遇到的情况。",
+    "msg.clarifier": "明白。{clarifier}\n\n你也可以直接用一句话描述，我会马上给你最相关的官方项目。",
+    "msg.moreNeedsQuery": "你先用一句话描述你的需求（例如‘住院账单’/‘租金欠费’/‘诊所补贴’），我才能给你更相关的更多结果。",
+    "msg.noMatch": "我暂时没在知识库里匹配到非常具体的项目。别担心——你可以先从这些官方入口开始（能转介/查询），或者换一种说法（例如加上‘住院/诊所/账单’这类关键词）。",
+    "msg.noMore": "我这边已经没有更多匹配结果了。\n\n如果你希望进一步确认适用方案或需要更个性化的协助，可以选择“转人工”。",
+    "msg.end": "希望我提供的信息能帮助到您。\n\n如果之后还需要我协助，你随时可以点击“重新开始”或“返回主题”。",
+    "msg.resultsLow": "我先给你几个“可能相关”的官方项目（基于：{domain}）。如果方向不对，点“返回主题”就能重来。",
+    "msg.resultsHigh": "我找到最相关的官方项目（{domain}）。你想先看“资格”还是“申请步骤”？",
+    "msg.needsDetected": "{empathy}\n\n听起来你同时面对几件事：{needs}。下面每一项都先给你几个选择。点“处理：…”可以一项一项来，其他的需要我都会帮你记着。",
+    "msg.needsAdded": "我也把「{needs}」加进你的需要清单了。",
+    "msg.needSwitched": "我们先专注「{domain}」。其他需要还在清单上：{needs}。",
+    "msg.resultsGrouped": "以下按你的每一项需要，列出最相关的官方项目：",
+    "msg.schemeDetail": "以下是「{name}」的全部资料，包括信息来源。",
+    "msg.related": "和「{name}」经常一起看的项目：",
+    "msg.noRelated": "我没有找到和「{name}」密切相关的项目。你可以返回主题，或说说其他需要。",
+    "msg.schemeMissing": "抱歉，我找不到这个项目了，它可能已从资料库中移除。",
+    "msg.escalate": "好的，我帮你转接人工支持。请在下面留下姓名、联系方式（邮箱或新加坡电话号码）和一句简要描述，工作人员会跟进。\n\n如果情况紧急，也可以直接拨打 ComCare 热线 1800-222-0000。",
+    "msg.ticketCreated": "工单已创建，编号：{ref}。请保留这个编号，工作人员联系你时可以用它核对。\n\n你还可以继续查看其他主题。",
+    "msg.ticketQueued": "你目前似乎没有网络，所以你的请求已先保存在这台设备上，编号：{ref}。恢复网络后会自动发送。\n\n如需紧急帮助，请拨打 ComCare 热线 1800-222-0000（紧急情况请拨 999）。",
+    "msg.ticketsSent": "网络已恢复——你保存的请求（{refs}）已发送给工作人员。",
+    "msg.planEmpty": "你还没有查看任何项目，所以暂时没有可以导出的计划。先选一个主题，看看相关项目吧。",
+    "msg.planReady": "你的计划已准备好：包含本次看过的 {count} 个项目的申请步骤、所需文件、官方链接和热线。可以打印带去 SSO 柜台，或在打印窗口中选择“另存为 PDF”。",
+    "msg.urgent": "明白，这听起来比较紧急。为了让你马上有可走的下一步，我先给你最直接的官方入口（可转介/联系）。如果你愿意，也可以再说一句：你现在最急的是住房/钱/医疗哪一块？我会把步骤整理成 1-2-3。",
+    "msg.sensitive": "谢谢你告诉我。如果你现在有自伤/他伤风险或处在危险中，请立刻联系紧急服务（999）或使用 national mindline 1771（24/7）。如果你愿意，你也可以回我一句：你更想‘有人倾听’还是‘获得转介与下一步’，我会继续帮你。",
+
+    "screen.intro": "好的，我会问几个简单问题，帮你估计哪些项目你可能符合。不想回答的可以跳过，结果只是参考，最终以官方评估为准。",
+    "screen.prefilled": "你之前提到的情况我已经记下了，这些问题就不再问。",
+    "screen.retry": "请点选下面的一个选项（或选择“跳过”）。",
+    "screen.question": "问题 {n}/{total}：{question}",
+    "screen.skip": "跳过",
+    "screen.stop": "先看结果",
+    "screen.labelled": "谢谢！我已按你的回答给每个项目标注了“很可能符合 / 可能符合 / 很可能不符合”（仅供参考）。",
+    "screen.likelyList": "谢谢！根据你的回答，这些项目你很可能符合（仅供参考）。选一个主题，我可以帮你看得更具体。",
+    "screen.noneLikely": "谢谢！光凭这些回答我还无法确定你很可能符合哪些项目。选一个主题，我会把每个项目标注出来。",
+    "screen.q.citizenship": "你是新加坡公民还是永久居民？",
+    "screen.q.age": "你的年龄是？",
+    "screen.q.household_size": "你家里一共住几个人（包括你）？",
+    "screen.q.pc_income": "家庭每人每月收入大约是多少？（家庭总收入 ÷ 人数）",
+    "screen.q.housing": "你住在哪种类型的房子？",
+    "screen.q.employment": "你目前的工作状况是？",
+    "screen.opt.sc": "新加坡公民",
+    "screen.opt.pr": "永久居民",
+    "screen.opt.other": "都不是",
+    "screen.opt.age_u21": "21 岁以下",
+    "screen.opt.age_21": "21–29 岁",
+    "screen.opt.age_30": "30–54 岁",
+    "screen.opt.age_55": "55–64 岁",
+    "screen.opt.age_65": "65–74 岁",
+    "screen.opt.age_75": "75 岁及以上",
+    "screen.opt.hh_1": "1 人（只有我）",
+    "screen.opt.hh_2": "2 人",
+    "screen.opt.hh_3": "3 人",
+    "screen.opt.hh_4": "4 人",
+    "screen.opt.hh_5": "5 人或以上",
+    "screen.opt.pci_800": "$800 或以下",
+    "screen.opt.pci_more": "$3,000 以上",
+    "screen.opt.hdb_rental": "组屋租赁房",
+    "screen.opt.hdb_1_2": "自有 1–2 房式组屋",
+    "screen.opt.hdb_3_4": "自有 3–4 房式组屋",
+    "screen.opt.hdb_5": "5 房式/公寓式组屋",
+    "screen.opt.private": "私宅",
+    "screen.opt.no_home": "没有稳定住所",
+    "screen.opt.employed": "受雇",
+    "screen.opt.self_employed": "自雇/零工",
+    "screen.opt.unemployed": "正在找工作",
+    "screen.opt.retired": "已退休",
+    "screen.opt.not_working": "没有工作（照护/读书/健康原因）",
+    "eligibility.likely": "很可能符合",
+    "eligibility.possible": "可能符合",
+    "eligibility.unlikely": "很可能不符合"
+  },
+
+  ms: {
+    "nav.backTopics": "Kembali ke topik",
+    "nav.restart": "Mula semula",
+    "nav.end": "Tamat",
+    "nav.escalate": "Bercakap dengan petugas",
+    "nav.exportPlan": "Eksport pelan saya",
+    "nav.screen": "Semak kelayakan saya",
+    "nav.urgent": "Ini kecemasan",
+    "nav.rephrase": "Saya tambah satu butiran",
+    "nav.workOn": "Uruskan: {domain}",
+    "nav.allNeeds": "Semua keperluan saya",
+    "nav.related": "Skim berkaitan",
+    "nav.details": "Butiran: {name}",
+    "list.sep": ", ",
+
+    "focus.overview": "Gambaran keseluruhan",
+    "focus.eligibility": "Kelayakan",
+    "focus.steps": "Cara memohon",
+    "focus.documents": "Dokumen yang perlu disediakan",
+
+    "chip.overview": "Gambaran",
+    "chip.eligibility": "Kelayakan",
+    "chip.steps": "Langkah",
+    "chip.documents": "Dokumen",
+    "chip.more": "Lagi hasil",
+
+    "domain.financial": "Kewangan",
+    "domain.housing": "Perumahan",
+    "domain.healthcare": "Kesihatan",
+    "domain.seniors": "Warga emas",
+    "domain.disability": "Orang kurang upaya",
+    "domain.legal": "Guaman",
+    "domain.mental": "Kesihatan mental",
+    "domain.family": "Keluarga",
+    "domain.education": "Pendidikan",
+    "domain.employment": "Pekerjaan",
+
+    "msg.welcome": "Hai! Anda boleh terangkan keadaan anda dalam satu ayat (cth. ‘bil perubatan terlalu mahal’ / ‘tiada tempat tinggal malam ini’ / ‘saya rasa sangat tertekan’). Saya akan bantu cari langkah seterusnya daripada sumber rasmi. Bantuan jenis apa yang anda perlukan?",
+    "msg.revive": "Baik — mari mula semula. Bantuan jenis apa yang anda perlukan?",
+    "msg.emptyInput": "Anda boleh pilih satu topik, atau terangkan keadaan anda dalam satu ayat biasa.",
+    "msg.unsure": "Saya belum pasti kategori yang sesuai, tetapi saya mahu membantu.\n\nMana yang paling hampir? (Atau tambah satu butiran seperti ‘bil hospital’ / ‘tunggakan sewa’ / ‘rasa tertekan’.)",
+    "msg.domainDetected": "{empathy}\n\nBaik — mari mula dengan “{domain}”. Apa yang anda mahu lihat dahulu?",
+    "msg.domainSet": "{empathy}\n\nBaik — kita mula dengan “{domain}”. Apa yang anda mahu lihat dahulu?",
+    "msg.backTopics": "Baik — kembali ke permulaan. Anda boleh pilih satu topik, atau ceritakan apa yang berlaku dalam satu ayat.",
+    "msg.clarifier": "Baik. {clarifier}\n\nAtau terangkan dalam satu ayat — saya akan tunjukkan skim rasmi yang paling berkaitan dengan segera.",
+    "msg.moreNeedsQuery": "Terangkan keperluan anda dalam satu ayat dahulu (cth. ‘bil hospital’ / ‘tunggakan sewa’ / ‘subsidi klinik’), dan saya akan cari lebih banyak hasil yang berkaitan.",
+    "msg.noMatch": "Saya belum menemui skim khusus dalam pangkalan pengetahuan. Jangan risau — mulakan dengan saluran rasmi ini (mereka boleh merujuk anda), atau cuba tambah sedikit butiran (cth. ‘klinik/hospital/bil’).",
+    "msg.noMore": "Tiada lagi hasil yang sepadan untuk ditunjukkan.\n\nJika anda perlukan bantuan yang lebih khusus atau mahu pastikan apa yang sesuai untuk anda, pilih “Bercakap dengan petugas”.",
+    "msg.end": "Saya harap maklumat ini membantu.\n\nJika anda perlukan bantuan kemudian, tekan “Mula semula” atau “Kembali ke topik”.",
+    "msg.resultsLow": "Berikut beberapa skim rasmi yang *mungkin berkaitan* (berdasarkan: {domain}). Jika tidak sesuai, tekan “Kembali ke topik”.",
+    "msg.resultsHigh": "Saya menemui skim rasmi yang paling berkaitan ({domain}). Anda mahu lihat “Kelayakan” atau “Cara memohon” dahulu?",
+    "msg.needsDetected": "{empathy}\n\nNampaknya ada beberapa perkara berlaku serentak: {needs}. Berikut beberapa pilihan untuk setiap satu. Tekan “Uruskan: …” untuk menyelesaikan satu keperluan pada satu masa — yang lain kekal dalam senarai anda.",
+    "msg.needsAdded": "Saya juga telah menambah {needs} ke senarai keperluan anda.",
+    "msg.needSwitched": "Mari fokus pada “{domain}”. Keperluan anda yang lain masih dalam senarai: {needs}.",
+    "msg.resultsGrouped": "Berikut skim rasmi yang paling berkaitan untuk setiap keperluan anda:",
+    "msg.schemeDetail": "Berikut semua maklumat saya tentang “{name}”, termasuk sumber maklumat ini.",
+    "msg.related": "Skim yang sering dilihat bersama “{name}”:",
+    "msg.noRelated": "Saya tidak menemui skim yang berkait rapat dengan “{name}”. Anda boleh kembali ke topik atau ceritakan keperluan lain.",
+    "msg.schemeMissing": "Maaf — saya tidak dapat mencari skim itu lagi. Ia mungkin telah dikeluarkan daripada pangkalan pengetahuan.",
+    "msg.escalate": "Baik — saya akan hubungkan anda dengan petugas. Sila tinggalkan nama, maklumat hubungan (e-mel atau nombor telefon Singapura) dan ringkasan pendek di bawah, dan pekerja kes akan menghubungi anda.\n\nJika kecemasan, anda juga boleh hubungi talian ComCare di 1800-222-0000.",
+    "msg.ticketCreated": "Tiket anda telah dibuat. Nombor rujukan: {ref}. Sila simpan nombor ini — pekerja kes akan menggunakannya apabila menghubungi anda.\n\nSementara itu, anda boleh terus melihat topik lain.",
+    "msg.ticketQueued": "Anda nampaknya di luar talian, jadi permintaan anda disimpan pada peranti ini dengan nombor rujukan {ref}. Ia akan dihantar secara automatik apabila anda kembali dalam talian.\n\nJika anda perlukan bantuan segera, hubungi talian ComCare 1800-222-0000 (atau 999 untuk kecemasan).",
+    "msg.ticketsSent": "Anda kembali dalam talian — permintaan anda yang disimpan ({refs}) telah dihantar kepada pekerja kes.",
+    "msg.planEmpty": "Anda belum melihat sebarang skim, jadi belum ada pelan untuk dieksport. Pilih satu topik untuk melihat pilihan dahulu.",
+    "msg.planReady": "Pelan anda sudah sedia: ia merangkumi {count} skim yang anda lihat, bersama langkah, dokumen yang perlu disediakan, pautan rasmi dan talian bantuan. Anda boleh mencetaknya untuk dibawa ke kaunter SSO, atau pilih “Simpan sebagai PDF” dalam dialog cetak.",
+    "msg.urgent": "Baik — ini kedengaran mendesak. Untuk membantu dengan segera, berikut saluran rasmi yang boleh anda hubungi dahulu. Jika mahu, beritahu saya dalam satu ayat sama ada ini berkaitan perumahan/wang/kesihatan, dan saya akan susun pelan 1-2-3 yang jelas.",
+    "msg.sensitive": "Terima kasih kerana memberitahu saya. Jika anda dalam bahaya segera atau berisiko mencederakan diri, hubungi perkhidmatan kecemasan (999) atau national mindline 1771 (24/7). Jika mahu, beritahu saya sama ada anda lebih suka ‘seseorang untuk berbual’ atau ‘rujukan/langkah seterusnya’, dan saya akan teruskan.",
+
+    "screen.intro": "Baik — saya akan tanya beberapa soalan ringkas untuk menganggar skim yang mungkin anda layak. Anda boleh langkau mana-mana soalan. Ini hanya panduan; penilaian agensi adalah muktamad.",
+    "screen.prefilled": "Saya telah guna maklumat yang anda sudah berikan, jadi soalan-soalan itu akan dilangkau.",
+    "screen.retry": "Sila tekan salah satu pilihan di bawah (atau “Langkau”).",
+    "screen.question": "Soalan {n} daripada {total}: {question}",
+    "screen.skip": "Langkau",
+    "screen.stop": "Tunjukkan hasil sekarang",
+    "screen.labelled": "Terima kasih! Saya telah melabel setiap skim sebagai berkemungkinan / mungkin / berkemungkinan tidak layak berdasarkan jawapan anda (panduan sahaja).",
+    "screen.likelyList": "Terima kasih! Berdasarkan jawapan anda, skim ini berkemungkinan sesuai untuk anda (panduan sahaja). Pilih satu topik dan saya akan perincikan.",
+    "screen.noneLikely": "Terima kasih! Saya belum dapat pastikan skim yang berkemungkinan daripada jawapan ini sahaja. Pilih satu topik dan saya akan label setiap skim untuk anda.",
+    "screen.q.citizenship": "Adakah anda Warganegara Singapura atau Penduduk Tetap?",
+    "screen.q.age": "Berapakah umur anda?",
+    "screen.q.household_size": "Berapa orang tinggal dalam isi rumah anda (termasuk anda)?",
+    "screen.q.pc_income": "Pendapatan isi rumah bulanan bagi setiap orang? (jumlah pendapatan isi rumah ÷ bilangan orang)",
+    "screen.q.housing": "Anda tinggal di rumah jenis apa?",
+    "screen.q.employment": "Apakah status pekerjaan anda sekarang?",
+    "screen.opt.sc": "Warganegara Singapura",
+    "screen.opt.pr": "Penduduk Tetap",
+    "screen.opt.other": "Bukan kedua-duanya",
+    "screen.opt.age_u21": "Bawah 21",
+    "screen.opt.age_75": "75 tahun ke atas",
+    "screen.opt.hh_1": "1 (saya sahaja)",
+    "screen.opt.hh_5": "5 atau lebih",
+    "screen.opt.pci_800": "$800 atau kurang",
+    "screen.opt.pci_more": "Lebih daripada $3,000",
+    "screen.opt.hdb_rental": "Flat sewa HDB",
+    "screen.opt.hdb_1_2": "HDB 1–2 bilik (milik sendiri)",
+    "screen.opt.hdb_3_4": "HDB 3–4 bilik (milik sendiri)",
+    "screen.opt.hdb_5": "HDB 5 bilik / Eksekutif",
+    "screen.opt.private": "Hartanah persendirian",
+    "screen.opt.no_home": "Tiada rumah tetap",
+    "screen.opt.employed": "Bekerja",
+    "screen.opt.self_employed": "Bekerja sendiri / kerja gig",
+    "screen.opt.unemployed": "Sedang mencari kerja",
+    "screen.opt.retired": "Bersara",
+    "screen.opt.not_working": "Tidak bekerja (menjaga keluarga / belajar / kesihatan)",
+    "eligibility.likely": "Berkemungkinan layak",
+    "eligibility.possible": "Mungkin layak",
+    "eligibility.unlikely": "Berkemungkinan tidak layak"
+  },
+
+  ta: {
+    "nav.backTopics": "தலைப்புகளுக்குத் திரும்பு",
+    "nav.restart": "மீண்டும் தொடங்கு",
+    "nav.end": "முடி",
+    "nav.escalate": "ஒருவரிடம் பேசுங்கள்",
+    "nav.exportPlan": "என் திட்டத்தை ஏற்றுமதி செய்",
+    "nav.screen": "என் தகுதியைச் சரிபார்",
+    "nav.urgent": "இது அவசரம்",
+    "nav.rephrase": "இன்னொரு விவரம் சேர்க்கிறேன்",
+    "nav.workOn": "இதைக் கவனிப்போம்: {domain}",
+    "nav.allNeeds": "என் எல்லாத் தேவைகளும்",
+    "nav.related": "தொடர்புடைய திட்டங்கள்",
+    "nav.details": "விவரங்கள்: {name}",
+    "list.sep": ", ",
+
+    "focus.overview": "மேலோட்டம்",
+    "focus.eligibility": "தகுதி",
+    "focus.steps": "விண்ணப்பிக்கும் முறை",
+    "focus.documents": "தயார் செய்ய வேண்டிய ஆவணங்கள்",
+
+    "chip.overview": "மேலோட்டம்",
+    "chip.eligibility": "தகுதி",
+    "chip.steps": "படிகள்",
+    "chip.documents": "ஆவணங்கள்",
+    "chip.more": "மேலும் முடிவுகள்",
+
+    "domain.financial": "நிதி உதவி",
+    "domain.housing": "வீட்டுவசதி",
+    "domain.healthcare": "சுகாதாரம்",
+    "domain.seniors": "மூத்தோர்",
+    "domain.disability": "மாற்றுத்திறன்",
+    "domain.legal": "சட்ட உதவி",
+    "domain.mental": "மனநலம்",
+    "domain.family": "குடும்பம்",
+    "domain.education": "கல்வி",
+    "domain.employment": "வேலைவாய்ப்பு",
+
+    "msg.welcome": "வணக்கம்! உங்கள் நிலையை ஒரு வாக்கியத்தில் சொல்லலாம் (எ.கா. ‘மருத்துவக் கட்டணம் அதிகம்’ / ‘இன்றிரவு தங்க இடம் இல்லை’ / ‘மிகவும் மன அழுத்தமாக உள்ளது’). அதிகாரப்பூர்வ மூலங்களிலிருந்து அடுத்த படிகளைக் கண்டறிய உதவுவேன். உங்களுக்கு எந்த வகை உதவி வேண்டும்?",
+    "msg.revive": "சரி — மீண்டும் தொடங்குவோம். உங்களுக்கு எந்த வகை உதவி வேண்டும்?",
+    "msg.emptyInput": "ஒரு தலைப்பைத் தேர்ந்தெடுக்கலாம், அல்லது உங்கள் நிலையை ஒரு சாதாரண வாக்கியத்தில் சொல்லலாம்.",
+    "msg.unsure": "இது எந்த வகையைச் சேர்ந்தது என்று இன்னும் உறுதியாகத் தெரியவில்லை, ஆனால் உதவ விரும்புகிறேன்.\n\nஎது மிக நெருக்கமானது? (அல்லது ‘மருத்துவமனைக் கட்டணம்’ / ‘வாடகை நிலுவை’ / ‘மன அழுத்தம்’ போன்ற ஒரு விவரம் சேர்க்கவும்.)",
+    "msg.domainDetected": "{empathy}\n\nசரி — “{domain}” இலிருந்து தொடங்குவோம். முதலில் எதைப் பார்க்க விரும்புகிறீர்கள்?",
+    "msg.domainSet": "{empathy}\n\nசரி — “{domain}” உடன் தொடங்குகிறோம். முதலில் எதைப் பார்க்க விரும்புகிறீர்கள்?",
+    "msg.backTopics": "சரி — தொடக்கத்திற்குத் திரும்புகிறோம். ஒரு தலைப்பைத் தேர்ந்தெடுக்கலாம், அல்லது என்ன நடக்கிறது என்று ஒரு வாக்கியத்தில் சொல்லலாம்.",
+    "msg.clarifier": "சரி. {clarifier}\n\nஅல்லது ஒரு வாக்கியத்தில் விவரிக்கவும் — மிகப் பொருத்தமான அதிகாரப்பூர்வ திட்டங்களை உடனே காட்டுவேன்.",
+    "msg.moreNeedsQuery": "முதலில் உங்கள் தேவையை ஒரு வாக்கியத்தில் சொல்லுங்கள் (எ.கா. ‘மருத்துவமனைக் கட்டணம்’ / ‘வாடகை நிலுவை’ / ‘மருந்தக மானியம்’), பின்னர் மேலும் பொருத்தமான முடிவுகளைத் தருவேன்.",
+    "msg.noMatch": "அறிவுத் தளத்தில் குறிப்பிட்ட திட்டம் எதுவும் இன்னும் பொருந்தவில்லை. கவலை வேண்டாம் — இந்த அதிகாரப்பூர்வ மையங்களிலிருந்து தொடங்குங்கள் (அவர்கள் உங்களைப் பரிந்துரைக்க முடியும்), அல்லது இன்னும் சிறிது விவரத்துடன் சொல்லுங்கள் (எ.கா. ‘மருந்தகம்/மருத்துவமனை/கட்டணங்கள்’).",
+    "msg.noMore": "காட்ட மேலும் பொருந்தும் முடிவுகள் இல்லை.\n\nஉங்களுக்கு மேலும் தனிப்பட்ட உதவி தேவைப்பட்டால் அல்லது உங்களுக்கு எது பொருந்தும் என்று உறுதிசெய்ய விரும்பினால், “ஒருவரிடம் பேசுங்கள்” என்பதைத் தேர்ந்தெடுக்கவும்.",
+    "msg.end": "நான் பகிர்ந்த தகவல் உதவியாக இருந்திருக்கும் என்று நம்புகிறேன்.\n\nபின்னர் உதவி தேவைப்பட்டால், “மீண்டும் தொடங்கு” அல்லது “தலைப்புகளுக்குத் திரும்பு” என்பதைத் தட்டவும்.",
+    "msg.resultsLow": "*பொருத்தமாக இருக்கக்கூடிய* சில அதிகாரப்பூர்வ திட்டங்கள் இதோ (அடிப்படை: {domain}). இது சரியில்லை என்றால், “தலைப்புகளுக்குத் திரும்பு” என்பதைத் தட்டவும்.",
+    "msg.resultsHigh": "மிகப் பொருத்தமான அதிகாரப்பூர்வ திட்டங்களைக் கண்டேன் ({domain}). முதலில் “தகுதி” பார்க்க வேண்டுமா அல்லது “விண்ணப்பிக்கும் முறை” பார்க்க வேண்டுமா?",
+    "msg.needsDetected": "{empathy}\n\nஒரே நேரத்தில் பல விஷயங்கள் நடப்பது போலத் தெரிகிறது: {needs}. ஒவ்வொன்றுக்கும் சில வாய்ப்புகள் இதோ. ஒரு நேரத்தில் ஒரு தேவையைப் பார்க்க “இதைக் கவனிப்போம்: …” என்பதைத் தட்டவும் — மற்றவை உங்கள் பட்டியலில் இருக்கும்.",
+    "msg.needsAdded": "{needs} என்பதையும் உங்கள் தேவைகள் பட்டியலில் சேர்த்துள்ளேன்.",
+    "msg.needSwitched": "“{domain}” மீது கவனம் செலுத்துவோம். உங்கள் மற்ற தேவைகள் இன்னும் பட்டியலில் உள்ளன: {needs}.",
+    "msg.resultsGrouped": "உங்கள் ஒவ்வொரு தேவைக்கும் மிகப் பொருத்தமான அதிகாரப்பூர்வ திட்டங்கள் இதோ:",
+    "msg.schemeDetail": "“{name}” பற்றி என்னிடம் உள்ள அனைத்தும் இதோ, தகவல் எங்கிருந்து வருகிறது என்பதும் சேர்த்து.",
+    "msg.related": "“{name}” உடன் சேர்த்து அடிக்கடி பார்க்கப்படும் திட்டங்கள்:",
+    "msg.noRelated": "“{name}” உடன் நெருக்கமாகத் தொடர்புடைய திட்டங்களைக் கண்டுபிடிக்க முடியவில்லை. தலைப்புகளுக்குத் திரும்பலாம் அல்லது வேறு தேவையைச் சொல்லலாம்.",
+    "msg.schemeMissing": "மன்னிக்கவும் — அந்தத் திட்டத்தை இனி காண முடியவில்லை. அது தகவல் தளத்திலிருந்து நீக்கப்பட்டிருக்கலாம்.",
+    "msg.escalate": "சரி — உங்களை ஒரு பணியாளருடன் இணைக்கிறேன். கீழே உங்கள் பெயர், தொடர்பு (மின்னஞ்சல் அல்லது சிங்கப்பூர் தொலைபேசி எண்) மற்றும் சுருக்கமான விவரத்தை விடுங்கள்; ஒரு சமூகப் பணியாளர் தொடர்பு கொள்வார்.\n\nஅவசரம் என்றால், ComCare உதவி எண் 1800-222-0000 ஐயும் அழைக்கலாம்.",
+    "msg.ticketCreated": "உங்கள் கோரிக்கை உருவாக்கப்பட்டது. குறிப்பு எண்: {ref}. இதை வைத்திருங்கள் — பணியாளர் உங்களைத் தொடர்பு கொள்ளும்போது இதைப் பயன்படுத்துவார்.\n\nஇதற்கிடையில் மற்ற தலைப்புகளைப் பார்க்கலாம்.",
+    "msg.ticketQueued": "நீங்கள் இணையத்தில் இல்லை எனத் தெரிகிறது. எனவே உங்கள் கோரிக்கை இந்தச் சாதனத்தில் சேமிக்கப்பட்டது; குறிப்பு எண்: {ref}. இணைய இணைப்பு திரும்பியதும் அது தானாக அனுப்பப்படும்.\n\nஅவசர உதவி தேவைப்பட்டால், ComCare உதவி எண் 1800-222-0000 ஐ அழைக்கவும் (அவசரநிலையில் 999).",
+    "msg.ticketsSent": "இணைய இணைப்பு திரும்பியது — சேமிக்கப்பட்ட உங்கள் கோரிக்கை ({refs}) பணியாளருக்கு அனுப்பப்பட்டது.",
+    "msg.planEmpty": "நீங்கள் இன்னும் எந்தத் திட்டத்தையும் பார்க்கவில்லை, எனவே ஏற்றுமதி செய்ய திட்டம் இல்லை. முதலில் ஒரு தலைப்பைத் தேர்ந்தெடுத்து சில விருப்பங்களைப் பாருங்கள்.",
+    "msg.planReady": "உங்கள் திட்டம் தயார்: நீங்கள் பார்த்த {count} திட்டங்களின் படிகள், தயார் செய்ய வேண்டிய ஆவணங்கள், அதிகாரப்பூர்வ இணைப்புகள் மற்றும் உதவி எண்கள் இதில் உள்ளன. SSO முகப்புக்குக் கொண்டு செல்ல அச்சிடலாம், அல்லது அச்சு சாளரத்தில் “PDF ஆகச் சேமி” என்பதைத் தேர்ந்தெடுக்கலாம்.",
+    "msg.urgent": "சரி — இது அவசரமாகத் தெரிகிறது. உடனடியாக உதவ, முதலில் நீங்கள் தொடர்பு கொள்ளக்கூடிய அதிகாரப்பூர்வ மையங்கள் இதோ. விரும்பினால், இது முக்கியமாக வீடு/பணம்/சுகாதாரம் பற்றியதா என்று ஒரு வாக்கியத்தில் சொல்லுங்கள், தெளிவான 1-2-3 திட்டமாக மாற்றித் தருவேன்.",
+    "msg.sensitive": "என்னிடம் சொன்னதற்கு நன்றி. நீங்கள் உடனடி ஆபத்தில் இருந்தால் அல்லது உங்களைக் காயப்படுத்திக்கொள்ளும் அபாயம் இருந்தால், அவசரச் சேவைகளை (999) அல்லது national mindline 1771 (24/7) ஐத் தொடர்பு கொள்ளுங்கள். விரும்பினால், ‘பேச ஒருவர்’ வேண்டுமா அல்லது ‘பரிந்துரை/அடுத்த படிகள்’ வேண்டுமா என்று சொல்லுங்கள், தொடர்ந்து உதவுவேன்.",
+
+    "screen.intro": "சரி — நீங்கள் எந்தத் திட்டங்களுக்குத் தகுதி பெறலாம் என்று மதிப்பிட சில சிறிய கேள்விகள் கேட்கிறேன். எந்தக் கேள்வியையும் தவிர்க்கலாம். இது வழிகாட்டி மட்டுமே; நிறுவனத்தின் மதிப்பீடே இறுதியானது.",
+    "screen.prefilled": "நீங்கள் ஏற்கனவே சொன்ன விவரங்களைப் பயன்படுத்தியுள்ளேன், எனவே அந்தக் கேள்விகளைத் தவிர்க்கிறேன்.",
+    "screen.retry": "கீழே உள்ள விருப்பங்களில் ஒன்றைத் தட்டவும் (அல்லது “தவிர்”).",
+    "screen.question": "கேள்வி {n} / {total}: {question}",
+    "screen.skip": "தவிர்",
+    "screen.stop": "இப்போதே முடிவுகளைக் காட்டு",
+    "screen.labelled": "நன்றி! உங்கள் பதில்களின் அடிப்படையில் ஒவ்வொரு திட்டத்தையும் தகுதி வாய்ப்பு அதிகம் / இருக்கலாம் / குறைவு என்று குறித்துள்ளேன் (வழிகாட்டி மட்டுமே).",
+    "screen.likelyList": "நன்றி! உங்கள் பதில்களின்படி, இந்தத் திட்டங்களுக்கு நீங்கள் தகுதி பெற வாய்ப்பு அதிகம் (வழிகாட்டி மட்டுமே). ஒரு தலைப்பைத் தேர்ந்தெடுத்தால் மேலும் குறிப்பாகப் பார்க்கலாம்.",
+    "screen.noneLikely": "நன்றி! இந்தப் பதில்களை மட்டும் வைத்து எந்தத் திட்டங்கள் பொருந்தும் என்று சொல்ல முடியவில்லை. ஒரு தலைப்பைத் தேர்ந்தெடுத்தால் ஒவ்வொரு திட்டத்தையும் குறித்துக் காட்டுவேன்.",
+    "screen.q.citizenship": "நீங்கள் சிங்கப்பூர் குடிமகனா அல்லது நிரந்தரவாசியா?",
+    "screen.q.age": "உங்கள் வயது என்ன?",
+    "screen.q.household_size": "உங்கள் வீட்டில் எத்தனை பேர் வசிக்கிறார்கள் (உங்களையும் சேர்த்து)?",
+    "screen.q.pc_income": "ஒருவருக்கான மாத வீட்டு வருமானம்? (மொத்த வீட்டு வருமானம் ÷ நபர்களின் எண்ணிக்கை)",
+    "screen.q.housing": "நீங்கள் எந்த வகை வீட்டில் வசிக்கிறீர்கள்?",
+    "screen.q.employment": "உங்கள் தற்போதைய வேலை நிலை என்ன?",
+    "screen.opt.sc": "சிங்கப்பூர் குடிமகன்",
+    "screen.opt.pr": "நிரந்தரவாசி",
+    "screen.opt.other": "இரண்டும் இல்லை",
+    "screen.opt.age_u21": "21 வயதுக்குக் கீழ்",
+    "screen.opt.age_75": "75 அல்லது அதற்கு மேல்",
+    "screen.opt.hh_1": "1 (நான் மட்டும்)",
+    "screen.opt.hh_5": "5 அல்லது அதற்கு மேல்",
+    "screen.opt.pci_800": "$800 அல்லது குறைவு",
+    "screen.opt.pci_more": "$3,000 க்கு மேல்",
+    "screen.opt.hdb_rental": "HDB வாடகை வீடு",
+    "screen.opt.hdb_1_2": "HDB 1–2 அறை (சொந்தம்)",
+    "screen.opt.hdb_3_4": "HDB 3–4 அறை (சொந்தம்)",
+    "screen.opt.hdb_5": "HDB 5 அறை / எக்ஸிகியூட்டிவ்",
+    "screen.opt.private": "தனியார் சொத்து",
+    "screen.opt.no_home": "நிலையான வீடு இல்லை",
+    "screen.opt.employed": "வேலையில் உள்ளேன்",
+    "screen.opt.self_employed": "சுயதொழில் / கிக் வேலை",
+    "screen.opt.unemployed": "வேலை தேடுகிறேன்",
+    "screen.opt.retired": "ஓய்வு பெற்றவர்",
+    "screen.opt.not_working": "வேலை இல்லை (பராமரிப்பு / படிப்பு / உடல்நலம்)",
+    "eligibility.likely": "தகுதி வாய்ப்பு அதிகம்",
+    "eligibility.possible": "தகுதி இருக்கலாம்",
+    "eligibility.unlikely": "தகுதி வாய்ப்பு குறைவு"
+  }
+};
+
+/**
+ * Look up engine text for a locale (fallback: English, then the key itself) and fill `{name}` placeholders.
+ */
+export function tr(lang, key, vars = null) {
+  return fillText(ENGINE_TEXT[lang]?.[key] ?? ENGINE_TEXT.en[key] ?? key, vars);
+}
+
+/**
+ * Fill `{name}` placeholders in a string (text that doesn't come from this file, e.g. the dialog flow).
+ */
+export function fillText(raw, vars = null) {
+  if (!vars) return raw;
+  return raw.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+}
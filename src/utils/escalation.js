@@ -0,0 +1,211 @@
+// Human escalation tickets
+// - Validate contact details (email or Singapore phone number)
+// - Build a ticket from the current dialog state (domain, query, focus, schemes shown)
+// - Submit through a pluggable transport: local-storage queue (default) or HTTP endpoint
+// - Offline: tickets for the HTTP endpoint wait in an outbox on this device and are sent when the connection returns
+import { isOnline } from "./pwa.js";
+import { STORAGE_KEYS, deviceStorage } from "./storage.js";
+
+const QUEUE_KEY = STORAGE_KEYS.ticketQueue;
+const OUTBOX_KEY = STORAGE_KEYS.ticketOutbox;
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+// SG numbers: 8 digits starting with 3/6/8/9, optional +65 / 65 prefix
+const SG_PHONE_RE = /^(?:\+?65)?[3689]\d{7}$/;
+
+export function normalizePhone(raw = "") {
+  return raw.replace(/[\s\-()]/g, "");
+}
+
+export function contactType(raw = "") {
+  const v = raw.trim();
+  if (EMAIL_RE.test(v)) return "email";
+  if (SG_PHONE_RE.test(normalizePhone(v))) return "phone";
+  return null;
+}
+
+/**
+ * Validate the ticket form. Returns a map of field -> i18n error key (empty when valid).
+ */
+export function validateTicketForm({ name = "", contact = "", summary = "" } = {}) {
+  const errors = {};
+  if (!name.trim()) errors.name = "requiredField";
+  if (!contact.trim()) errors.contact = "requiredField";
+  else if (!contactType(contact)) errors.contact = "invalidContact";
+  if (!summary.trim()) errors.summary = "requiredField";
+  return errors;
+}
+
+export function makeTicketRef(now = new Date()) {
+  const d = now.toISOString().slice(2, 10).replace(/-/g, "");
+  const rand = Math.random().toString(36).slice(2, 6).toUpperCase().padEnd(4, "0");
+  return `SGA-${d}-${rand}`;
+}
+
+/**
+ * Build a ticket object from form input + dialog state.
+ * Dialog context is auto-filled so the caseworker sees what the user already looked at.
+ */
+export function buildTicket(form, dlg, now = new Date()) {
+  const type = contactType(form.contact);
+  return {
+    ref: makeTicketRef(now),
+    createdAt: now.toISOString(),
+    lang: dlg?.lang || "en",
+    name: form.name.trim(),
+    contact: type === "phone" ? normalizePhone(form.contact.trim()) : form.contact.trim(),
+    contactType: type,
+    summary: form.summary.trim(),
+    domainId: dlg?.domainId || null,
+    needs: [...(dlg?.needs || [])],
+    lastQuery: dlg?.lastQuery || "",
+    focus: dlg?.focus || "overview",
+    schemeIds: [...(dlg?.shownSchemeIds || [])]
+  };
+}
+
+// ----------------- Transports -----------------
+// A transport is any object with `send(ticket) -> Promise<{ ref }>`.
+
+// A stored ticket list; a missing or corrupt value reads as empty rather than blocking every escalation
+function readTickets(storage, key) {
+  try {
+    const queue = JSON.parse(storage?.getItem(key) || "[]");
+    return Array.isArray(queue) ? queue : [];
+  } catch {
+    return [];
+  }
+}
+
+export function createLocalStorageTransport(storage = deviceStorage(), key = QUEUE_KEY) {
+  return {
+    kind: "local",
+    async send(ticket) {
+      if (!storage) throw new Error("localStorage is not available");
+      const queue = readTickets(storage, key);
+      queue.push(ticket);
+      storage.setItem(key, JSON.stringify(queue));
+      return { ref: ticket.ref };
+    },
+    list() {
+      return readTickets(storage, key);
+    }
+  };
+}
+
+export function createHttpTransport(endpoint, { fetchImpl = globalThis.fetch, headers = {} } = {}) {
+  return {
+    kind: "http",
+    async send(ticket) {
+      const res = await fetchImpl(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(ticket)
+      });
+      if (!res.ok) throw new Error(`Ticket endpoint responded ${res.status}`);
+
+      // Server may assign its own reference; otherwise keep ours
+      let body = null;
+      try {
+        body = await res.json();
+      } catch {
+        body = null;
+      }
+      return { ref: body?.ref || ticket.ref };
+    }
+  };
+}
+
+// ----------------- Offline outbox -----------------
+
+function readOutbox(storage) {
+  return readTickets(storage, OUTBOX_KEY);
+}
+
+function writeOutbox(storage, queue) {
+  if (queue.length) storage?.setItem(OUTBOX_KEY, JSON.stringify(queue));
+  else storage?.removeItem(OUTBOX_KEY);
+}
+
+export function pendingTickets(storage = deviceStorage()) {
+  return readOutbox(storage);
+}
+
+/**
+ * Wrap a transport so tickets are kept in the outbox instead of lost when there is no connection.
+ * `send` resolves to { ref, queued: true } for a queued ticket. Server errors (HTTP 4xx/5xx) still reject.
+ */
+export function createQueuedTransport(inner, { storage = deviceStorage(), online = isOnline } = {}) {
+  const enqueue = ticket => {
+    if (!storage) throw new Error("localStorage is not available");
+    writeOutbox(storage, [...readOutbox(storage), ticket]);
+    return { ref: ticket.ref, queued: true };
+  };
+
+  return {
+    kind: `queued:${inner.kind}`,
+    async send(ticket) {
+      if (!online()) return enqueue(ticket);
+      try {
+        return await inner.send(ticket);
+      } catch (e) {
+        // fetch rejects with a TypeError when the network is unreachable
+        if (e instanceof TypeError || !online()) return enqueue(ticket);
+        throw e;
+      }
+    }
+  };
+}
+
+// A flush in progress; a second one started meanwhile would send the same tickets again
+let flushing = null;
+
+/**
+ * Send queued tickets, oldest first. Stops at the first failure (the rest stay queued).
+ * Resolves to the tickets that were sent, with their final reference numbers. While a flush is running,
+ * further calls resolve to [] at once (the running one reports what it sent).
+ */
+export async function flushOutbox(transport = directTransport(), storage = deviceStorage()) {
+  if (flushing) return [];
+  flushing = sendOutbox(transport, storage);
+  try {
+    return await flushing;
+  } finally {
+    flushing = null;
+  }
+}
+
+async function sendOutbox(transport, storage) {
+  const sent = [];
+  let queue = readOutbox(storage);
+  while (queue.length) {
+    try {
+      const { ref } = await transport.send(queue[0]);
+      sent.push({ ...queue[0], ref });
+    } catch {
+      break;
+    }
+    queue = queue.slice(1);
+    writeOutbox(storage, queue);
+  }
+  return sent;
+}
+
+function directTransport() {
+  const endpoint = import.meta.env?.VITE_ESCALATION_ENDPOINT;
+  return endpoint ? createHttpTransport(endpoint) : createLocalStorageTransport();
+}
+
+/**
+ * Default transport: HTTP when VITE_ESCALATION_ENDPOINT is configured (queued while offline),
+ * otherwise the local queue.
+ */
+export function defaultTransport() {
+  const endpoint = import.meta.env?.VITE_ESCALATION_ENDPOINT;
+  return endpoint ? createQueuedTransport(createHttpTransport(endpoint)) : createLocalStorageTransport();
+}
+
+export async function submitTicket(ticket, transport = defaultTransport()) {
+  const { ref, queued = false } = await transport.send(ticket);
+  return { ...ticket, ref, queued };
+}
@@ -6,7 +6,7 @@ export const UI = {
         send: "Send",
         language: "Language",
         suggested: "Quick prompts",
-        panelTitle: "Top Recommendations",
+        panelTitle: "My shortlist",
         escalate: "Escalate to human",
         ticketTitle: "Escalation to Human Support",
         ticketHint:
@@ -17,14 +17,90 @@ export const UI = {
         submit: "Submit",
         cancel: "Cancel",
         ticketCreated: "Ticket created. A caseworker will follow up.",
-        emptyPanel: "Recommendations will appear here after the guided questions.",
+        ticketRef: "Reference number",
+        submitting: "Submitting…",
+        ticketFailed: "Sorry, we couldn’t submit the ticket. Please try again, or call 1800-222-0000.",
+        requiredField: "This field is required.",
+        invalidContact: "Enter a valid email, or an 8-digit Singapore phone number (e.g., 9123 4567).",
+        emptyPanel: "Tap “Save” on a scheme to keep it here. You can compare 2–3 saved schemes side by side.",
         reset: "Reset",
+        // saved sessions
+        resumeTitle: "Continue where you left off?",
+        resumeHint: "You have a saved conversation on this device from",
+        resume: "Resume",
+        startFresh: "Start fresh",
+        clearData: "Clear my data",
+        // exported plan
+        planTitle: "My support plan",
+        planIntro: "Schemes I looked at, with the steps to apply and what to bring. Tick off documents as you gather them.",
+        planSteps: "Steps",
+        planDocs: "Documents to prepare",
+        planLinks: "Official links",
+        planHotlines: "Who to call",
+        planEmergency: "Emergency: 999",
+        planGenerated: "Prepared",
+        planLastUpdated: "Information last updated",
+        planDisclaimer: "This plan is a guide only. Please confirm details with the agency before applying.",
+        planPrint: "Print / Save as PDF",
+        planDownload: "Download (HTML)",
+        dataCleared: "Your conversation and everything saved on this device have been cleared.",
+        // knowledge base freshness
+        kbUpdated: "Information last updated:",
+        kbStale: "Some of this information may be out of date. Please check the official links or call the agency before you apply.",
+        // offline
+        offlineTitle: "You are offline",
+        offlineHint: "You can still ask about schemes — the information is saved on this device. Requests to a caseworker will be sent when you are back online. For help now, call:",
+        // crisis banner
+        crisisTitle: "You don’t have to face this alone.",
+        crisisHint: "If you or someone else is in danger, call 999. To talk to someone now, call national mindline 1771 (24 hours).",
+        call999: "Call 999",
+        call1771: "Call 1771",
+        crisisDismiss: "I’m safe now, hide this",
+        // anonymous usage events
+        analyticsTitle: "Help us improve this service?",
+        analyticsHint: "With your OK, we record anonymous usage on this device — which topics are chosen and which searches find nothing. No names, contact details or messages are kept. You can change your mind with “Clear my data”.",
+        analyticsAllow: "Allow",
+        analyticsDeny: "No thanks",
         urgent: "Urgent help",
+        urgentEcho: "This is urgent",
+        restart: "Restart",
+        // scheme cards
+        contacts: "Contacts",
+        hotline: "Hotline",
+        email: "Email",
+        eligibility: "Eligibility",
+        howToApply: "How to apply",
+        docsTitle: "Documents to prepare",
+        docsMissing: "We don’t have a document list for this scheme yet — please check the official links.",
+        officialLinks: "Official links",
+        sources: "Sources",
+        viewDetails: "View details",
+        relatedSchemes: "Related schemes",
+        // shortlist + compare
+        save: "Save",
+        saved: "Saved ✓",
+        remove: "Remove",
+        compareSelect: "Compare",
+        compare: "Compare selected",
+        compareHint: "Tick 2–3 schemes to compare them.",
+        compareTitle: "Compare schemes",
+        close: "Close",
         // accessibility toggles
         largeText: "Large text",
         normalText: "Normal text",
         highContrast: "High contrast",
         standardContrast: "Standard contrast",
+        // voice
+        holdToTalk: "Hold to talk",
+        listening: "Listening… release to send",
+        voiceError: "Sorry, I couldn’t hear that. Please try again, or type your question.",
+        readAloud: "Read aloud",
+        stopReading: "Stop reading",
+        readRepliesOn: "Read replies aloud",
+        readRepliesOff: "Stop reading replies",
+        // embeddable widget launcher
+        widgetOpen: "Need help? Chat with us",
+        widgetClose: "Close chat",
 
         // dynamic system messages (fix language switching)
         welcome:
@@ -39,7 +115,7 @@ export const UI = {
         send: "发送",
         language: "语言",
         suggested: "快捷示例",
-        panelTitle: "推荐结果",
+        panelTitle: "我的收藏",
         escalate: "转人工支持",
         ticketTitle: "转人工支持（社工/工作人员）",
         ticketHint: "紧急/复杂情况将创建工单，由工作人员跟进。",
@@ -49,20 +125,300 @@ export const UI = {
         submit: "提交",
         cancel: "取消",
         ticketCreated: "工单已创建，工作人员将联系你。",
-        emptyPanel: "完成引导问题后，这里会显示推荐结果。",
+        ticketRef: "工单编号",
+        submitting: "提交中…",
+        ticketFailed: "抱歉，工单提交失败。请再试一次，或拨打 1800-222-0000。",
+        requiredField: "此项为必填。",
+        invalidContact: "请输入有效的邮箱，或 8 位新加坡电话号码（例如 9123 4567）。",
+        emptyPanel: "在项目卡片上点“收藏”，它就会出现在这里。你可以并排比较 2–3 个收藏的项目。",
         reset: "重置",
+        // saved sessions
+        resumeTitle: "要继续上次的对话吗？",
+        resumeHint: "这台设备上保存了一段对话，时间：",
+        resume: "继续",
+        startFresh: "重新开始",
+        clearData: "清除我的数据",
+        // exported plan
+        planTitle: "我的援助计划",
+        planIntro: "我看过的项目、申请步骤和需要带的文件。准备好一份文件就打个勾。",
+        planSteps: "申请步骤",
+        planDocs: "需要准备的文件",
+        planLinks: "官方链接",
+        planHotlines: "可以联系谁",
+        planEmergency: "紧急情况：999",
+        planGenerated: "生成时间",
+        planLastUpdated: "资料更新日期",
+        planDisclaimer: "本计划仅供参考，申请前请向相关机构确认最新信息。",
+        planPrint: "打印 / 另存为 PDF",
+        planDownload: "下载（HTML）",
+        dataCleared: "你的对话和保存在这台设备上的所有数据都已清除。",
+        // knowledge base freshness
+        kbUpdated: "资料更新日期：",
+        kbStale: "部分资料可能已经过时。申请前请查看官方链接，或致电有关机构确认。",
+        // offline
+        offlineTitle: "你目前没有网络",
+        offlineHint: "你仍然可以查询援助计划——资料已保存在这台设备上。联系工作人员的请求会在恢复网络后发送。如需即时帮助，请拨打：",
+        // crisis banner
+        crisisTitle: "你不必独自面对。",
+        crisisHint: "如果你或他人有危险，请拨打 999。想马上找人倾诉，请拨打 national mindline 1771（24 小时）。",
+        call999: "拨打 999",
+        call1771: "拨打 1771",
+        crisisDismiss: "我现在安全，隐藏提示",
+        // anonymous usage events
+        analyticsTitle: "帮助我们改进这项服务？",
+        analyticsHint: "经你同意后，我们会在这台设备上记录匿名使用情况——例如大家选择了哪些主题、哪些搜索没有结果。不会保存姓名、联系方式或对话内容。你可以随时通过“清除我的数据”撤回。",
+        analyticsAllow: "同意",
+        analyticsDeny: "不用了",
         urgent: "紧急求助",
+        urgentEcho: "我现在很紧急",
+        restart: "重新开始",
+        // scheme cards
+        contacts: "联系方式",
+        hotline: "热线",
+        email: "邮箱",
+        eligibility: "资格要点",
+        howToApply: "申请步骤",
+        docsTitle: "需要准备的文件",
+        docsMissing: "知识库暂未收录这个项目的文件清单，请以官方链接为准。",
+        officialLinks: "官方链接",
+        sources: "信息来源",
+        viewDetails: "查看详情",
+        relatedSchemes: "相关项目",
+        // shortlist + compare
+        save: "收藏",
+        saved: "已收藏 ✓",
+        remove: "移除",
+        compareSelect: "比较",
+        compare: "比较所选项目",
+        compareHint: "勾选 2–3 个项目进行比较。",
+        compareTitle: "项目比较",
+        close: "关闭",
         // accessibility toggles
         largeText: "大字体",
         normalText: "标准字体",
         highContrast: "高对比",
         standardContrast: "标准对比",
+        // voice
+        holdToTalk: "按住说话",
+        listening: "正在听…松开即发送",
+        voiceError: "抱歉，没有听清楚。请再试一次，或输入你的问题。",
+        readAloud: "朗读",
+        stopReading: "停止朗读",
+        readRepliesOn: "自动朗读回复",
+        readRepliesOff: "停止自动朗读",
+        // embeddable widget launcher
+        widgetOpen: "需要帮助？和我们聊聊",
+        widgetClose: "关闭对话",
 
         // ✅ dynamic system messages (fix language switching)
         welcome:
             "你好！你可以输入简单关键词，比如：经济援助、住房补助、医疗补贴、长者支持。我会问几个问题，然后给你简化的申请指引，并在需要时建议转人工。",
         resetHint:
             "如果你还想了解其他服务类型，请输入新的关键词（例如：经济援助 / 住房补助 / 医疗补贴 / 长者支持）。"
+    },
+
+    ms: {
+        title: "Pembantu Kebajikan Sosial (Singapura)",
+        placeholder: "Taip keadaan anda (cth. “bil hospital terlalu mahal”, “tiada tempat tinggal”)…",
+        send: "Hantar",
+        language: "Bahasa",
+        suggested: "Cadangan pantas",
+        panelTitle: "Senarai pilihan saya",
+        escalate: "Hubungi petugas",
+        ticketTitle: "Rujukan kepada petugas",
+        ticketHint: "Untuk kes mendesak/rumit, kami buat tiket supaya pekerja kes boleh menghubungi anda.",
+        name: "Nama",
+        contact: "E-mel atau telefon",
+        summary: "Ringkasan",
+        submit: "Hantar",
+        cancel: "Batal",
+        ticketCreated: "Tiket telah dibuat. Pekerja kes akan menghubungi anda.",
+        ticketRef: "Nombor rujukan",
+        submitting: "Menghantar…",
+        ticketFailed: "Maaf, tiket tidak dapat dihantar. Sila cuba lagi, atau hubungi 1800-222-0000.",
+        requiredField: "Ruangan ini wajib diisi.",
+        invalidContact: "Masukkan e-mel yang sah, atau nombor telefon Singapura 8 digit (cth. 9123 4567).",
+        emptyPanel: "Tekan “Simpan” pada skim untuk menyimpannya di sini. Anda boleh membandingkan 2–3 skim yang disimpan secara bersebelahan.",
+        reset: "Set semula",
+        // saved sessions
+        resumeTitle: "Sambung dari tempat anda berhenti?",
+        resumeHint: "Ada perbualan yang disimpan pada peranti ini dari",
+        resume: "Sambung",
+        startFresh: "Mula baharu",
+        clearData: "Padam data saya",
+        // exported plan
+        planTitle: "Pelan sokongan saya",
+        planIntro: "Skim yang saya lihat, bersama langkah memohon dan apa yang perlu dibawa. Tandakan dokumen apabila sudah disediakan.",
+        planSteps: "Langkah",
+        planDocs: "Dokumen yang perlu disediakan",
+        planLinks: "Pautan rasmi",
+        planHotlines: "Siapa yang boleh dihubungi",
+        planEmergency: "Kecemasan: 999",
+        planGenerated: "Disediakan",
+        planLastUpdated: "Maklumat dikemas kini",
+        planDisclaimer: "Pelan ini hanya panduan. Sila sahkan butiran dengan agensi sebelum memohon.",
+        planPrint: "Cetak / Simpan sebagai PDF",
+        planDownload: "Muat turun (HTML)",
+        dataCleared: "Perbualan anda dan semua yang disimpan pada peranti ini telah dipadam.",
+        // knowledge base freshness
+        kbUpdated: "Maklumat dikemas kini pada:",
+        kbStale: "Sebahagian maklumat ini mungkin sudah lapuk. Sila semak pautan rasmi atau hubungi agensi sebelum memohon.",
+        // offline
+        offlineTitle: "Anda di luar talian",
+        offlineHint: "Anda masih boleh bertanya tentang skim — maklumat disimpan pada peranti ini. Permintaan kepada pekerja kes akan dihantar apabila anda kembali dalam talian. Untuk bantuan segera, hubungi:",
+        // crisis banner
+        crisisTitle: "Anda tidak perlu menghadapinya seorang diri.",
+        crisisHint: "Jika anda atau orang lain dalam bahaya, hubungi 999. Untuk bercakap dengan seseorang sekarang, hubungi national mindline 1771 (24 jam).",
+        call999: "Hubungi 999",
+        call1771: "Hubungi 1771",
+        crisisDismiss: "Saya selamat sekarang, sembunyikan ini",
+        // anonymous usage events
+        analyticsTitle: "Bantu kami menambah baik perkhidmatan ini?",
+        analyticsHint: "Dengan kebenaran anda, kami merekodkan penggunaan tanpa nama pada peranti ini — topik yang dipilih dan carian yang tiada hasil. Tiada nama, butiran hubungan atau mesej disimpan. Anda boleh menukar fikiran dengan “Padam data saya”.",
+        analyticsAllow: "Benarkan",
+        analyticsDeny: "Tidak, terima kasih",
+        urgent: "Bantuan segera",
+        urgentEcho: "Ini kecemasan",
+        restart: "Mula semula",
+        // scheme cards
+        contacts: "Hubungi",
+        hotline: "Talian",
+        email: "E-mel",
+        eligibility: "Kelayakan",
+        howToApply: "Cara memohon",
+        docsTitle: "Dokumen yang perlu disediakan",
+        docsMissing: "Kami belum ada senarai dokumen untuk skim ini — sila rujuk pautan rasmi.",
+        officialLinks: "Pautan rasmi",
+        sources: "Sumber",
+        viewDetails: "Lihat butiran",
+        relatedSchemes: "Skim berkaitan",
+        // shortlist + compare
+        save: "Simpan",
+        saved: "Disimpan ✓",
+        remove: "Buang",
+        compareSelect: "Bandingkan",
+        compare: "Bandingkan pilihan",
+        compareHint: "Tandakan 2–3 skim untuk dibandingkan.",
+        compareTitle: "Bandingkan skim",
+        close: "Tutup",
+        // accessibility toggles
+        largeText: "Teks besar",
+        normalText: "Teks biasa",
+        highContrast: "Kontras tinggi",
+        standardContrast: "Kontras biasa",
+        // voice
+        holdToTalk: "Tekan dan tahan untuk bercakap",
+        listening: "Sedang mendengar… lepaskan untuk hantar",
+        voiceError: "Maaf, saya tidak dapat mendengar dengan jelas. Sila cuba lagi, atau taip soalan anda.",
+        readAloud: "Baca dengan kuat",
+        stopReading: "Berhenti membaca",
+        readRepliesOn: "Bacakan jawapan",
+        readRepliesOff: "Jangan bacakan jawapan",
+        // embeddable widget launcher
+        widgetOpen: "Perlukan bantuan? Berbual dengan kami",
+        widgetClose: "Tutup perbualan"
+    },
+
+    ta: {
+        title: "சமூக நல உதவியாளர் (சிங்கப்பூர்)",
+        placeholder: "உங்கள் நிலையைத் தட்டச்சு செய்யுங்கள் (எ.கா. “மருத்துவமனைக் கட்டணம் அதிகம்”, “தங்க இடம் இல்லை”)…",
+        send: "அனுப்பு",
+        language: "மொழி",
+        suggested: "விரைவுப் பரிந்துரைகள்",
+        panelTitle: "நான் சேமித்தவை",
+        escalate: "ஒருவரிடம் பேசுங்கள்",
+        ticketTitle: "பணியாளரிடம் அனுப்புதல்",
+        ticketHint: "அவசர/சிக்கலான நிலைகளுக்கு, ஒரு சமூகப் பணியாளர் தொடர்பு கொள்ள கோரிக்கை உருவாக்குவோம்.",
+        name: "பெயர்",
+        contact: "மின்னஞ்சல் அல்லது தொலைபேசி",
+        summary: "சுருக்கம்",
+        submit: "சமர்ப்பி",
+        cancel: "ரத்து செய்",
+        ticketCreated: "கோரிக்கை உருவாக்கப்பட்டது. ஒரு பணியாளர் தொடர்பு கொள்வார்.",
+        ticketRef: "குறிப்பு எண்",
+        submitting: "சமர்ப்பிக்கிறது…",
+        ticketFailed: "மன்னிக்கவும், கோரிக்கையைச் சமர்ப்பிக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும், அல்லது 1800-222-0000 ஐ அழைக்கவும்.",
+        requiredField: "இந்தப் புலம் கட்டாயம்.",
+        invalidContact: "சரியான மின்னஞ்சல் அல்லது 8 இலக்க சிங்கப்பூர் தொலைபேசி எண்ணை உள்ளிடவும் (எ.கா. 9123 4567).",
+        emptyPanel: "ஒரு திட்டத்தை இங்கே வைத்திருக்க “சேமி” என்பதைத் தட்டவும். சேமித்த 2–3 திட்டங்களை அருகருகே ஒப்பிடலாம்.",
+        reset: "மீட்டமை",
+        // saved sessions
+        resumeTitle: "விட்ட இடத்திலிருந்து தொடரவா?",
+        resumeHint: "இந்தச் சாதனத்தில் சேமிக்கப்பட்ட உரையாடல் உள்ளது:",
+        resume: "தொடர்",
+        startFresh: "புதிதாகத் தொடங்கு",
+        clearData: "என் தரவை அழி",
+        // exported plan
+        planTitle: "என் ஆதரவுத் திட்டம்",
+        planIntro: "நான் பார்த்த திட்டங்கள், விண்ணப்பிக்கும் படிகள் மற்றும் கொண்டு செல்ல வேண்டியவை. ஆவணங்களைச் சேகரிக்கும்போது குறியிடுங்கள்.",
+        planSteps: "படிகள்",
+        planDocs: "தயார் செய்ய வேண்டிய ஆவணங்கள்",
+        planLinks: "அதிகாரப்பூர்வ இணைப்புகள்",
+        planHotlines: "யாரை அழைக்கலாம்",
+        planEmergency: "அவசரம்: 999",
+        planGenerated: "தயாரிக்கப்பட்டது",
+        planLastUpdated: "தகவல் கடைசியாகப் புதுப்பிக்கப்பட்டது",
+        planDisclaimer: "இந்தத் திட்டம் வழிகாட்டி மட்டுமே. விண்ணப்பிக்கும் முன் விவரங்களை நிறுவனத்துடன் உறுதிப்படுத்தவும்.",
+        planPrint: "அச்சிடு / PDF ஆகச் சேமி",
+        planDownload: "பதிவிறக்கு (HTML)",
+        dataCleared: "உங்கள் உரையாடலும் இந்தச் சாதனத்தில் சேமிக்கப்பட்ட அனைத்தும் அழிக்கப்பட்டன.",
+        // knowledge base freshness
+        kbUpdated: "தகவல் கடைசியாகப் புதுப்பிக்கப்பட்டது:",
+        kbStale: "இந்தத் தகவல்களில் சில காலாவதியாகியிருக்கலாம். விண்ணப்பிக்கும் முன் அதிகாரப்பூர்வ இணைப்புகளைப் பார்க்கவும் அல்லது அமைப்பை அழைக்கவும்.",
+        // offline
+        offlineTitle: "நீங்கள் இணையத்தில் இல்லை",
+        offlineHint: "திட்டங்களைப் பற்றி இன்னும் கேட்கலாம் — தகவல்கள் இந்தச் சாதனத்தில் சேமிக்கப்பட்டுள்ளன. பணியாளருக்கான கோரிக்கைகள் இணைய இணைப்பு திரும்பியதும் அனுப்பப்படும். உடனடி உதவிக்கு அழைக்கவும்:",
+        // crisis banner
+        crisisTitle: "இதை நீங்கள் தனியாக எதிர்கொள்ள வேண்டியதில்லை.",
+        crisisHint: "நீங்களோ வேறொருவரோ ஆபத்தில் இருந்தால், 999 ஐ அழைக்கவும். இப்போதே ஒருவருடன் பேச, national mindline 1771 ஐ அழைக்கவும் (24 மணி நேரம்).",
+        call999: "999 ஐ அழை",
+        call1771: "1771 ஐ அழை",
+        crisisDismiss: "நான் இப்போது பாதுகாப்பாக இருக்கிறேன், இதை மறை",
+        // anonymous usage events
+        analyticsTitle: "இந்தச் சேவையை மேம்படுத்த உதவுவீர்களா?",
+        analyticsHint: "உங்கள் ஒப்புதலுடன், இந்தச் சாதனத்தில் பெயரில்லாப் பயன்பாட்டுத் தரவைப் பதிவு செய்வோம் — எந்தத் தலைப்புகள் தேர்ந்தெடுக்கப்படுகின்றன, எந்தத் தேடல்களுக்கு முடிவுகள் இல்லை என்பன. பெயர்கள், தொடர்பு விவரங்கள் அல்லது செய்திகள் சேமிக்கப்படாது. “என் தரவை அழி” மூலம் உங்கள் முடிவை மாற்றலாம்.",
+        analyticsAllow: "அனுமதி",
+        analyticsDeny: "வேண்டாம்",
+        urgent: "அவசர உதவி",
+        urgentEcho: "இது அவசரம்",
+        restart: "மீண்டும் தொடங்கு",
+        // scheme cards
+        contacts: "தொடர்புகள்",
+        hotline: "உதவி எண்",
+        email: "மின்னஞ்சல்",
+        eligibility: "தகுதி",
+        howToApply: "விண்ணப்பிக்கும் முறை",
+        docsTitle: "தயார் செய்ய வேண்டிய ஆவணங்கள்",
+        docsMissing: "இந்தத் திட்டத்திற்கான ஆவணப் பட்டியல் இன்னும் எங்களிடம் இல்லை — அதிகாரப்பூர்வ இணைப்புகளைப் பார்க்கவும்.",
+        officialLinks: "அதிகாரப்பூர்வ இணைப்புகள்",
+        sources: "ஆதாரங்கள்",
+        viewDetails: "விவரங்களைப் பார்",
+        relatedSchemes: "தொடர்புடைய திட்டங்கள்",
+        // shortlist + compare
+        save: "சேமி",
+        saved: "சேமிக்கப்பட்டது ✓",
+        remove: "நீக்கு",
+        compareSelect: "ஒப்பிடு",
+        compare: "தேர்ந்தவற்றை ஒப்பிடு",
+        compareHint: "ஒப்பிட 2–3 திட்டங்களைத் தேர்ந்தெடுக்கவும்.",
+        compareTitle: "திட்டங்களை ஒப்பிடுதல்",
+        close: "மூடு",
+        // accessibility toggles
+        largeText: "பெரிய எழுத்து",
+        normalText: "சாதாரண எழுத்து",
+        highContrast: "உயர் மாறுபாடு",
+        standardContrast: "சாதாரண மாறுபாடு",
+        // voice
+        holdToTalk: "பேச அழுத்திப் பிடிக்கவும்",
+        listening: "கேட்கிறது… அனுப்ப விடுங்கள்",
+        voiceError: "மன்னிக்கவும், சரியாகக் கேட்கவில்லை. மீண்டும் முயலவும் அல்லது உங்கள் கேள்வியைத் தட்டச்சு செய்யவும்.",
+        readAloud: "உரக்கப் படி",
+        stopReading: "படிப்பதை நிறுத்து",
+        readRepliesOn: "பதில்களை உரக்கப் படி",
+        readRepliesOff: "பதில்களைப் படிக்க வேண்டாம்",
+        // embeddable widget launcher
+        widgetOpen: "உதவி தேவையா? எங்களுடன் உரையாடுங்கள்",
+        widgetClose: "உரையாடலை மூடு"
     }
 };
 
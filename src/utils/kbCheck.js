@@ -0,0 +1,221 @@
+// Knowledge-base checks (shared by `npm run kb:check` and the browser)
+// - validateSchema: a small JSON Schema validator covering the keywords our KB schema uses
+//   (type, enum, required, properties, patternProperties, additionalProperties, items, minItems,
+//   uniqueItems, minLength, pattern, format "uri", anyOf, local $ref)
+// - checkKb: schema + content rules the schema cannot express
+//   (duplicate ids, orphan categories, official_links ⊆ sources, related ids exist, bilingual parity)
+//
+// Issues: { level: "error" | "warning", path, message }. Errors must be fixed; warnings are for editors to review.
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function typeMatches(v, type) {
+  const actual = typeOf(v);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith("#/")) throw new Error(`Unsupported $ref: ${ref}`);
+  return ref.slice(2).split("/").reduce((node, key) => node?.[key], root);
+}
+
+function isUri(v) {
+  try {
+    const u = new URL(v);
+    return u.protocol === "https:" || u.protocol === "http:";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate `data` against `schema`. Returns a list of { path, message } (empty when valid).
+ */
+export function validateSchema(data, schema, root = schema, path = "$") {
+  const errors = [];
+  const fail = message => errors.push({ path, message });
+
+  if (schema.$ref) return validateSchema(data, resolveRef(root, schema.$ref), root, path);
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => typeMatches(data, t))) {
+      fail(`expected ${types.join(" | ")}, got ${typeOf(data)}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(data)) fail(`must be one of: ${schema.enum.join(", ")}`);
+
+  if (typeof data === "string") {
+    if (schema.minLength !== undefined && data.trim().length < schema.minLength) fail("must not be empty");
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(data)) fail(`does not match ${schema.pattern}`);
+    if (schema.format === "uri" && !isUri(data)) fail("must be an http(s) URL");
+  }
+
+  if (Array.isArray(data)) {
+    if (schema.minItems !== undefined && data.length < schema.minItems) {
+      fail(data.length ? `needs at least ${schema.minItems} item(s)` : "must not be empty");
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      data.forEach(v => {
+        const key = JSON.stringify(v);
+        if (seen.has(key)) fail(`duplicate item ${key}`);
+        seen.add(key);
+      });
+    }
+    if (schema.items) {
+      data.forEach((v, i) => errors.push(...validateSchema(v, schema.items, root, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(data) === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in data)) fail(`missing required field "${key}"`);
+    }
+    const patterns = Object.entries(schema.patternProperties || {}).map(([re, s]) => [new RegExp(re, "u"), s]);
+    for (const [key, value] of Object.entries(data)) {
+      const childPath = `${path}.${key}`;
+      const own = schema.properties?.[key];
+      const matched = patterns.filter(([re]) => re.test(key));
+      if (own) errors.push(...validateSchema(value, own, root, childPath));
+      matched.forEach(([, s]) => errors.push(...validateSchema(value, s, root, childPath)));
+      if (!own && !matched.length) {
+        if (schema.additionalProperties === false) errors.push({ path: childPath, message: "unknown field" });
+        else if (typeof schema.additionalProperties === "object") {
+          errors.push(...validateSchema(value, schema.additionalProperties, root, childPath));
+        }
+      }
+    }
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(s => validateSchema(data, s, root, path).length === 0)) {
+    fail("does not match any allowed shape");
+  }
+
+  return errors;
+}
+
+// Localised fields checked for English/Chinese parity. Step-by-step lists should line up item by item.
+const TEXT_FIELDS = ["name", "summary"];
+const LIST_FIELDS = ["keywords", "eligibility", "how_to_apply", "docs_to_prepare"];
+const ALIGNED_LISTS = ["eligibility", "how_to_apply", "docs_to_prepare"];
+const OPTIONAL_LANGS = ["ms", "ta"];
+
+function parityIssues(item, path) {
+  const issues = [];
+  const warn = (field, message) => issues.push({ level: "warning", path: `${path}.${field}`, message });
+  const has = v => (Array.isArray(v) ? v.length > 0 : !!v);
+
+  for (const f of [...TEXT_FIELDS, ...LIST_FIELDS]) {
+    const en = item[`${f}_en`];
+    const zh = item[`${f}_zh`];
+    if (has(en) !== has(zh)) warn(has(en) ? `${f}_zh` : `${f}_en`, `missing translation (${has(en) ? "en" : "zh"} only)`);
+    if (ALIGNED_LISTS.includes(f) && has(en) && has(zh) && en.length !== zh.length) {
+      warn(`${f}_zh`, `has ${zh.length} item(s) but ${f}_en has ${en.length}`);
+    }
+    for (const l of OPTIONAL_LANGS) {
+      const v = item[`${f}_${l}`];
+      if (ALIGNED_LISTS.includes(f) && has(v) && has(en) && v.length !== en.length) {
+        warn(`${f}_${l}`, `has ${v.length} item(s) but ${f}_en has ${en.length}`);
+      }
+    }
+  }
+  return issues;
+}
+
+// Lists of the wrong shape are reported by the schema; the content rules just skip them
+function asList(v) {
+  return Array.isArray(v) ? v : [];
+}
+
+function duplicateIdIssues(list, path) {
+  const seen = new Map();
+  const issues = [];
+  asList(list).forEach((item, i) => {
+    if (!item?.id) return;
+    if (seen.has(item.id)) {
+      issues.push({ level: "error", path: `${path}[${i}].id`, message: `duplicate id "${item.id}" (first at ${path}[${seen.get(item.id)}])` });
+    } else {
+      seen.set(item.id, i);
+    }
+  });
+  return issues;
+}
+
+/**
+ * Run every KB check. `categories`: the KB categories the app covers (DOMAIN[].cat).
+ * Returns { errors, warnings, issues }.
+ */
+export function checkKb(kb, { schema, categories = [] } = {}) {
+  const issues = [];
+
+  if (schema) {
+    issues.push(...validateSchema(kb, schema).map(e => ({ level: "error", ...e })));
+  }
+  if (typeOf(kb) !== "object") return summarize(issues);
+
+  issues.push(...duplicateIdIssues(kb.schemes, "$.schemes"));
+  issues.push(...duplicateIdIssues(kb.entry_points, "$.entry_points"));
+
+  const covered = new Set(categories);
+  const schemeIds = new Set(asList(kb.schemes).map(s => s?.id));
+  asList(kb.schemes).forEach((s, i) => {
+    if (typeOf(s) !== "object") return;
+    const path = `$.schemes[${i}]`;
+    if (categories.length && s.category && !covered.has(s.category)) {
+      issues.push({ level: "error", path: `${path}.category`, message: `orphan category "${s.category}": no topic (DOMAIN.cat) covers it` });
+    }
+    const sources = new Set(asList(s.sources));
+    asList(s.official_links).forEach((u, j) => {
+      if (!sources.has(u)) issues.push({ level: "error", path: `${path}.official_links[${j}]`, message: `link is not listed in sources: ${u}` });
+    });
+    asList(s.related).forEach((id, j) => {
+      if (id === s.id) issues.push({ level: "error", path: `${path}.related[${j}]`, message: "a scheme cannot be related to itself" });
+      else if (!schemeIds.has(id)) issues.push({ level: "error", path: `${path}.related[${j}]`, message: `unknown scheme id "${id}"` });
+    });
+    issues.push(...parityIssues(s, path));
+  });
+
+  asList(kb.entry_points).forEach((ep, i) => {
+    if (typeOf(ep) !== "object") return;
+    const path = `$.entry_points[${i}]`;
+    const sources = new Set(asList(ep.sources));
+    asList(ep.links).forEach((u, j) => {
+      if (!sources.has(u)) issues.push({ level: "error", path: `${path}.links[${j}]`, message: `link is not listed in sources: ${u}` });
+    });
+    issues.push(...parityIssues(ep, path));
+  });
+
+  if (categories.length) {
+    const used = new Set(asList(kb.schemes).map(s => s?.category));
+    categories.filter(c => !used.has(c)).forEach(c => {
+      issues.push({ level: "warning", path: "$.schemes", message: `no scheme uses category "${c}" (its topic will show no results)` });
+    });
+  }
+
+  return summarize(issues);
+}
+
+function summarize(issues) {
+  return {
+    issues,
+    errors: issues.filter(x => x.level === "error"),
+    warnings: issues.filter(x => x.level === "warning")
+  };
+}
+
+/**
+ * Label for a KB path, e.g. "$.schemes[3].name_zh" -> "schemes[3] (medifund).name_zh".
+ */
+export function describePath(kb, path) {
+  return path.replace(/^\$\.(schemes|entry_points)\[(\d+)\]/, (m, list, i) => {
+    const id = kb?.[list]?.[Number(i)]?.id;
+    return id ? `${list}[${i}] (${id})` : `${list}[${i}]`;
+  }).replace(/^\$\.?/, "") || "(root)";
+}
@@ -0,0 +1,134 @@
+// Knowledge base loading at runtime
+// - Bundled copy (src/data) is always available and used when nothing newer is
+// - Optional remote copy from VITE_KB_URL: conditional requests (ETag / Last-Modified), validated before use
+// - The last good remote copy is cached on the device, so content fixes also work offline
+// - Newest wins: a remote/cached copy is only used if its meta.last_updated (then meta.version) is not older than the bundled one
+import bundledKb from "../data/sg_services_kb.json" with { type: "json" };
+import kbSchema from "../data/sg_services_kb.schema.json" with { type: "json" };
+import { checkKb } from "./kbCheck";
+import { DOMAIN } from "./domains";
+import { STORAGE_KEYS, deviceStorage } from "./storage.js";
+
+const CACHE_KEY = STORAGE_KEYS.kbCache;
+const DEFAULT_STALE_DAYS = 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function kbUrl() {
+  return import.meta.env?.VITE_KB_URL || "";
+}
+
+export function staleAfterDays() {
+  const days = Number(import.meta.env?.VITE_KB_STALE_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_STALE_DAYS;
+}
+
+// "2026-01-28" + "3" -> comparable key; a missing version sorts first
+function versionKey(kb) {
+  return `${kb?.meta?.last_updated || ""}|${kb?.meta?.version || ""}`;
+}
+
+/**
+ * True when `candidate` is at least as new as `current` (by meta.last_updated, then meta.version).
+ */
+export function isNotOlder(candidate, current) {
+  const [a, b] = [versionKey(candidate), versionKey(current)];
+  return a.localeCompare(b, undefined, { numeric: true }) >= 0;
+}
+
+/**
+ * Errors that make a KB unusable (schema, duplicate ids, ...). Warnings don't block it.
+ */
+export function kbErrors(kb) {
+  return checkKb(kb, { schema: kbSchema, categories: DOMAIN.map(d => d.cat) }).errors;
+}
+
+function readCache(store) {
+  try {
+    const entry = JSON.parse(store?.getItem(CACHE_KEY) || "null");
+    return entry?.kb ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeCache(store, entry) {
+  try {
+    store?.setItem(CACHE_KEY, JSON.stringify(entry));
+  } catch {
+    // quota exceeded / storage disabled: we'll fetch again next time
+  }
+}
+
+function info(kb, source, extra = {}) {
+  return { kb, source, lastUpdated: kb.meta?.last_updated || null, version: kb.meta?.version || null, ...extra };
+}
+
+/**
+ * KB to start with, synchronously: the cached remote copy if it is usable and not older than the bundle.
+ * Returns { kb, source: "cache" | "bundled", lastUpdated, version }.
+ */
+export function initialKnowledgeBase({ store = deviceStorage() } = {}) {
+  const cached = readCache(store);
+  if (cached && isNotOlder(cached.kb, bundledKb) && !kbErrors(cached.kb).length) {
+    return info(cached.kb, "cache", { fetchedAt: cached.fetchedAt });
+  }
+  return info(bundledKb, "bundled");
+}
+
+/**
+ * Check the remote KB. Resolves to the KB to use, never rejects:
+ * { kb, source: "remote" | "cache" | "bundled", lastUpdated, version, error? }
+ *   remote  -- a new copy was downloaded, validated and cached
+ *   cache   -- the server said "not modified", or it could not be reached and the cached copy is usable
+ *   bundled -- no URL configured, nothing usable remotely / cached
+ */
+export async function refreshKnowledgeBase({
+  url = kbUrl(),
+  fetchImpl = globalThis.fetch,
+  store = deviceStorage(),
+  now = Date.now()
+} = {}) {
+  const fallback = initialKnowledgeBase({ store });
+  if (!url || !fetchImpl) return fallback;
+
+  const cached = fallback.source === "cache" ? readCache(store) : null;
+  const headers = {};
+  if (cached?.etag) headers["If-None-Match"] = cached.etag;
+  if (cached?.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+
+  try {
+    const res = await fetchImpl(url, { headers, cache: "no-cache" });
+
+    if (res.status === 304 && cached) {
+      writeCache(store, { ...cached, fetchedAt: now });
+      return info(cached.kb, "cache", { fetchedAt: now });
+    }
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+    const remote = await res.json();
+    const errors = kbErrors(remote);
+    if (errors.length) throw new Error(`remote KB failed validation (${errors.length} error(s))`);
+    if (!isNotOlder(remote, bundledKb)) throw new Error("remote KB is older than the bundled copy");
+
+    writeCache(store, {
+      kb: remote,
+      etag: res.headers?.get?.("ETag") || null,
+      lastModified: res.headers?.get?.("Last-Modified") || null,
+      fetchedAt: now
+    });
+    return info(remote, "remote", { fetchedAt: now });
+  } catch (e) {
+    return { ...fallback, error: e.message };
+  }
+}
+
+/**
+ * How old the data is: { lastUpdated, ageDays, stale } (ageDays null when meta.last_updated is missing).
+ */
+export function kbStaleness(meta, { now = Date.now(), days = staleAfterDays() } = {}) {
+  const lastUpdated = meta?.last_updated || null;
+  const t = lastUpdated ? Date.parse(`${lastUpdated}T00:00:00Z`) : NaN;
+  if (!Number.isFinite(t)) return { lastUpdated, ageDays: null, stale: false };
+  const ageDays = Math.floor((now - t) / DAY_MS);
+  return { lastUpdated, ageDays, stale: ageDays > days };
+}
@@ -1,5 +1,12 @@
+// `locale` is used for dates in exports and the <html lang> of generated documents;
+// `speech` is the BCP 47 tag for voice input and read-aloud (utils/speech)
 export const LANGS = [
-    { code: "en", label: "English" },
-    { code: "zh", label: "中文" }
+    { code: "en", label: "English", locale: "en-SG", htmlLang: "en", speech: "en-SG" },
+    { code: "zh", label: "中文", locale: "zh-SG", htmlLang: "zh-Hans", speech: "zh-CN" },
+    { code: "ms", label: "Bahasa Melayu", locale: "ms-SG", htmlLang: "ms", speech: "ms-MY" },
+    { code: "ta", label: "தமிழ்", locale: "ta-SG", htmlLang: "ta", speech: "ta-IN" }
 ];
 
+export function langInfo(code) {
+    return LANGS.find((x) => x.code === code) || LANGS[0];
+}
@@ -0,0 +1,63 @@
+// Natural-language understanding: which needs (domains) a message is about
+// - The engine talks to an NLU provider, never to a classifier directly:
+//     classify(text, lang) -> { domains: [{ id, confidence }], slots }
+//   domains: strongest first, confidence in 0..1; slots: household facts in the text (utils/slots, {} when none)
+// - Two providers ship: "regex" (hand-written patterns, default) and "bayes" (trained, utils/nluBayes);
+//   both share the slot extractor, so only domain detection differs between them
+// - Pick one with VITE_NLU_PROVIDER, or swap at runtime with setNluProvider (tests, side-by-side comparisons)
+// - The trained model is loaded on demand (its own chunk); the regex provider answers until it is ready
+import { createRegexNluProvider } from "./nluRegex.js";
+import { createBayesNluProvider } from "./nluBayes.js";
+import { extractSlots } from "./slots.js";
+
+export const NLU_PROVIDERS = ["regex", "bayes"];
+
+// Domain classifiers + the shared slot extractor (slots a classifier finds itself take precedence)
+function withSlots(classifier) {
+  return {
+    ...classifier,
+    classify(text, lang) {
+      const result = classifier.classify(text, lang);
+      return { ...result, slots: { ...extractSlots(text), ...result.slots } };
+    }
+  };
+}
+
+/**
+ * A fresh provider by name: "regex" | "bayes".
+ */
+export async function loadNluProvider(name = "regex") {
+  if (name === "bayes") {
+    const { default: model } = await import("../data/nlu_model.json", { with: { type: "json" } });
+    return withSlots(createBayesNluProvider(model));
+  }
+  if (name === "regex") return withSlots(createRegexNluProvider());
+  throw new Error(`Unknown NLU provider "${name}" (expected one of ${NLU_PROVIDERS.join(", ")})`);
+}
+
+let provider = null;
+
+export function getNluProvider() {
+  if (!provider) provider = withSlots(createRegexNluProvider());
+  return provider;
+}
+
+/**
+ * Swap the NLU provider. `null` goes back to the regex provider.
+ */
+export function setNluProvider(next) {
+  provider = next;
+}
+
+/**
+ * Switch to the provider named in VITE_NLU_PROVIDER (called once at startup). Falls back to regex on failure.
+ */
+export async function configureNluProvider(name = import.meta.env?.VITE_NLU_PROVIDER) {
+  if (!name || name === "regex") return getNluProvider();
+  try {
+    setNluProvider(await loadNluProvider(name));
+  } catch {
+    // unknown name or the model chunk didn't load: keep the regex provider
+  }
+  return getNluProvider();
+}
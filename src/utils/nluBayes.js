@@ -0,0 +1,150 @@
+// Trained NLU provider: multinomial naive Bayes over n-grams (see utils/nlu for the interface)
+// - Trained by `npm run nlu:train` from src/data/nlu_utterances.json plus the KB's scheme names, summaries
+//   and keywords (labelled by category); bundled as src/data/nlu_model.json
+// - Features: words and their 4-letter pieces (so "medisave" and "medishield" share evidence);
+//   Chinese is read as single characters and character pairs (no spaces to split on)
+// - The "none" label (small talk, off-topic) soaks up text that isn't about any need
+// - Several needs in one message: each clause is classified too, and a domain keeps its best confidence
+// Kept free of other imports so the Node training script can use it as is.
+
+export const MODEL_VERSION = 1;
+const NONE_LABEL = "none";
+const DEFAULT_ALPHA = 0.5;        // additive smoothing
+const MIN_CONFIDENCE = 0.35;      // posterior a domain needs to count as detected
+const MAX_DOMAINS = 4;            // same cap as the rule-based provider
+
+const HAN = /\p{Script=Han}/u;
+const GRAM = 4;
+
+// Words that say nothing about the need; with a few dozen examples per label they would otherwise decide
+const STOPWORDS = new Set([
+  "i", "me", "my", "we", "our", "you", "your", "a", "an", "the", "to", "for", "and", "or", "of", "in", "on", "at",
+  "is", "are", "am", "be", "been", "it", "this", "that", "can", "could", "do", "does", "how", "what", "need", "needs",
+  "help", "please", "want", "get", "with", "from", "about", "so", "very", "too", "any", "there", "have", "has", "not",
+  "saya", "perlukan", "untuk", "dan", "yang", "ada", "tak", "tidak",
+  "我", "我们", "的", "了", "是", "要", "想", "需要", "有", "没", "很", "吗", "帮助", "怎么"
+]);
+
+const CLAUSE_SPLIT = /[,;.!?，；。！？、]|\s(?:and|but|also|dan|juga|மற்றும்)\s|又|还有|而且|以及/u;
+
+function chunks(text) {
+  return String(text || "")
+      .toLowerCase()
+      .replace(/[‘’]/g, "'")
+      .split(/[^\p{L}\p{M}\p{N}']+/u)
+      .filter(Boolean);
+}
+
+/**
+ * Features of one text: "w:word" and "g:" 4-letter pieces of "<word>", and for Chinese "c:字" / "b:字字".
+ */
+export function textFeatures(text) {
+  const out = [];
+  for (const chunk of chunks(text)) {
+    if (HAN.test(chunk)) {
+      const chars = [...chunk];
+      chars.forEach((c, i) => {
+        if (!STOPWORDS.has(c)) out.push(`c:${c}`);
+        if (i > 0) out.push(`b:${chars[i - 1]}${c}`);
+      });
+      continue;
+    }
+    if (STOPWORDS.has(chunk)) continue;
+    out.push(`w:${chunk}`);
+    const letters = [...`<${chunk}>`];
+    for (let i = 0; i + GRAM <= letters.length; i++) out.push(`g:${letters.slice(i, i + GRAM).join("")}`);
+  }
+  return out;
+}
+
+/**
+ * Train a model from labelled utterances ([{ text, label }]). Stores plain counts; probabilities are derived on load.
+ */
+export function trainNaiveBayes(utterances, { alpha = DEFAULT_ALPHA } = {}) {
+  const labels = [...new Set(utterances.map(u => u.label))].sort();
+  const docs = Object.fromEntries(labels.map(l => [l, 0]));
+  const counts = Object.fromEntries(labels.map(l => [l, {}]));
+
+  for (const u of utterances) {
+    docs[u.label] += 1;
+    for (const f of textFeatures(u.text)) counts[u.label][f] = (counts[u.label][f] || 0) + 1;
+  }
+  // Sorted keys: retraining the same data gives the same file
+  for (const l of labels) {
+    counts[l] = Object.fromEntries(Object.entries(counts[l]).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+  }
+
+  return { version: MODEL_VERSION, alpha, labels, docs, counts };
+}
+
+/**
+ * Extra training examples from the KB: each scheme's name, summary and keywords in every language,
+ * labelled with the domain that covers its category (domains: utils/domains DOMAIN).
+ */
+export function kbTrainingExamples(kb, domains, langs = ["en", "zh", "ms", "ta"]) {
+  const domainByCat = new Map(domains.map(d => [d.cat, d.id]));
+  return (kb.schemes || [])
+      .filter(s => domainByCat.has(s.category))
+      .flatMap(s => langs.flatMap(l => [s[`name_${l}`], s[`summary_${l}`], ...(s[`keywords_${l}`] || [])]
+          .filter(Boolean)
+          .map(text => ({ text, label: domainByCat.get(s.category) }))));
+}
+
+// Log-probability tables, built once per model object
+const compiledCache = new WeakMap();
+function compile(model) {
+  if (!compiledCache.has(model)) {
+    const vocab = new Set(model.labels.flatMap(l => Object.keys(model.counts[l])));
+    const totalDocs = model.labels.reduce((sum, l) => sum + model.docs[l], 0);
+    const byLabel = model.labels.map(l => {
+      const total = Object.values(model.counts[l]).reduce((a, b) => a + b, 0);
+      const denom = total + model.alpha * vocab.size;
+      return {
+        label: l,
+        prior: Math.log(model.docs[l] / totalDocs),
+        logp: f => Math.log(((model.counts[l][f] || 0) + model.alpha) / denom)
+      };
+    });
+    compiledCache.set(model, { vocab, byLabel });
+  }
+  return compiledCache.get(model);
+}
+
+/**
+ * Posterior per label for one text: [{ label, p }], most likely first. Empty when no feature is known.
+ */
+export function predictLabels(model, text) {
+  const { vocab, byLabel } = compile(model);
+  const feats = textFeatures(text).filter(f => vocab.has(f));
+  if (!feats.length) return [];
+
+  const scores = byLabel.map(c => ({ label: c.label, s: feats.reduce((sum, f) => sum + c.logp(f), c.prior) }));
+  const max = Math.max(...scores.map(x => x.s));
+  const z = scores.reduce((sum, x) => sum + Math.exp(x.s - max), 0);
+  return scores.map(x => ({ label: x.label, p: Math.exp(x.s - max) / z })).sort((a, b) => b.p - a.p);
+}
+
+export function createBayesNluProvider(model) {
+  if (model?.version !== MODEL_VERSION) throw new Error(`NLU model version ${model?.version} is not supported (expected ${MODEL_VERSION})`);
+
+  return {
+    kind: "bayes",
+    classify(text) {
+      const clauses = String(text || "").split(CLAUSE_SPLIT).map(s => s.trim()).filter(Boolean);
+      const pieces = clauses.length > 1 ? [text, ...clauses] : [text];
+
+      const best = new Map();
+      for (const piece of pieces) {
+        for (const { label, p } of predictLabels(model, piece)) {
+          if (label !== NONE_LABEL && p >= MIN_CONFIDENCE && p > (best.get(label) || 0)) best.set(label, p);
+        }
+      }
+
+      const domains = [...best.entries()]
+          .map(([id, confidence]) => ({ id, confidence }))
+          .sort((a, b) => b.confidence - a.confidence)
+          .slice(0, MAX_DOMAINS);
+      return { domains, slots: {} };
+    }
+  };
+}
@@ -0,0 +1,96 @@
+// Rule-based NLU provider: the hand-written domain patterns and hint words (see utils/nlu for the interface)
+// - Hard patterns always count; hint words add up and count from MIN_SOFT_DOMAIN_SCORE
+// - Text is normalised first, so synonyms in all four languages reach the English patterns
+import { DOMAIN } from "./domains.js";
+import { normalizeText, tokenize } from "./textNormalize.js";
+
+// Optional: category keyword hints to help soft-domain scoring
+const DOMAIN_HINTS = {
+  financial: ["financial aid","comcare","gstv","assurance","cdc","workfare","wis","cash","bills","utilities"],
+  housing: ["housing","rent","rental","hdb","irh","pphs","eviction","homeless","shelter"],
+  healthcare: ["medical","clinic","doctor","chas","medifund","medisave","medishield","hospital bill","health"],
+  seniors: ["seniors","elderly","caregiver","aic","silver support"],
+  disability: ["disability","pwd","sgenable","assistive","atf","eec"],
+  legal: ["legal","lab","lawyer","divorce","court","legal aid"],
+  mental: ["mental health","mindline","1771","anxiety","depression","stressed","overwhelmed"],
+  family: ["family","fsc","baby bonus","cda","kidstart","comlink","marriage","parenting"],
+  education: ["education","school fees","fas","kifas","preschool","kindergarten","childcare","student care","scfa"],
+  employment: ["employment","job","skillsfuture","training","course fee","upskill","wage","pwcs","uec"]
+};
+
+// Hard detection: a match here always counts as a need (checked on normalised, lowercased text).
+// Short acronyms are word-bounded so "lab" doesn't fire on "available".
+const DOMAIN_PATTERNS = {
+  financial: /\bfinancial aid\b|\bcomcare\b|assurance|gstv|cdc vouchers|workfare|\bwis\b/,
+  housing: /\bhousing\b|\b(rent|rental)\b|eviction|evicted|homeless|shelter|no place to stay/,
+  // IMPORTANT: health/medical should map to healthcare (but "mental health" is mental)
+  healthcare: /\bmedical\b|(?<!mental )\bhealth\b|clinic|doctor|\bgp\b|polyclinic|chas|medifund|medisave|medishield|hospital bill/,
+  seniors: /\bseniors\b|elderly|caregiver|silver support|\baic\b/,
+  disability: /\bdisability\b|\b(pwd|atf|eec)\b|sgenable|assistive/,
+  legal: /\blegal\b|\blab\b|lawyer|divorce|court|legal aid/,
+  mental: /\bmental health\b|anxiety|depression|mindline|1771|stressed|overwhelmed/,
+  family: /\bfamily\b|\bfsc\b|baby bonus|kidstart|comlink|child development account|marriage/,
+  education: /\beducation\b|school|kindergarten|preschool|childcare|kifas|scfa|moe fas/,
+  employment: /\bemployment\b|skillsfuture|course fee|wage credit|\b(pwcs|uec)\b/
+};
+
+const HARD_DOMAIN_SCORE = 10;  // a pattern hit outranks any amount of soft hints
+const MIN_SOFT_DOMAIN_SCORE = 3;
+const MAX_DETECTED_NEEDS = 4;  // needs picked up from one message
+
+// Soft detection: hint words when the user free-types without clicking topics.
+// Hints match whole words ("lab" must not fire on "available").
+const hintReCache = new Map();
+function hintRe(hint) {
+  if (!hintReCache.has(hint)) {
+    const escaped = normalizeText(hint).toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    hintReCache.set(hint, new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, "u"));
+  }
+  return hintReCache.get(hint);
+}
+
+function softDomainScore(d, t, tokens) {
+  const hints = DOMAIN_HINTS[d.id] || [];
+  let s = 0;
+
+  for (const h of hints) {
+    if (hintRe(h).test(t)) s += 3;
+  }
+  for (const tok of tokens) {
+    if (hints.some(h => normalizeText(h).toLowerCase().includes(tok))) s += 1;
+  }
+
+  // tiny bias if user already typed canonical keyword like "medical"/"housing"
+  if (t.includes(d.id)) s += 1;
+  return s;
+}
+
+/**
+ * Every domain the text points at, strongest first (ties keep DOMAIN order).
+ * "I lost my job, can't pay rent and my mum needs care" -> financial, housing, seniors, employment.
+ */
+function scoreDomains(raw) {
+  const t = normalizeText(raw).toLowerCase();
+  const tokens = tokenize(t);
+
+  return DOMAIN
+      .map(d => {
+        const hard = DOMAIN_PATTERNS[d.id].test(t);
+        const soft = softDomainScore(d, t, tokens);
+        return { id: d.id, hard, score: (hard ? HARD_DOMAIN_SCORE : 0) + soft };
+      })
+      .filter(x => x.hard || x.score >= MIN_SOFT_DOMAIN_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_DETECTED_NEEDS);
+}
+
+export function createRegexNluProvider() {
+  return {
+    kind: "regex",
+    // Confidence: a hard pattern hit is certain; hints alone scale up to it
+    classify(text) {
+      const domains = scoreDomains(text).map(x => ({ id: x.id, confidence: Math.min(1, x.score / HARD_DOMAIN_SCORE) }));
+      return { domains, slots: {} };
+    }
+  };
+}
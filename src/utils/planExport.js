@@ -0,0 +1,117 @@
+// Printable action plan
+// - Input: plan data from the dialog engine (`buildPlan`): schemes shown in this session + entry-point hotlines
+// - Output: a self-contained HTML document (print to paper / "Save as PDF" in the browser print dialog)
+
+import { t } from "./i18n";
+import { langInfo } from "./languages";
+
+function esc(v = "") {
+  return String(v)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+}
+
+function list(tag, items, cls = "") {
+  if (!items?.length) return "";
+  return `<${tag}${cls ? ` class="${cls}"` : ""}>${items.map(x => `<li>${esc(x)}</li>`).join("")}</${tag}>`;
+}
+
+function linkList(links) {
+  if (!links?.length) return "";
+  return `<ul class="links">${links.map(u => `<li><a href="${esc(u)}">${esc(u)}</a></li>`).join("")}</ul>`;
+}
+
+const PRINT_CSS = `
+  body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, "PingFang SC", "Microsoft YaHei", "Noto Sans Tamil", "Latha", sans-serif; color: #111; margin: 24px; line-height: 1.5; font-size: 14px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 17px; margin: 0 0 6px; }
+  h3 { font-size: 13px; margin: 10px 0 4px; text-transform: uppercase; letter-spacing: .03em; color: #333; }
+  .meta { color: #444; font-size: 12px; margin-bottom: 16px; }
+  .scheme { border: 1.5px solid #999; border-radius: 8px; padding: 12px 14px; margin: 0 0 14px; page-break-inside: avoid; }
+  .num { display: inline-block; min-width: 24px; font-weight: 800; }
+  .docs { list-style: none; padding-left: 0; }
+  .docs li::before { content: "\\2610  "; font-size: 16px; }
+  .links a { color: #0b3fbf; word-break: break-all; }
+  .hotlines { border: 2px solid #111; border-radius: 8px; padding: 10px 14px; margin-bottom: 16px; }
+  .hotlines li { margin: 2px 0; }
+  .note { font-size: 12px; color: #444; margin-top: 18px; }
+  @media print { body { margin: 12mm; } a { color: #000; } }
+`;
+
+/**
+ * Render plan data into a standalone HTML document in the plan's language.
+ */
+export function buildPlanHtml(plan) {
+  const lang = plan.lang || "en";
+  const info = langInfo(lang);
+  const generated = new Date(plan.generatedAt || Date.now()).toLocaleString(info.locale);
+
+  const hotlines = (plan.entryPoints || [])
+      .filter(ep => ep.hotline || ep.email)
+      .map(ep => {
+        const bits = [ep.hotline ? `<strong>${esc(ep.hotline)}</strong>` : "", ep.email ? esc(ep.email) : ""].filter(Boolean);
+        return `<li>${esc(ep.title)}: ${bits.join(" · ")}</li>`;
+      })
+      .join("");
+
+  const schemes = (plan.schemes || [])
+      .map((s, i) => `
+    <section class="scheme">
+      <h2><span class="num">${i + 1}.</span>${esc(s.title)}</h2>
+      ${s.summary ? `<div>${esc(s.summary)}</div>` : ""}
+      ${s.steps?.length ? `<h3>${esc(t(lang, "planSteps"))}</h3>${list("ol", s.steps)}` : ""}
+      ${s.docs?.length ? `<h3>${esc(t(lang, "planDocs"))}</h3>${list("ul", s.docs, "docs")}` : ""}
+      ${s.links?.length ? `<h3>${esc(t(lang, "planLinks"))}</h3>${linkList(s.links)}` : ""}
+    </section>`)
+      .join("");
+
+  return `<!doctype html>
+<html lang="${info.htmlLang}">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${esc(t(lang, "planTitle"))}</title>
+<style>${PRINT_CSS}</style>
+</head>
+<body>
+  <h1>${esc(t(lang, "planTitle"))}</h1>
+  <div class="meta">${esc(t(lang, "planGenerated"))}: ${esc(generated)} · ${esc(t(lang, "planLastUpdated"))}: ${esc(plan.lastUpdated || "-")}</div>
+  <p>${esc(t(lang, "planIntro"))}</p>
+  ${hotlines ? `<div class="hotlines"><h3>${esc(t(lang, "planHotlines"))}</h3><ul>${hotlines}<li>${esc(t(lang, "planEmergency"))}</li></ul></div>` : ""}
+  ${schemes}
+  <p class="note">${esc(t(lang, "planDisclaimer"))}${plan.note ? ` ${esc(plan.note)}` : ""}</p>
+</body>
+</html>`;
+}
+
+/**
+ * Open the plan in a new tab and bring up the print dialog (print or "Save as PDF").
+ * Must be called from a user gesture (click) so the popup is not blocked.
+ */
+export function openPrintablePlan(plan) {
+  const w = window.open("", "_blank");
+  if (!w) return false;
+  w.document.open();
+  w.document.write(buildPlanHtml(plan));
+  w.document.close();
+  w.focus();
+  setTimeout(() => w.print(), 300);
+  return true;
+}
+
+/**
+ * Download the plan as an .html file (works offline; can be printed later).
+ */
+export function downloadPlan(plan) {
+  const blob = new Blob([buildPlanHtml(plan)], { type: "text/html;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `support-plan-${new Date(plan.generatedAt || Date.now()).toISOString().slice(0, 10)}.html`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
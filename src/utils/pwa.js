@@ -0,0 +1,31 @@
+// Installable / offline app support
+// - Registers the service worker built by scripts/serviceWorkerPlugin.js (production builds only)
+// - Online/offline status for the UI and the escalation outbox
+
+export function registerServiceWorker() {
+  if (!import.meta.env?.PROD || !globalThis.navigator?.serviceWorker) return;
+  const base = import.meta.env.BASE_URL || "/";
+  globalThis.addEventListener("load", () => {
+    globalThis.navigator.serviceWorker.register(`${base}sw.js`, { scope: base }).catch(() => {
+      // Not fatal: the app still works online
+    });
+  });
+}
+
+export function isOnline() {
+  return globalThis.navigator?.onLine !== false;
+}
+
+/**
+ * Call `fn(online)` whenever connectivity changes. Returns an unsubscribe function.
+ */
+export function onConnectivityChange(fn) {
+  const on = () => fn(true);
+  const off = () => fn(false);
+  globalThis.addEventListener?.("online", on);
+  globalThis.addEventListener?.("offline", off);
+  return () => {
+    globalThis.removeEventListener?.("online", on);
+    globalThis.removeEventListener?.("offline", off);
+  };
+}
@@ -0,0 +1,142 @@
+// Conversation-level safety
+// - Phrase lexicon per language lives in data/safety_lexicon.json (stable trigger ids, reviewed by staff)
+// - Every user message is scanned against all languages (people mix languages)
+// - Risk is scored over the whole conversation: levels only go up, also across restarts, until the user
+//   dismisses the crisis banner or clears their data
+//     info      recorded only (mild distress, practical urgency)
+//     elevated  persistent crisis banner (999 / 1771)
+//     crisis    banner + the safety message
+// - Which triggers fired is kept in a local audit log (trigger ids only, never the user's words)
+import lexicon from "../data/safety_lexicon.json" with { type: "json" };
+import { STORAGE_KEYS, deviceStorage } from "./storage.js";
+
+export const SAFETY_LEVELS = ["none", "info", "elevated", "crisis"];
+
+// Points per distinct wellbeing trigger; a conversation that keeps adding milder ones escalates.
+// Practical urgency (no place tonight, ...) is recorded but doesn't add up towards a crisis.
+const LEVEL_WEIGHT = { info: 1, elevated: 3, crisis: 9 };
+const ELEVATED_SCORE = 3;
+const CRISIS_SCORE = 9;
+
+// Categories that call for the safety message (rather than the practical "urgent" one)
+const WELLBEING_CATEGORIES = ["self_harm", "violence", "distress"];
+
+const LOG_KEY = STORAGE_KEYS.safetyLog;
+const LOG_LIMIT = 500;
+
+const TRIGGERS = Object.entries(lexicon.languages).flatMap(([lang, entries]) =>
+  entries.map(e => {
+    try {
+      return { ...e, lang, re: new RegExp(e.pattern, "i") };
+    } catch (err) {
+      throw new Error(`safety_lexicon.json: invalid pattern for ${e.id}: ${err.message}`);
+    }
+  })
+);
+
+const isWellbeing = hit => WELLBEING_CATEGORIES.includes(hit.category);
+const rank = level => Math.max(0, SAFETY_LEVELS.indexOf(level));
+const maxLevel = (a, b) => (rank(a) >= rank(b) ? a : b);
+
+export function initSafetyState() {
+  return { level: "none", score: 0, triggerIds: [], lastTurn: [] };
+}
+
+/**
+ * Triggers matched by one message: [{ id, lang, level, category }].
+ */
+export function scanText(text) {
+  const s = String(text || "").toLowerCase().replace(/[‘’]/g, "'");
+  if (!s.trim()) return [];
+  return TRIGGERS.filter(tr => tr.re.test(s)).map(({ id, lang, level, category }) => ({ id, lang, level, category }));
+}
+
+function levelForScore(score) {
+  if (score >= CRISIS_SCORE) return "crisis";
+  if (score >= ELEVATED_SCORE) return "elevated";
+  return score > 0 ? "info" : "none";
+}
+
+/**
+ * Add one user message to the conversation's safety state.
+ * Returns { safety, hits, response } where response is what this turn calls for:
+ *   "sensitive" -- an elevated/crisis wellbeing trigger in this message
+ *   "urgent"    -- a practical urgent need (no place tonight, ...)
+ *   null        -- carry on (the level may still have gone up, e.g. several milder triggers over time)
+ */
+export function assessTurn(safety = initSafetyState(), text = "") {
+  const hits = scanText(text);
+  const known = new Set(safety.triggerIds);
+  const fresh = hits.filter(h => !known.has(h.id));
+
+  const score = safety.score + fresh.filter(isWellbeing).reduce((sum, h) => sum + LEVEL_WEIGHT[h.level], 0);
+  const level = hits.reduce((lvl, h) => maxLevel(lvl, h.level), maxLevel(safety.level, levelForScore(score)));
+
+  const next = {
+    level,
+    score,
+    triggerIds: [...safety.triggerIds, ...fresh.map(h => h.id)],
+    lastTurn: hits
+  };
+
+  let response = null;
+  if (hits.some(h => isWellbeing(h) && rank(h.level) >= rank("elevated"))) response = "sensitive";
+  else if (hits.some(h => h.category === "urgent_need")) response = "urgent";
+
+  return { safety: next, hits, response };
+}
+
+/**
+ * Raise the level without a trigger (e.g. the user picked "urgent mental-health help").
+ */
+export function raiseSafetyLevel(safety = initSafetyState(), level) {
+  return { ...safety, level: maxLevel(safety.level, level), lastTurn: [] };
+}
+
+export function showsCrisisBanner(safety) {
+  return rank(safety?.level) >= rank("elevated");
+}
+
+// ----------------- Trigger audit log (this device) -----------------
+
+export function loadSafetyLog(store = deviceStorage()) {
+  try {
+    const entries = JSON.parse(store?.getItem(LOG_KEY) || "[]");
+    return Array.isArray(entries) ? entries : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Append this turn's triggers to the log: { at, id, level, category, lexiconLang, uiLang, conversationLevel }.
+ * Oldest entries are dropped beyond LOG_LIMIT.
+ */
+export function logSafetyTriggers(hits, { uiLang = "en", conversationLevel = "none", now = new Date(), store = deviceStorage() } = {}) {
+  if (!hits?.length || !store) return;
+  const at = now.toISOString();
+  const added = hits.map(h => ({ at, id: h.id, level: h.level, category: h.category, lexiconLang: h.lang, uiLang, conversationLevel }));
+  try {
+    store.setItem(LOG_KEY, JSON.stringify([...loadSafetyLog(store), ...added].slice(-LOG_LIMIT)));
+  } catch {
+    // quota exceeded / storage disabled: the log is best effort
+  }
+}
+
+export function clearSafetyLog(store = deviceStorage()) {
+  store?.removeItem(LOG_KEY);
+}
+
+/**
+ * Per-trigger counts for review: [{ id, level, category, count, lastAt }], most frequent first.
+ */
+export function summarizeSafetyLog(entries = loadSafetyLog()) {
+  const byId = new Map();
+  for (const e of entries) {
+    const row = byId.get(e.id) || { id: e.id, level: e.level, category: e.category, count: 0, lastAt: null };
+    row.count += 1;
+    if (!row.lastAt || e.at > row.lastAt) row.lastAt = e.at;
+    byId.set(e.id, row);
+  }
+  return [...byId.values()].sort((a, b) => b.count - a.count || a.id.localeCompare(b.id));
+}
@@ -0,0 +1,235 @@
+// Retrieval index over KB entries
+// - Inverted index built once per KB array (cached), not on every query
+// - BM25F-style ranking with field weights: name > keywords > summary > eligibility / steps
+// - Tokens: words for alphabetic scripts, character bigrams for CJK (Chinese text has no spaces)
+// - Word forms: a query word also matches vocabulary terms it starts ("rent" -> "rental", never "parent")
+// - Typo tolerance: a query word with no exact/prefix match falls back to terms within a small edit distance
+// - Names: a query that is, or contains, an item's full name gets a flat boost on top of BM25F
+//
+// Text normalisation (synonyms) and stopwords belong to the caller (dialog engine) and are passed in as options,
+// so documents and queries go through exactly the same pipeline.
+
+const FIELDS = [
+  { key: "name", weight: 4 },
+  { key: "keywords", weight: 3 },
+  { key: "summary", weight: 2 },
+  { key: "eligibility", weight: 1 },
+  { key: "how_to_apply", weight: 1 }
+];
+
+const K1 = 1.2;
+const B = 0.75;
+const PREFIX_FACTOR = 0.8;   // "rent" -> "rental" counts a little less than an exact hit
+const PREFIX_MIN_LENGTH = 3;
+const FUZZY_PENALTY = 0.6;   // a typo match counts less than an exact one
+const FUZZY_MIN_LENGTH = 4;  // "gp", "cdc", "atf": too short to guess safely
+const FUZZY_MAX_TERMS = 3;   // closest vocabulary terms considered per unknown word
+const NAME_EXACT_BOOST = 4;  // the query is the name ("medifund", "MediShield Life")
+const NAME_PHRASE_BOOST = 2; // the query contains the name ("can I apply for medifund")
+
+const CJK = "\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}";
+const CJK_RUN_RE = new RegExp(`[${CJK}]+|[^${CJK}]+`, "gu");
+const CJK_CHAR_RE = new RegExp(`[${CJK}]`, "u");
+
+/**
+ * Split text into index terms.
+ * CJK runs become overlapping bigrams ("医院账单" -> 医院, 院账, 账单); a one-character run stays a unigram.
+ * With `unigrams: true` (documents) every CJK character is also indexed, so a one-character query can match.
+ */
+export function tokenizeText(text = "", { stopwords = null, unigrams = false } = {}) {
+  const out = [];
+  const push = tok => {
+    if (!tok || stopwords?.has(tok)) return;
+    if (tok.length === 1 && /^\p{L}$/u.test(tok) && !isCjk(tok)) return; // "t" from "can't"
+    out.push(tok);
+  };
+
+  const words = String(text)
+      .toLowerCase()
+      .replace(/[^\p{L}\p{M}\p{N}\s]+/gu, " ")
+      .split(/\s+/)
+      .filter(Boolean);
+
+  for (const word of words) {
+    for (const run of word.match(CJK_RUN_RE) || []) {
+      if (!CJK_CHAR_RE.test(run)) {
+        push(run);
+        continue;
+      }
+      const chars = [...run];
+      if (chars.length === 1 || unigrams) chars.forEach(push);
+      for (let i = 0; i < chars.length - 1; i++) push(chars[i] + chars[i + 1]);
+    }
+  }
+  return out;
+}
+
+function isCjk(tok) {
+  return CJK_CHAR_RE.test(tok);
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein + adjacent transpositions), stopping early above `max`.
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prev2[j - 2] + 1);
+      }
+      cur.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function fieldText(item, key, langs) {
+  return langs
+      .flatMap(l => {
+        const v = item[`${key}_${l}`];
+        return Array.isArray(v) ? v : [v];
+      })
+      .filter(v => typeof v === "string" && v)
+      .join(" \n ");
+}
+
+// Name phrases of an item, as space-joined terms: each language's name, with and without its bracketed part
+// ("CHAS (Community Health Assist Scheme)" -> "chas community health assist scheme", "chas").
+// Taken from the raw name, not through `normalize`: synonyms fold scheme names into their topic
+// ("medifund" -> "medical"), which serves topic matching but loses which scheme was named.
+function namePhrases(item, langs, stopwords) {
+  const out = new Set();
+  for (const l of langs) {
+    const name = item[`name_${l}`];
+    if (typeof name !== "string") continue;
+    for (const v of [name, name.replace(/[(（][^)）]*[)）]/g, " ")]) {
+      const phrase = tokenizeText(v, { stopwords }).join(" ");
+      if (phrase) out.add(phrase);
+    }
+  }
+  return out;
+}
+
+/**
+ * Build the inverted index.
+ * items: KB entries with localised fields (`name_en`, `keywords_zh`, ...); langs: locale suffixes to read.
+ */
+export function buildIndex(items, { langs = ["en"], normalize = t => t, stopwords = null } = {}) {
+  const postings = new Map(); // term -> [{ doc, tf: [per-field counts] }]
+  const lengths = [];         // doc -> [per-field token counts]
+
+  items.forEach((item, doc) => {
+    const lens = [];
+    const counts = new Map();
+    FIELDS.forEach((f, fi) => {
+      const toks = tokenizeText(normalize(fieldText(item, f.key, langs)), { stopwords, unigrams: true });
+      lens.push(toks.length);
+      for (const tok of toks) {
+        if (!counts.has(tok)) counts.set(tok, FIELDS.map(() => 0));
+        counts.get(tok)[fi] += 1;
+      }
+    });
+    lengths.push(lens);
+    for (const [term, tf] of counts) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push({ doc, tf });
+    }
+  });
+
+  const n = items.length || 1;
+  const avgLen = FIELDS.map((_, fi) => lengths.reduce((sum, l) => sum + l[fi], 0) / n || 1);
+
+  const names = items.map(item => namePhrases(item, langs, stopwords));
+
+  return { items, postings, lengths, avgLen, names, vocabulary: [...postings.keys()], normalize, stopwords };
+}
+
+const indexCache = new WeakMap();
+
+/**
+ * Index for a KB array, built on first use and reused while the array is the same object.
+ */
+export function getIndex(items, options) {
+  let index = indexCache.get(items);
+  if (!index) {
+    index = buildIndex(items, options);
+    indexCache.set(items, index);
+  }
+  return index;
+}
+
+// Query term -> [{ term, factor }]: the exact term and longer forms of it, or the closest terms for a likely typo
+function expandTerm(index, tok) {
+  const out = index.postings.has(tok) ? [{ term: tok, factor: 1 }] : [];
+  if (isCjk(tok) || /^\d+$/.test(tok)) return out;
+
+  if (tok.length >= PREFIX_MIN_LENGTH) {
+    for (const term of index.vocabulary) {
+      if (term !== tok && term.startsWith(tok)) out.push({ term, factor: PREFIX_FACTOR });
+    }
+  }
+  if (out.length || tok.length < FUZZY_MIN_LENGTH) return out;
+
+  const max = tok.length >= 8 ? 2 : 1;
+  return index.vocabulary
+      .filter(term => !isCjk(term))
+      .map(term => ({ term, dist: editDistance(tok, term, max) }))
+      .filter(x => x.dist <= max)
+      .sort((a, b) => a.dist - b.dist)
+      .slice(0, FUZZY_MAX_TERMS)
+      .map(x => ({ term: x.term, factor: FUZZY_PENALTY / x.dist }));
+}
+
+/**
+ * Rank items for a free-text query. Returns [{ item, score }] with score > 0, best first.
+ */
+export function search(index, query) {
+  const terms = [...new Set(tokenizeText(index.normalize(query || ""), { stopwords: index.stopwords }))];
+  const n = index.items.length;
+  const scores = new Map();
+
+  for (const tok of terms) {
+    // one query word can expand to several terms (forms, typos): keep the best contribution per document
+    const best = new Map();
+    for (const { term, factor } of expandTerm(index, tok)) {
+      const list = index.postings.get(term);
+      const idf = Math.log(1 + (n - list.length + 0.5) / (list.length + 0.5));
+      for (const { doc, tf } of list) {
+        let weighted = 0;
+        FIELDS.forEach((f, fi) => {
+          if (!tf[fi]) return;
+          const norm = 1 - B + B * (index.lengths[doc][fi] / index.avgLen[fi]);
+          weighted += (f.weight * tf[fi]) / norm;
+        });
+        const s = factor * idf * (weighted * (K1 + 1)) / (weighted + K1);
+        if (s > (best.get(doc) || 0)) best.set(doc, s);
+      }
+    }
+    for (const [doc, s] of best) scores.set(doc, (scores.get(doc) || 0) + s);
+  }
+
+  const phrase = tokenizeText(query || "", { stopwords: index.stopwords }).join(" ");
+  if (phrase) {
+    index.names.forEach((names, doc) => {
+      let boost = 0;
+      if (names.has(phrase)) boost = NAME_EXACT_BOOST;
+      else if ([...names].some(name => ` ${phrase} `.includes(` ${name} `))) boost = NAME_PHRASE_BOOST;
+      if (boost) scores.set(doc, (scores.get(doc) || 0) + boost);
+    });
+  }
+
+  return [...scores]
+      .map(([doc, score]) => ({ item: index.items[doc], score }))
+      .sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,131 @@
+// Conversation persistence (this device only)
+// - localStorage: dialog state + the most recent messages (fast, synchronous restore)
+// - IndexedDB: the full message history (longer conversations)
+// - Sessions expire after an idle period (shared devices), and everything can be wiped in one call
+import { CLEARED_KEYS, STORAGE_KEYS, deviceStorage } from "./storage.js";
+
+const SESSION_KEY = STORAGE_KEYS.session;
+const SESSION_VERSION = 1;
+const LOCAL_MESSAGE_LIMIT = 40;
+
+const IDB_NAME = "sga";
+const IDB_STORE = "sessions";
+const IDB_KEY = "current";
+
+const DEFAULT_IDLE_MINUTES = 30;
+
+export function idleTimeoutMs() {
+  const mins = Number(import.meta.env?.VITE_SESSION_IDLE_MINUTES);
+  return (Number.isFinite(mins) && mins > 0 ? mins : DEFAULT_IDLE_MINUTES) * 60 * 1000;
+}
+
+// ----------------- IndexedDB (best effort) -----------------
+function openDb() {
+  return new Promise((resolve, reject) => {
+    if (!globalThis.indexedDB) {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const req = globalThis.indexedDB.open(IDB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(IDB_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function idbRequest(mode, fn) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(IDB_STORE, mode);
+      const req = fn(tx.objectStore(IDB_STORE));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// ----------------- Public API -----------------
+
+/**
+ * Save the current session. Recent messages go to localStorage, the full history to IndexedDB.
+ */
+export function saveSession({ lang, dlg, messages }, now = Date.now()) {
+  const snapshot = {
+    version: SESSION_VERSION,
+    savedAt: now,
+    lang,
+    dlg,
+    messages: messages.slice(-LOCAL_MESSAGE_LIMIT),
+    total: messages.length
+  };
+
+  try {
+    deviceStorage()?.setItem(SESSION_KEY, JSON.stringify(snapshot));
+  } catch {
+    // quota exceeded / storage disabled: persistence is optional
+  }
+
+  if (messages.length > LOCAL_MESSAGE_LIMIT) {
+    idbRequest("readwrite", store => store.put({ savedAt: now, messages }, IDB_KEY)).catch(() => {});
+  }
+}
+
+/**
+ * Load the last session if it exists and has not been idle for longer than `idleMs`.
+ * Expired sessions are deleted on the spot.
+ */
+export function loadSession({ idleMs = idleTimeoutMs(), now = Date.now() } = {}) {
+  let snapshot = null;
+  try {
+    snapshot = JSON.parse(deviceStorage()?.getItem(SESSION_KEY) || "null");
+  } catch {
+    snapshot = null;
+  }
+  if (!snapshot || snapshot.version !== SESSION_VERSION || !snapshot.dlg || !Array.isArray(snapshot.messages)) {
+    return null;
+  }
+  if (now - snapshot.savedAt > idleMs) {
+    clearSession();
+    return null;
+  }
+  return snapshot;
+}
+
+/**
+ * Full message history for a snapshot: IndexedDB copy when the local one was truncated.
+ */
+export async function loadFullHistory(snapshot) {
+  if (!snapshot || snapshot.total <= snapshot.messages.length) return snapshot?.messages || [];
+  try {
+    const rec = await idbRequest("readonly", store => store.get(IDB_KEY));
+    if (rec?.savedAt === snapshot.savedAt && Array.isArray(rec.messages)) return rec.messages;
+  } catch {
+    // fall through to the truncated copy
+  }
+  return snapshot.messages;
+}
+
+export function clearSession() {
+  try {
+    deviceStorage()?.removeItem(SESSION_KEY);
+  } catch {
+    // ignore
+  }
+  idbRequest("readwrite", store => store.delete(IDB_KEY)).catch(() => {});
+}
+
+/**
+ * "Clear my data": remove the user's data from this device (CLEARED_KEYS in utils/storage; tickets and staff drafts stay).
+ */
+export function clearAllData() {
+  const s = deviceStorage();
+  CLEARED_KEYS.forEach(k => s?.removeItem(k));
+  try {
+    globalThis.indexedDB?.deleteDatabase(IDB_NAME);
+  } catch {
+    // ignore
+  }
+}
@@ -0,0 +1,33 @@
+// Saved schemes ("shortlist"), kept on this device across sessions
+// - Stores scheme ids only; cards are rendered from the KB in the current language
+// - One of the keys "Clear my data" removes (utils/storage)
+import { STORAGE_KEYS, deviceStorage } from "./storage.js";
+
+const SHORTLIST_KEY = STORAGE_KEYS.shortlist;
+
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 3;
+
+export function loadShortlist() {
+  try {
+    const ids = JSON.parse(deviceStorage()?.getItem(SHORTLIST_KEY) || "[]");
+    return Array.isArray(ids) ? ids.filter(id => typeof id === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveShortlist(ids) {
+  try {
+    deviceStorage()?.setItem(SHORTLIST_KEY, JSON.stringify(ids));
+  } catch {
+    // quota exceeded / storage disabled: the shortlist still works for this visit
+  }
+}
+
+/**
+ * Save or unsave a scheme. Returns the new list (newly saved schemes go last).
+ */
+export function toggleSaved(ids, id) {
+  return ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id];
+}
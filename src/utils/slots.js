@@ -0,0 +1,200 @@
+// Household facts mentioned in free text ("I'm 67, living alone in a 2-room HDB flat, earning $800")
+// - Slots: age, household_size, income { amount, scope }, housing, citizenship, dependants (English + Chinese)
+// - Every NLU provider returns them (see utils/nlu); the engine keeps them in `state.slots`
+// - slotsToProfile turns them into the pre-screener's profile (utils/eligibility), so they can rank schemes
+//   and answer screener questions before they are asked
+//
+// Slot values:
+//   age             number (years)
+//   household_size  number of people including the user
+//   income          { amount, scope }: monthly dollars; scope "household" | "person" | null (not said)
+//   housing         same values as the screener: hdb_rental | hdb_1_2 | hdb_3_4 | hdb_5_exec | private | none
+//   citizenship     "SC" | "PR" | "other"
+//   dependants      number of children / dependants
+
+const EN_NUMBERS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const ZH_DIGITS = { 零: 0, 一: 1, 二: 2, 两: 2, 俩: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+
+const EN_NUM = `\\d+|${Object.keys(EN_NUMBERS).join("|")}`;
+const ZH_NUM = "\\d+|[零一二两俩三四五六七八九十]+";
+
+const MIN_AGE = 10;
+const MAX_AGE = 110;
+const MAX_HOUSEHOLD = 20;
+
+/**
+ * "67" / "four" / "六十七" -> 67 / 4 / 67 (null if it isn't a number).
+ */
+export function parseCount(raw) {
+  const s = String(raw || "").trim().toLowerCase();
+  if (/^\d+$/.test(s)) return Number(s);
+  if (s in EN_NUMBERS) return EN_NUMBERS[s];
+  if (!/^[零一二两俩三四五六七八九十]+$/.test(s)) return null;
+  // Chinese numerals up to 99: 十 = 10, 十五 = 15, 六十 = 60, 六十七 = 67
+  const [tensPart, onesPart] = s.includes("十") ? s.split("十") : ["", s];
+  const tens = s.includes("十") ? (tensPart ? ZH_DIGITS[tensPart] : 1) : 0;
+  const ones = onesPart ? ZH_DIGITS[onesPart] : 0;
+  return tens === undefined || ones === undefined ? null : tens * 10 + ones;
+}
+
+// "$1,200" / "1.5k" / "2千" / "1万" -> dollars
+function parseAmount(num, unit = "") {
+  const n = Number(String(num).replace(/,/g, ""));
+  if (!Number.isFinite(n)) return null;
+  const u = unit.toLowerCase();
+  const factor = u === "k" || u === "千" ? 1000 : u === "万" ? 10000 : 1;
+  return Math.round(n * factor);
+}
+
+const firstMatch = (text, patterns) => {
+  for (const [re, value] of patterns) {
+    const m = text.match(re);
+    if (m) return typeof value === "function" ? value(m) : value;
+  }
+  return undefined;
+};
+
+const inRange = (n, lo, hi) => (n !== null && n >= lo && n <= hi ? n : undefined);
+
+// ----------------- Extractors -----------------
+
+function extractAge(t) {
+  const age = firstMatch(t, [
+    [/\b(?:i am|i'm|im|aged?|age:?)\s*(\d{2,3})\b(?!\s*(?:room|%|people|persons|kids|children|dollars))/, m => Number(m[1])],
+    [/\b(\d{2,3})\s*(?:years? old|yrs? old|y\/?o)\b/, m => Number(m[1])],
+    [new RegExp(`(${ZH_NUM})\\s*岁`), m => parseCount(m[1])],
+    [new RegExp(`(?:我|今年|年龄)\\s*(?:今年)?\\s*(${ZH_NUM})(?![\\d零一二两俩三四五六七八九十]*\\s*(?:房|口|个|人|块|元|万|千))`), m => parseCount(m[1])]
+  ]);
+  return inRange(age ?? null, MIN_AGE, MAX_AGE);
+}
+
+function extractHouseholdSize(t) {
+  const size = firstMatch(t, [
+    [/\b(?:live|living|stay|staying)\s+(?:all\s+)?(?:alone|by myself|on my own)\b|\bi live alone\b/, 1],
+    [new RegExp(`\\b(?:family|household) of (${EN_NUM})\\b`), m => parseCount(m[1])],
+    [new RegExp(`\\b(${EN_NUM})[- ](?:person|people|member) (?:household|family)\\b`), m => parseCount(m[1])],
+    [new RegExp(`\\b(?:there are|we are|we're) (${EN_NUM}) (?:of us|people)\\b`), m => parseCount(m[1])],
+    [new RegExp(`\\b(${EN_NUM}) (?:people|persons) (?:in (?:my|our|the) (?:household|family|home|flat)|living together)\\b`), m => parseCount(m[1])],
+    [/(独居|一个人住|自己一个人住|独自居住)/, 1],
+    [new RegExp(`一家(${ZH_NUM})口`), m => parseCount(m[1])],
+    [new RegExp(`(${ZH_NUM})口(?:之家|人)`), m => parseCount(m[1])],
+    [new RegExp(`(?:家里|家中|家庭|我们家)(?:一共|总共|有|共)*(${ZH_NUM})\\s*(?:个人|口人|人)`), m => parseCount(m[1])]
+  ]);
+  return inRange(size ?? null, 1, MAX_HOUSEHOLD);
+}
+
+function extractDependants(t) {
+  if (/\b(?:no|don't have any|do not have any) (?:kids|children|dependants|dependents)\b|(没有孩子|没有小孩|没孩子)/.test(t)) return 0;
+  const n = firstMatch(t, [
+    [new RegExp(`\\b(${EN_NUM}) (?:young |small |school-going )?(?:kids|children|child|sons|daughters|dependants|dependents)\\b`), m => parseCount(m[1])],
+    [/\b(?:a|one) (?:young |small )?(?:kid|child|son|daughter|dependant|dependent)\b/, 1],
+    [new RegExp(`(${ZH_NUM})\\s*(?:个|名)?\\s*(?:孩子|小孩|儿女|子女|受抚养人)`), m => parseCount(m[1])]
+  ]);
+  return inRange(n ?? null, 0, MAX_HOUSEHOLD);
+}
+
+function extractIncome(t) {
+  if (/\b(?:no income|zero income|not earning|no salary)\b|(没有收入|没收入|零收入)/.test(t)) return { amount: 0, scope: null };
+
+  // Only amounts tied to earning count: "$800" alone may just as well be a bill or the rent
+  const hit = firstMatch(t, [
+    // English: "earning $800", "income of $2,000", "my salary is only 1.5k", "I make about $1,200"
+    [/\b(?:earn|earns|earning|income|salary|wage|wages|make|making|take home|taking home)\b[^\d$]{0,15}(?:s?\$\s*)?(\d[\d,]*(?:\.\d+)?)\s*(k\b)?/, m => ({ amount: parseAmount(m[1], m[2] || "") })],
+    // Chinese: "月入800", "月收入2000元", "工资1500", "收入两千"
+    [/(?:月入|收入|工资|薪水|薪金|赚)\D{0,6}?(\d[\d,]*(?:\.\d+)?)\s*([千万])?/, m => ({ amount: parseAmount(m[1], m[2] || "") })],
+    [new RegExp(`(?:月入|收入|工资|薪水|薪金|赚)[^\\d零一二两俩三四五六七八九十]{0,6}?(${ZH_NUM})\\s*([千万])`), m => {
+      const n = parseCount(m[1]);
+      return n === null ? null : { amount: parseAmount(n, m[2]) };
+    }]
+  ]);
+  if (hit?.amount == null) return undefined;
+
+  const yearly = /\b(?:a|per|each) year\b|\bannual(?:ly)?\b|\byearly\b|年收入|年薪|一年/.test(t);
+  const amount = yearly ? Math.round(hit.amount / 12) : hit.amount;
+  const scope = /\bper (?:capita|person|head)\b|人均|每人/.test(t)
+    ? "person"
+    : /\b(?:household|family|combined|total)\b|家庭|全家|家里/.test(t) ? "household" : null;
+  return { amount, scope };
+}
+
+function extractHousing(t) {
+  return firstMatch(t, [
+    [/\b(?:homeless|sleeping (?:rough|outside)|no (?:place|where) to (?:stay|live)|nowhere to (?:stay|live))\b|(无家可归|露宿|没地方住|没有地方住)/, "none"],
+    [/\b(?:hdb )?rental flat\b|\brent(?:ing)? (?:a |an )?(?:hdb )?(?:flat )?from hdb\b|\bpublic rental\b|(租赁组屋|租组屋|政府租赁)/, "hdb_rental"],
+    [/\b(?:executive|exec) (?:flat|apartment|maisonette)\b|\b(?:5|five)[- ]room\b|(五房式|公寓式组屋|执行共管)/, "hdb_5_exec"],
+    [/\b(?:1|2|one|two)[- ]room\b|(一房式|二房式|两房式)/, "hdb_1_2"],
+    [/\b(?:3|4|three|four)[- ]room\b|(三房式|四房式)/, "hdb_3_4"],
+    [/\b(?:condo|condominium|landed|private (?:property|apartment|flat|housing|home))\b|(私宅|私人住宅|私人公寓|共管公寓|有地住宅)/, "private"]
+  ]);
+}
+
+function extractCitizenship(t) {
+  return firstMatch(t, [
+    [/\b(?:not a (?:singapore |sg )?citizen|foreigner|work permit|s pass|employment pass|foreign worker|dependant'?s pass)\b|(外国人|工作准证|外籍|不是公民)/, "other"],
+    [/\b(?:permanent resident|pr)\b|(永久居民)/, "PR"],
+    [/\b(?:singapore(?:an)? citizen|singaporean|sg citizen|i am a citizen|i'm a citizen)\b|(新加坡公民|新加坡人|是公民)/, "SC"]
+  ]);
+}
+
+/**
+ * Slots mentioned in one message (only the ones found). Patterns for every language are tried, since people mix them.
+ */
+export function extractSlots(text) {
+  const t = String(text || "").toLowerCase().replace(/[‘’]/g, "'").replace(/\s+/g, " ");
+  if (!t.trim()) return {};
+
+  const slots = {
+    age: extractAge(t),
+    household_size: extractHouseholdSize(t),
+    income: extractIncome(t),
+    housing: extractHousing(t),
+    citizenship: extractCitizenship(t),
+    dependants: extractDependants(t)
+  };
+  return Object.fromEntries(Object.entries(slots).filter(([, v]) => v !== undefined));
+}
+
+/**
+ * Later mentions replace earlier ones ("actually we're a family of 4").
+ */
+export function mergeSlots(prev = {}, next = {}) {
+  return { ...(prev || {}), ...(next || {}) };
+}
+
+/**
+ * Slots as a pre-screener profile (numeric fields as [lo, hi] intervals, see utils/eligibility).
+ */
+export function slotsToProfile(slots = {}) {
+  const profile = {};
+  if (!slots) return profile;
+
+  if (slots.age != null) profile.age = [slots.age, slots.age];
+  if (slots.citizenship) profile.citizenship = slots.citizenship;
+  if (slots.housing) profile.housing = slots.housing;
+
+  if (slots.household_size != null) profile.household_size = [slots.household_size, slots.household_size];
+  else if (slots.dependants > 0) profile.household_size = [slots.dependants + 1, null];
+
+  // Income without an exact household size only bounds the per-person figure from above
+  const income = slots.income;
+  if (income && income.amount != null) {
+    const minSize = slots.household_size || (slots.dependants > 0 ? slots.dependants + 1 : 1);
+    if (income.scope === "person") profile.pc_income = [income.amount, income.amount];
+    else if (slots.household_size) {
+      const pc = Math.round(income.amount / slots.household_size);
+      profile.pc_income = [pc, pc];
+    } else {
+      profile.pc_income = [0, Math.round(income.amount / minSize)];
+    }
+  }
+  return profile;
+}
+
+/**
+ * The part of slotsToProfile that settles a screener question: exact values only
+ * (an income bound like "at most $3,000 per person" still gets asked).
+ */
+export function slotsToScreenAnswers(slots = {}) {
+  const settled = ([, v]) => !Array.isArray(v) || v[0] === v[1];
+  return Object.fromEntries(Object.entries(slotsToProfile(slots)).filter(settled));
+}
@@ -0,0 +1,201 @@
+// Voice input and read-aloud
+// - The UI talks to a speech provider, never to the browser API directly:
+//     canListen, canSpeak
+//     listen({ lang, onInterim, onEnd, onError }) -> { stop() }   push-to-talk: stop() ends the turn, onEnd(transcript) follows
+//     speak(text, { lang, onEnd })                                 replaces anything being read
+//     cancel()
+// - Web Speech API provider (default) and an in-memory mock for tests / demos (setSpeechProvider)
+// - Text for read-aloud is built from the message and its cards, in the current language
+import { langInfo } from "./languages";
+import { t } from "./i18n";
+
+// Chrome stops reading long utterances part-way, so text is read in chunks of about this many characters
+const MAX_UTTERANCE_CHARS = 200;
+// Slightly slower than default: easier to follow for older listeners
+const SPEECH_RATE = 0.9;
+
+export function speechLang(lang) {
+  return langInfo(lang).speech;
+}
+
+// Sentences / lines, packed into chunks of at most MAX_UTTERANCE_CHARS
+export function splitForSpeech(text) {
+  const pieces = String(text || "")
+    .split(/(?<=[.!?。！？])\s*|\n+/)
+    .map(s => s.trim())
+    .filter(Boolean);
+  const chunks = [];
+  for (const piece of pieces) {
+    const last = chunks[chunks.length - 1];
+    if (last && last.length + piece.length + 1 <= MAX_UTTERANCE_CHARS) chunks[chunks.length - 1] = `${last} ${piece}`;
+    else chunks.push(piece);
+  }
+  return chunks;
+}
+
+function pickVoice(voices, bcp47) {
+  const norm = v => (v.lang || "").replace("_", "-").toLowerCase();
+  const want = bcp47.toLowerCase();
+  const prefix = want.split("-")[0];
+  return voices.find(v => norm(v) === want) || voices.find(v => norm(v).startsWith(`${prefix}-`)) || null;
+}
+
+/**
+ * Provider backed by the browser's SpeechRecognition + speechSynthesis (either may be missing).
+ */
+export function createWebSpeechProvider(win = globalThis) {
+  const Recognition = win.SpeechRecognition || win.webkitSpeechRecognition || null;
+  const synth = win.speechSynthesis || null;
+  const Utterance = win.SpeechSynthesisUtterance || null;
+
+  return {
+    kind: "web",
+    canListen: !!Recognition,
+    canSpeak: !!(synth && Utterance),
+
+    listen({ lang = "en", onInterim, onEnd, onError } = {}) {
+      const rec = new Recognition();
+      rec.lang = speechLang(lang);
+      rec.interimResults = true;
+      rec.continuous = true; // keep listening while the button is held
+      rec.maxAlternatives = 1;
+
+      const sep = lang === "zh" ? "" : " "; // no spaces between Chinese words
+      let transcript = "";
+      rec.onresult = e => {
+        transcript = Array.from(e.results, r => r[0].transcript).join(sep).trim();
+        onInterim?.(transcript);
+      };
+      rec.onerror = e => onError?.(e.error || "error");
+      rec.onend = () => onEnd?.(transcript);
+      rec.start();
+
+      return { stop: () => rec.stop() };
+    },
+
+    speak(text, { lang = "en", onEnd } = {}) {
+      synth.cancel();
+      const chunks = splitForSpeech(text);
+      if (!chunks.length) {
+        onEnd?.();
+        return;
+      }
+      const bcp47 = speechLang(lang);
+      const voice = pickVoice(synth.getVoices(), bcp47);
+      chunks.forEach((chunk, i) => {
+        const u = new Utterance(chunk);
+        u.lang = bcp47;
+        u.rate = SPEECH_RATE;
+        if (voice) u.voice = voice;
+        if (i === chunks.length - 1) {
+          u.onend = () => onEnd?.();
+          u.onerror = () => onEnd?.();
+        }
+        synth.speak(u);
+      });
+    },
+
+    cancel() {
+      synth?.cancel();
+    }
+  };
+}
+
+/**
+ * In-memory provider for tests: `hear(text)` plays the part of the user speaking,
+ * and everything read aloud is recorded in `spoken` as { text, lang }.
+ */
+export function createMockSpeechProvider({ canListen = true, canSpeak = true } = {}) {
+  let session = null;
+
+  return {
+    kind: "mock",
+    canListen,
+    canSpeak,
+    spoken: [],
+    get listening() {
+      return !!session;
+    },
+
+    listen({ lang = "en", onInterim, onEnd, onError } = {}) {
+      session = { lang, onInterim, onEnd, onError, transcript: "" };
+      const own = session;
+      return {
+        stop: () => {
+          if (session !== own) return;
+          session = null;
+          own.onEnd?.(own.transcript);
+        }
+      };
+    },
+
+    // Simulated speech while listening; `final` ends the turn like releasing the button
+    hear(text, { final = true } = {}) {
+      if (!session) throw new Error("mock speech provider is not listening");
+      const s = session;
+      s.transcript = text;
+      s.onInterim?.(text);
+      if (final) {
+        session = null;
+        s.onEnd?.(text);
+      }
+    },
+
+    fail(error = "no-speech") {
+      const s = session;
+      session = null;
+      s?.onError?.(error);
+      s?.onEnd?.("");
+    },
+
+    speak(text, { lang = "en", onEnd } = {}) {
+      this.spoken.push({ text, lang });
+      onEnd?.();
+    },
+
+    cancel() {}
+  };
+}
+
+let provider = null;
+
+export function getSpeechProvider() {
+  if (!provider) provider = createWebSpeechProvider();
+  return provider;
+}
+
+/**
+ * Swap the speech provider (e.g. the mock in tests). `null` goes back to the Web Speech API.
+ */
+export function setSpeechProvider(next) {
+  provider = next;
+}
+
+// ----------------- Read-aloud text -----------------
+
+function cardSpeechText(card, lang) {
+  const focus = card.focus || "overview";
+  const lines = [card.title];
+  if (card.screening?.text) lines.push(card.screening.text);
+  if (card.summary) lines.push(card.summary);
+
+  if (focus === "entry") {
+    if (card.contacts?.hotline) lines.push(`${t(lang, "hotline")}: ${card.contacts.hotline}`);
+    return lines.join("\n");
+  }
+
+  const block = (key, items) => {
+    if (items?.length) lines.push(`${t(lang, key)}:`, ...items);
+  };
+  if (["overview", "eligibility", "detail"].includes(focus)) block("eligibility", card.eligibility);
+  if (["overview", "steps", "detail"].includes(focus)) block("howToApply", card.steps);
+  if (["documents", "detail"].includes(focus)) block("docsTitle", card.docs);
+  return lines.join("\n");
+}
+
+/**
+ * What to read for an assistant message: its text, then each card (links are skipped).
+ */
+export function messageSpeechText(message, lang) {
+  return [message.text, ...(message.cards || []).map(c => cardSpeechText(c, lang))].filter(Boolean).join("\n\n");
+}
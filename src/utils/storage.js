@@ -0,0 +1,42 @@
+// What this app keeps in localStorage (this device only)
+// - One guarded accessor: localStorage is missing outside the browser and throws when blocked (e.g. private mode)
+// - Every key lives here, with an explicit decision on whether "Clear my data" removes it
+
+export const STORAGE_KEYS = {
+  session: "sga.session",                     // dialog state + recent messages (sessionStore)
+  shortlist: "sga.shortlist",                 // saved scheme ids (shortlist)
+  safetyLog: "sga.safetyLog",                 // safety trigger ids, for staff review (safety)
+  analyticsConsent: "sga.analytics.consent",  // the user's analytics answer (analytics)
+  analyticsEvents: "sga.analytics.events",    // anonymous usage events (analytics)
+  ticketQueue: "sga.ticketQueue",             // tickets of the local-storage transport (escalation)
+  ticketOutbox: "sga.ticketOutbox",           // tickets waiting for the connection to return (escalation)
+  kbCache: "sga.kb",                          // last good remote knowledge base (kbLoader)
+  adminDraft: "sga.admin.draft"               // KB editor draft (Admin)
+};
+
+// Removed by "Clear my data" (sessionStore.clearAllData)
+export const CLEARED_KEYS = [
+  STORAGE_KEYS.session,
+  STORAGE_KEYS.shortlist,
+  STORAGE_KEYS.safetyLog,
+  STORAGE_KEYS.analyticsConsent,
+  STORAGE_KEYS.analyticsEvents,
+  STORAGE_KEYS.kbCache
+];
+
+// Kept by "Clear my data":
+// - escalation tickets the user was told were submitted (local queue) or that are still waiting to be sent
+//   (outbox): wiping them would silently drop someone's request for help
+// - the KB editor draft: staff work on a shared device, not the citizen's data
+export const KEPT_KEYS = [STORAGE_KEYS.ticketQueue, STORAGE_KEYS.ticketOutbox, STORAGE_KEYS.adminDraft];
+
+/**
+ * localStorage, or null where it isn't available.
+ */
+export function deviceStorage() {
+  try {
+    return globalThis.localStorage || null;
+  } catch {
+    return null;
+  }
+}
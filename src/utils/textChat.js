@@ -0,0 +1,180 @@
+// Plain-text conversations with the dialog engine, for the terminal REPL (`npm run chat`, scripts/chat.js)
+// - Each assistant message prints as its text, its cards (numbered [1], [2], ...) and its quick replies (numbered 1), 2), ...)
+// - A line of input is a quick-reply number, a /command (see HELP) or anything else as typed text
+// - Conversation fixtures (tests/fixtures/conversations) replay turn by turn with `turn()`, so a reported
+//   conversation written down as a fixture can be stepped through and then continued by hand
+import {
+  initDialogState, getInitialAssistantMessage, handleUserText, handleAction, renderMessage
+} from "./dialogEngine.js";
+import { LANGS } from "./languages.js";
+import { t } from "./i18n.js";
+
+const CARD_LIMIT = 4; // list items per block, as on the app's cards (details show everything)
+const TEST_TICKET_REF = "SGA-TEST";
+
+export const HELP = [
+  "<number>           pick that quick reply (numbers beyond the list are sent as text)",
+  "/details <n>       open card n of the latest cards (View details)",
+  "/related <n>       schemes related to card n",
+  "/ticket            submit the open escalation form (reference SGA-TEST)",
+  "/action <json>     dispatch an engine action, e.g. /action {\"type\":\"MORE_RESULTS\"}",
+  "/lang <code>       switch language (" + LANGS.map(x => x.code).join(", ") + ") and re-render the last message",
+  "/trace             toggle a routing line (step, domain, needs, focus, safety) after each turn",
+  "/state             print the dialog state",
+  "/help              this list",
+  "/quit              leave (or Ctrl+D)",
+  "anything else      sent as typed text"
+].join("\n");
+
+const indent = (lines, pad = "    ") => lines.map(x => `${pad}${x}`);
+
+function cardText(card, n, lang) {
+  const focus = card.focus || "overview";
+  const limit = focus === "detail" ? undefined : CARD_LIMIT;
+  const lines = [];
+  if (card.screening?.text) lines.push(card.screening.text);
+  if (card.summary) lines.push(card.summary);
+
+  if (focus === "entry") {
+    if (card.contacts?.hotline) lines.push(`${t(lang, "hotline")}: ${card.contacts.hotline}`);
+    if (card.contacts?.email) lines.push(`${t(lang, "email")}: ${card.contacts.email}`);
+  } else {
+    const block = (key, items, bullet) => {
+      if (items?.length) lines.push(`${t(lang, key)}:`, ...indent(items.slice(0, limit).map((x, i) => bullet(i) + x), "  "));
+    };
+    if (["overview", "eligibility", "detail"].includes(focus)) block("eligibility", card.eligibility, () => "- ");
+    if (["overview", "steps", "detail"].includes(focus)) block("howToApply", card.steps, i => `${i + 1}. `);
+    if (["documents", "detail"].includes(focus)) {
+      if (card.docs?.length) block("docsTitle", card.docs, () => "[ ] ");
+      else lines.push(t(lang, "docsMissing"));
+    }
+  }
+  (card.links || []).forEach(u => lines.push(u));
+  if (focus === "detail") (card.sources || []).forEach(u => lines.push(`${t(lang, "sources")}: ${u}`));
+
+  return [`[${n}] ${card.title}  (${card.id})`, ...indent(lines)].join("\n");
+}
+
+/**
+ * An assistant message as text: text, cards, then numbered quick replies.
+ */
+export function formatMessage(message, lang = "en") {
+  if (!message) return "";
+  const out = [];
+  if (message.text) out.push(message.text);
+  (message.cards || []).forEach((c, i) => out.push(cardText(c, i + 1, lang)));
+  if (message.form === "ticket") out.push(`(${t(lang, "ticketTitle")}: /ticket submits it)`);
+  if (message.plan) {
+    out.push([`${t(lang, "planTitle")}:`, ...indent(message.plan.schemes.map(s => `- ${s.title}`), "  ")].join("\n"));
+  }
+  if (message.quickReplies?.length) out.push(message.quickReplies.map((q, i) => `${i + 1}) ${q.label}`).join("\n"));
+  return out.join("\n\n");
+}
+
+function traceLine(prev, next) {
+  const step = prev.step === next.step ? next.step : `${prev.step} -> ${next.step}`;
+  const needs = next.needs?.length ? next.needs.join(",") : "-";
+  return `· step ${step} | domain ${next.domainId || "-"} | needs ${needs} | focus ${next.focus} | safety ${next.safety?.level}` +
+    (next.ended ? " | ended" : "");
+}
+
+/**
+ * A conversation driven by lines of text. `start()` returns the welcome; `input(line)` and `turn(fixtureTurn)`
+ * return what to print for the turn. `state` is the current dialog state.
+ */
+export function createTextChat({ lang = "en", allowedDomains = null, trace = false } = {}) {
+  let state = initDialogState(lang, { allowedDomains });
+  let last = getInitialAssistantMessage(lang, { allowedDomains }); // quick replies are picked from here
+  let cards = [];                                                     // the latest cards shown, for /details and /related
+  let tracing = trace;
+
+  function play({ state: next, message }) {
+    const out = [];
+    if (tracing) out.push(traceLine(state, next));
+    state = next;
+    if (message) {
+      last = message;
+      if (message.cards?.length) cards = message.cards;
+      out.push(formatMessage(message, state.lang));
+    } else {
+      out.push("(no reply)");
+    }
+    return out.join("\n\n");
+  }
+
+  const act = action => play(handleAction(state, action));
+
+  function cardAt(arg) {
+    const n = Number(arg);
+    return Number.isInteger(n) && n >= 1 ? cards[n - 1] : cards.find(c => c.id === arg);
+  }
+
+  function command(name, arg) {
+    switch (name) {
+      case "details":
+      case "related": {
+        const card = cardAt(arg);
+        if (!card) return `No card "${arg}" (${cards.length ? `1-${cards.length}` : "no cards shown yet"})`;
+        return act({ type: name === "details" ? "SHOW_SCHEME" : "RELATED", schemeId: card.id });
+      }
+      case "ticket":
+        return act({ type: "TICKET_CREATED", ref: TEST_TICKET_REF, queued: false });
+      case "action": {
+        let action;
+        try {
+          action = JSON.parse(arg);
+        } catch (e) {
+          return `Not JSON: ${e.message}`;
+        }
+        return act(action);
+      }
+      case "lang":
+        if (!LANGS.some(x => x.code === arg)) return `Unknown language "${arg}" (${LANGS.map(x => x.code).join(", ")})`;
+        state = { ...state, lang: arg };
+        last = renderMessage(last.desc, arg);
+        return formatMessage(last, arg);
+      case "trace":
+        tracing = !tracing;
+        return `trace ${tracing ? "on" : "off"}`;
+      case "state":
+        return JSON.stringify(state, null, 2);
+      case "help":
+        return HELP;
+      default:
+        return `Unknown command /${name} (/help lists them)`;
+    }
+  }
+
+  return {
+    get state() {
+      return state;
+    },
+
+    start() {
+      return formatMessage(last, state.lang);
+    },
+
+    input(line) {
+      const raw = String(line ?? "").trim();
+      if (raw.startsWith("/")) {
+        const [, name, arg = ""] = raw.match(/^\/(\S+)\s*(.*)$/) || [];
+        return command(name || "", arg.trim());
+      }
+      // a number picks a quick reply; one outside their range is typed text (e.g. an age for the screener)
+      const qr = /^\d+$/.test(raw) ? last.quickReplies?.[Number(raw) - 1] : null;
+      return qr ? act(qr.action) : play(handleUserText(state, raw));
+    },
+
+    // A conversation fixture turn: { user } | { chip: "<quick reply id>" } | { action }
+    turn(fixtureTurn) {
+      if (fixtureTurn.user != null) return play(handleUserText(state, String(fixtureTurn.user)));
+      if (fixtureTurn.chip) {
+        const qr = (last.quickReplies || []).find(q => q.id === fixtureTurn.chip);
+        if (!qr) return `No quick reply "${fixtureTurn.chip}" (offered: ${(last.quickReplies || []).map(q => q.id).join(", ") || "none"})`;
+        return act(qr.action);
+      }
+      if (fixtureTurn.action?.type) return act(fixtureTurn.action);
+      return "A turn needs \"user\", \"chip\" or \"action\"";
+    }
+  };
+}
@@ -0,0 +1,100 @@
+// Text normalisation shared by search and domain detection
+// - SYNONYMS fold free-form phrasing in all four languages onto a few canonical words ("can't pay" -> "financial aid")
+// - STOPWORDS are dropped before matching
+import { tokenizeText } from "./searchIndex.js";
+
+export const STOPWORDS = new Set([
+  "the","a","an","to","for","and","or","of","in","on","at","is","are","am",
+  "i","me","my","we","our","you","your","they","them","this","that",
+  "need","help","please","can","could","want","looking","apply","get",
+  "with","from","about","into","as","it","im","i'm",
+  "free", // "free legal advice": otherwise a typo match for "fee"
+
+  "我","我们","你","你们","需要","想","申请","帮助","怎么","如何","有没有","可以","吗","要","找","想要","一下","现在","这个","那个",
+
+  "saya","kami","kita","anda","awak","perlu","perlukan","mahu","nak","tolong","bantuan","boleh","untuk","dan","atau","yang","di","ke","dari","ini","itu","ada","tak","tidak","macam","mana",
+
+  "நான்","நாங்கள்","நீங்கள்","எனக்கு","என்","வேண்டும்","உதவி","தயவுசெய்து","எப்படி","இது","அது","ஒரு","மற்றும்"
+]);
+
+// Make synonyms generous: this is the key to "free-form" robustness.
+export const SYNONYMS = [
+  // English -> canonical
+  { re: /\b(financial aid|cash help|money help|no money|broke|bills? help|overdue bills?|arrears|low income|debt|can[’']?t pay|cannot pay|unable to pay)\b/i, norm: "financial aid" },
+  { re: /\b(pay(ing)? (the |my |our )?)?(utility bills?|utilities bills?|utilities|electricity bills?|water bills?|power bills?)\b/i, norm: "utilities" },
+  { re: /\b(housing grant|rental support|rent help|no place to stay|eviction|evicted|homeless|shelter|sleeping outside)\b/i, norm: "housing" },
+
+  // IMPORTANT: "health" should map into medical intent
+  { re: /\b((?<!mental )health|healthcare|medical|sick|ill|clinic|doctor|gp|polyclinic|medicine|medication|dental)\b/i, norm: "medical" },
+  { re: /\b(hospital bill|ward|a&e|emergency room|cannot afford hospital|cant afford hospital)\b/i, norm: "hospital bill" },
+  { re: /\b(medical subsidy|clinic subsidy|medifund|chas|medisave|medishield)\b/i, norm: "medical" },
+
+  { re: /\b(senior support|elderly|caregiver|home care|nursing home|(mum|mom|mother|dad|father|parents?|grand(ma|pa|mother|father|parents?)) needs? (daily |home )?care)\b/i, norm: "seniors" },
+  { re: /\b(disability|wheelchair|assistive|pwd|sgenable)\b/i, norm: "disability" },
+  // student care keeps its own words: folded into "education" alone it can't be told apart from childcare
+  { re: /\b(student care|after[- ]school care)\b/i, norm: "student care education" },
+  { re: /\b(school fees|childcare|preschool|kindergarten|kifas|ecda|textbooks?|school uniform)\b/i, norm: "education" },
+  { re: /\b(ex-offenders?|ex-prisoners?|ex-convicts?|after prison|out of prison|released from prison|prison|jail|criminal record)\b/i, norm: "ex-offender" },
+  { re: /\b(jobs?|employment|unemployed|retrenched|laid off|training|upskill|skillsfuture)\b/i, norm: "employment" },
+  { re: /\b(family support|family service centre|baby bonus|newborn|parenting)\b/i, norm: "family" },
+  { re: /\b(mental health|anxiety|depression|counselling|therapy|stress(ed)?|overwhelmed|panic|suicid|someone to talk to|talk to someone)\b/i, norm: "mental health" },
+  { re: /\b(legal aid|legal advice|lawyer|divorce|court|legal)\b/i, norm: "legal" },
+
+  // Chinese -> canonical
+  // specific bills and owed rent first: the rules below fold 账单 / 房租 into the general "financial aid" / "housing"
+  { re: /(医院账单|医疗账单)/, norm: "hospital bill" },
+  { re: /(水电费|水电账单|电费|水费)/, norm: "utilities" },
+  { re: /(欠房租|拖欠房租)/, norm: "rent housing" },
+  { re: /(经济援助|现金补助|没钱|我很穷|生活费|账单|欠费|补贴|发放|付不起|交不起)/, norm: "financial aid" },
+  { re: /(住房|租房|房租|租金补贴|被驱逐|驱逐通知|没地方住|无家可归|收容|露宿)/, norm: "housing" },
+
+  { re: /(健康|生病|看病|医疗|医药费|药|药费|太贵|诊所|医生|住院费|急诊|A&E|社工)/i, norm: "medical" },
+
+  { re: /(长者|老人|照护|护理|照护者|看护|(妈妈|爸爸|父母|母亲|父亲|奶奶|爷爷|外婆|外公)需要(人)?照顾)/, norm: "seniors" },
+  { re: /(残障|残疾|轮椅|辅助器材|助听器)/, norm: "disability" },
+  { re: /(学生托管|课后照护)/, norm: "student care education" },
+  { re: /(学费|幼儿园|托儿|助学金|课本|校服)/, norm: "education" },
+  { re: /(更生人士|出狱|坐牢|刑满释放|前科)/, norm: "ex-offender" },
+  { re: /(工作|就业|失业|被裁|培训|技能|课程补贴)/, norm: "employment" },
+  { re: /婴儿花红/, norm: "baby bonus" },
+  { re: /(家庭支持|家庭服务|新生儿|育儿)/, norm: "family" },
+  { re: /(心理|抑郁|焦虑|压力很大|崩溃|想不开|自杀|辅导|压力大|找人聊聊|找人倾诉)/, norm: "mental health" },
+  { re: /(法律援助|离婚|律师|法庭|法律)/, norm: "legal" },
+
+  // Malay -> canonical
+  { re: /\b(bantuan kewangan|tiada wang|tak ada duit|tak cukup duit|bil tertunggak|tunggakan|hutang|pendapatan rendah|belanja harian)\b/i, norm: "financial aid" },
+  { re: /\b(perumahan|sewa rumah|tunggakan sewa|diusir|tiada tempat tinggal|tak ada tempat tinggal|gelandangan|tempat perlindungan|tidur di luar)\b/i, norm: "housing" },
+  { re: /\b(bil hospital|tak mampu bayar hospital|wad)\b/i, norm: "hospital bill" },
+  { re: /\b(kesihatan mental|tertekan|kemurungan|keresahan|kebimbangan|kaunseling)\b/i, norm: "mental health" },
+  { re: /\b(kesihatan|sakit|klinik|doktor|ubat|perubatan|pergigian)\b/i, norm: "medical" },
+  { re: /\b(warga emas|orang tua|penjaga|penjagaan di rumah)\b/i, norm: "seniors" },
+  { re: /\b(orang kurang upaya|oku|kerusi roda|alat bantuan)\b/i, norm: "disability" },
+  { re: /\b(yuran sekolah|penjagaan kanak-kanak|tadika|prasekolah|penjagaan pelajar|buku teks|pakaian seragam)\b/i, norm: "education" },
+  { re: /\b(pekerjaan|kerja|menganggur|diberhentikan|latihan|kursus)\b/i, norm: "employment" },
+  { re: /\b(sokongan keluarga|pusat khidmat keluarga|bayi baru lahir|keibubapaan)\b/i, norm: "family" },
+  { re: /\b(bantuan guaman|peguam|perceraian|cerai|mahkamah|guaman)\b/i, norm: "legal" },
+
+  // Tamil -> canonical (no \b: word boundaries are ASCII-only in JS regex)
+  { re: /(நிதி உதவி|பணம் இல்லை|கட்டணம் நிலுவை|கடன்|குறைந்த வருமானம்|அன்றாடச் செலவு)/, norm: "financial aid" },
+  { re: /(வீட்டுவசதி|வாடகை|வெளியேற்ற|தங்க இடம் இல்லை|வீடற்ற|தங்குமிடம்)/, norm: "housing" },
+  { re: /(மருத்துவமனைக் கட்டணம்|மருத்துவமனை கட்டணம்)/, norm: "hospital bill" },
+  { re: /(மனநலம்|மன அழுத்தம்|மனச்சோர்வு|பதற்றம்|ஆலோசனை)/, norm: "mental health" },
+  { re: /(சுகாதாரம்|உடல்நலம்|நோய்|மருந்தகம்|மருத்துவர்|மருந்து|மருத்துவ)/, norm: "medical" },
+  { re: /(மூத்தோர்|முதியவர்|பராமரிப்பாளர்)/, norm: "seniors" },
+  { re: /(மாற்றுத்திறன்|ஊனம்|சக்கர நாற்காலி|உதவிக் கருவி)/, norm: "disability" },
+  { re: /(பள்ளிக் கட்டணம்|பாலர் பள்ளி|குழந்தைப் பராமரிப்பு|மாணவர் பராமரிப்பு|பாடநூல்)/, norm: "education" },
+  { re: /(வேலைவாய்ப்பு|வேலை|வேலையின்மை|பயிற்சி)/, norm: "employment" },
+  { re: /(குடும்ப ஆதரவு|குடும்பச் சேவை|புதிதாகப் பிறந்த|பெற்றோர்)/, norm: "family" },
+  { re: /(சட்ட உதவி|வழக்கறிஞர்|விவாகரத்து|நீதிமன்றம்|சட்ட)/, norm: "legal" }
+];
+
+export function normalizeText(raw = "") {
+  let t = raw.trim();
+  // pad with spaces: in Chinese text the canonical words would otherwise run into the next characters
+  for (const s of SYNONYMS) t = t.replace(s.re, ` ${s.norm} `);
+  return t.replace(/\s+/g, " ").trim();
+}
+
+export function tokenize(raw = "") {
+  return tokenizeText(normalizeText(raw), { stopwords: STOPWORDS });
+}
@@ -0,0 +1,62 @@
+// Embeddable widget (src/widgetMain.jsx): the <sg-assistant> element's attributes, and the events it sends to the host page
+// - Attributes: lang="zh", domain="seniors" (topic to start in), domains="seniors,healthcare" (the only topics offered),
+//   open (start with the chat open)
+// - Events go to the host page with window.postMessage as { source: "sg-assistant", widgetId, type, ... }:
+//     ESCALATE       { stage: "opened" | "ticket_created" | "ticket_queued" | "urgent", domainId, ticketRef? }
+//                    ("urgent": the user asked for urgent help and got the hotlines; domainId is the topic they left)
+//     SCHEME_VIEWED  { schemeId, domainId }
+//     END            { domainId }
+//   Nothing the user typed is sent, only ids the host page can look up itself (domains, schemes, ticket refs).
+import { DOMAIN } from "./domains";
+import { LANGS } from "./languages";
+
+export const WIDGET_TAG = "sg-assistant";
+export const HOST_EVENT_SOURCE = "sg-assistant";
+
+const DOMAIN_IDS = DOMAIN.map(d => d.id);
+
+/**
+ * Widget options from the element's attributes (`get(name)` returns the attribute or null).
+ * Unknown languages and domains are ignored rather than breaking the host page.
+ */
+export function widgetOptions(get) {
+  const lang = LANGS.some(x => x.code === get("lang")) ? get("lang") : "en";
+
+  const listed = String(get("domains") || "").split(",").map(x => x.trim()).filter(id => DOMAIN_IDS.includes(id));
+  const allowedDomains = listed.length ? [...new Set(listed)] : null;
+
+  const wanted = get("domain");
+  const domain = DOMAIN_IDS.includes(wanted) && (!allowedDomains || allowedDomains.includes(wanted)) ? wanted : null;
+
+  const open = get("open");
+  return { lang, domain, allowedDomains, open: open !== null && open !== undefined && open !== "false" };
+}
+
+/**
+ * Host page events for one turn, from the dialog state before / after it and what the user did
+ * (same arguments as analytics turnEvents). `turn.action` may also be the TICKET_CREATED action.
+ */
+export function hostEvents(prev, next, message, turn = {}) {
+  const events = [];
+  const action = turn.action || {};
+  const domainId = next.domainId || null;
+
+  if (message?.form === "ticket") events.push({ type: "ESCALATE", stage: "opened", domainId });
+  if (action.type === "TICKET_CREATED") {
+    events.push({ type: "ESCALATE", stage: action.queued ? "ticket_queued" : "ticket_created", domainId, ticketRef: action.ref });
+  }
+  if (action.type === "URGENT") events.push({ type: "ESCALATE", stage: "urgent", domainId: prev.domainId || null });
+
+  if (action.type === "SHOW_SCHEME" && message) events.push({ type: "SCHEME_VIEWED", schemeId: action.schemeId, domainId });
+
+  if (next.ended && !prev.ended) events.push({ type: "END", domainId: prev.domainId || null });
+
+  return events;
+}
+
+/**
+ * Send one event to the host page. The widget runs in the host's own window, so only that window receives it.
+ */
+export function postHostEvent(event, { widgetId = null, target = globalThis.window } = {}) {
+  target?.postMessage({ source: HOST_EVENT_SOURCE, widgetId, ...event }, "*");
+}
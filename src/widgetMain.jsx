@@ -0,0 +1,43 @@
+// Entry of the embeddable widget (`npm run build:widget`, output in dist-widget/): partner agencies add
+//   <script type="module" src="https://<host>/sg-assistant.js"></script>
+//   <sg-assistant lang="zh" domain="seniors" domains="seniors,healthcare,financial"></sg-assistant>
+// and get a floating launcher that opens the assistant. Attributes and host page events: see utils/widget.
+// Attributes are read once, when the element is added to the page.
+// The assistant renders in the element's shadow root, so its styles and the page's don't mix.
+import React from "react";
+import ReactDOM from "react-dom/client";
+import Widget from "./Widget.jsx";
+import appCss from "./App.css?inline";
+import widgetCss from "./Widget.css?inline";
+import { configureNluProvider } from "./utils/nlu";
+import { WIDGET_TAG, widgetOptions, postHostEvent } from "./utils/widget";
+
+configureNluProvider();
+
+class AssistantElement extends HTMLElement {
+    connectedCallback() {
+        if (this.reactRoot) return;
+
+        const shadow = this.shadowRoot || this.attachShadow({ mode: "open" });
+        const style = document.createElement("style");
+        style.textContent = `${appCss}\n${widgetCss}`;
+        const mount = document.createElement("div");
+        shadow.replaceChildren(style, mount);
+
+        const options = widgetOptions((name) => this.getAttribute(name));
+        const widgetId = this.id || null;
+        this.reactRoot = ReactDOM.createRoot(mount);
+        this.reactRoot.render(
+            <React.StrictMode>
+                <Widget {...options} onHostEvent={(event) => postHostEvent(event, { widgetId })} />
+            </React.StrictMode>
+        );
+    }
+
+    disconnectedCallback() {
+        this.reactRoot?.unmount();
+        this.reactRoot = null;
+    }
+}
+
+if (!customElements.get(WIDGET_TAG)) customElements.define(WIDGET_TAG, AssistantElement);
@@ -0,0 +1,44 @@
+// Usage events: what a turn records, and staff CSV exports where user-typed queries can't turn into spreadsheet formulas
+import { describe, it, expect } from "vitest";
+
+import { eventsToCsv, unmetNeedsToCsv, turnEvents, summarizeEvents } from "../src/utils/analytics";
+import { initDialogState, handleAction } from "../src/utils/dialogEngine";
+
+describe("turnEvents", () => {
+  const state = { ...initDialogState("en"), step: "refine_and_show", domainId: "housing", needs: ["housing"] };
+
+  it("records both escalation routes: the ticket form and urgent help", () => {
+    const escalate = handleAction(state, { type: "ESCALATE" });
+    const urgent = handleAction(state, { type: "URGENT" });
+    const events = [
+      ...turnEvents(state, escalate.state, escalate.message, { action: { type: "ESCALATE" } }),
+      ...turnEvents(state, urgent.state, urgent.message, { action: { type: "URGENT" } })
+    ].filter(e => e.type === "escalation");
+
+    expect(events).toEqual([
+      { type: "escalation", stage: "opened", domainId: "housing" },
+      { type: "escalation", stage: "urgent", domainId: "housing" }
+    ]);
+    expect(summarizeEvents(events).escalations.map(x => x.label).sort()).toEqual(["opened", "urgent"]);
+  });
+});
+
+describe("CSV exports", () => {
+  it("neutralises cells that a spreadsheet would run as a formula", () => {
+    const csv = unmetNeedsToCsv([
+      { query: "=HYPERLINK(\"http://x\",\"y\")", domainId: null, match: "none", count: 2, lastDay: "2026-10-01" },
+      { query: "+65 help", domainId: "housing", match: "none", count: 1, lastDay: "2026-10-02" },
+      { query: "-1 rent", domainId: null, match: "fallback", count: 1, lastDay: "2026-10-02" },
+      { query: "@SUM(A1)", domainId: null, match: "none", count: 1, lastDay: "2026-10-03" },
+      { query: "rent arrears", domainId: "housing", match: "none", count: 3, lastDay: "2026-10-03" }
+    ]);
+    expect(csv.split("\n").slice(1).map(row => row.split(",")[0])).toEqual([
+      "\"'=HYPERLINK(\"\"http://x\"\"", "'+65 help", "'-1 rent", "'@SUM(A1)", "rent arrears"
+    ]);
+  });
+
+  it("quotes cells with commas, quotes and line breaks, CR included", () => {
+    const csv = eventsToCsv([{ day: "2026-10-01", type: "zero_results", query: "bills\rrent, \"urgent\"" }]);
+    expect(csv.split("\n")[1].endsWith(",\"bills\rrent, \"\"urgent\"\"\"")).toBe(true);
+  });
+});
@@ -0,0 +1,99 @@
+// Runs a conversation fixture through the dialog engine (tests/fixtures/conversations/*.yaml|json)
+//
+// A fixture is a script of turns, each with what the assistant should have done afterwards:
+//   name: housing -> eligibility -> rental
+//   lang: en                          # optional, default en
+//   turns:
+//     - user: I need help with housing                  # typed message
+//       expect: { step: choose_focus, domainId: housing }
+//     - chip: eligibility                               # click a quick reply of the previous message, by id
+//       expect: { quickReplies: [no_place, rental, temp, back_topics, restart, end] }
+//     - action: { type: MORE_RESULTS }                  # dispatch an engine action directly
+//       expect: { cardsInclude: [transitional_shelter] }
+//
+// Expectations (all optional):
+//   step, domainId, needs, focus, ended, safetyLevel   dialog state after the turn
+//   text                                               message text keys, in order (e.g. [msg.resultsHigh])
+//   cards / quickReplies                               exact ids, in order
+//   cardsInclude / quickRepliesInclude                 ids that must be present
+//   noMessage: true                                    the turn produced no assistant message
+import fs from "node:fs";
+import path from "node:path";
+import YAML from "yaml";
+
+import { initDialogState, handleUserText, handleAction, getInitialAssistantMessage } from "../src/utils/dialogEngine";
+
+const EXPECT_KEYS = [
+  "step", "domainId", "needs", "focus", "ended", "safetyLevel",
+  "text", "cards", "cardsInclude", "quickReplies", "quickRepliesInclude", "noMessage"
+];
+
+export function loadFixtures(dir) {
+  return fs.readdirSync(dir)
+      .filter(f => /\.(ya?ml|json)$/.test(f))
+      .sort()
+      .map(file => {
+        const raw = fs.readFileSync(path.join(dir, file), "utf8");
+        const fixture = file.endsWith(".json") ? JSON.parse(raw) : YAML.parse(raw);
+        return { file, ...fixture };
+      });
+}
+
+/**
+ * What a turn left behind, in the terms fixtures use.
+ */
+export function observe(state, message) {
+  return {
+    step: state.step,
+    domainId: state.domainId,
+    needs: state.needs,
+    focus: state.focus,
+    ended: state.ended,
+    safetyLevel: state.safety?.level,
+    text: (message?.desc?.text || []).map(p => p.key),
+    cards: (message?.cards || []).map(c => c.id),
+    quickReplies: (message?.quickReplies || []).map(q => q.id),
+    noMessage: !message
+  };
+}
+
+function turnLabel(turn, i) {
+  if (turn.user != null) return `#${i + 1} user: ${turn.user}`;
+  if (turn.chip) return `#${i + 1} chip: ${turn.chip}`;
+  return `#${i + 1} action: ${JSON.stringify(turn.action)}`;
+}
+
+/**
+ * Play the fixture's turns in order. Returns one step per turn: { label, turn, observed }.
+ * Throws if a turn can't be played (unknown chip, malformed turn, unknown expectation).
+ */
+export function runConversation(fixture) {
+  let state = initDialogState(fixture.lang || "en");
+  let last = getInitialAssistantMessage(state.lang);
+
+  return (fixture.turns || []).map((turn, i) => {
+    const label = turnLabel(turn, i);
+    const unknown = Object.keys(turn.expect || {}).filter(k => !EXPECT_KEYS.includes(k));
+    if (unknown.length) throw new Error(`${label}: unknown expectation(s) ${unknown.join(", ")}`);
+
+    let result;
+    if (turn.user != null) {
+      result = handleUserText(state, String(turn.user));
+    } else if (turn.chip) {
+      const qr = (last?.quickReplies || []).find(q => q.id === turn.chip);
+      if (!qr) {
+        const offered = (last?.quickReplies || []).map(q => q.id).join(", ") || "none";
+        throw new Error(`${label}: no quick reply "${turn.chip}" (offered: ${offered})`);
+      }
+      result = handleAction(state, qr.action);
+    } else if (turn.action?.type) {
+      result = handleAction(state, turn.action);
+    } else {
+      throw new Error(`${label}: a turn needs "user", "chip" or "action"`);
+    }
+
+    state = result.state;
+    if (result.message) last = result.message;
+    return { label, turn, observed: observe(state, result.message) };
+  });
+}
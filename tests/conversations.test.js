@@ -0,0 +1,32 @@
+// Conversation fixtures: every file in fixtures/conversations is played through the engine, turn by turn
+import path from "node:path";
+import { describe, it, expect } from "vitest";
+
+import { loadFixtures, runConversation } from "./conversationRunner";
+
+const FIXTURE_DIR = path.join(import.meta.dirname, "fixtures", "conversations");
+
+const EXACT = ["step", "domainId", "needs", "focus", "ended", "safetyLevel", "text", "cards", "quickReplies", "noMessage"];
+const INCLUDES = { cardsInclude: "cards", quickRepliesInclude: "quickReplies" };
+
+describe("conversation fixtures", () => {
+  const fixtures = loadFixtures(FIXTURE_DIR);
+
+  it("finds fixtures", () => {
+    expect(fixtures.length).toBeGreaterThan(0);
+  });
+
+  for (const fixture of fixtures) {
+    it(`${fixture.file}: ${fixture.name}`, () => {
+      for (const { label, turn, observed } of runConversation(fixture)) {
+        const want = turn.expect || {};
+        for (const key of EXACT) {
+          if (key in want) expect(observed[key], `${label} -> ${key}`).toEqual(want[key]);
+        }
+        for (const [key, field] of Object.entries(INCLUDES)) {
+          if (key in want) expect(observed[field], `${label} -> ${key}`).toEqual(expect.arrayContaining(want[key]));
+        }
+      }
+    });
+  }
+});
@@ -0,0 +1,115 @@
+// Dialog flow definitions: the bundled flow checks out, broken flows are caught, and a swapped flow changes the conversation
+import { describe, it, expect, afterEach } from "vitest";
+
+import {
+  checkDialogFlow, setDialogFlow, initDialogState, handleUserText, handleAction, getInitialAssistantMessage
+} from "../src/utils/dialogEngine";
+import { DOMAIN } from "../src/utils/domains";
+import flow from "../src/data/dialog_flow.json" with { type: "json" };
+
+const copy = () => structuredClone(flow);
+const paths = issues => issues.map(x => x.path);
+
+afterEach(() => setDialogFlow(null));
+
+describe("bundled dialog flow", () => {
+  it("has no issues", () => {
+    expect(checkDialogFlow(flow)).toEqual([]);
+  });
+
+  it("has an empathy opener and preset chips for every domain", () => {
+    for (const d of DOMAIN) {
+      expect(flow.domains[d.id]?.empathy?.en, d.id).toBeTruthy();
+      expect(flow.domains[d.id]?.presets?.length, d.id).toBeGreaterThan(0);
+    }
+  });
+});
+
+describe("checkDialogFlow", () => {
+  it("reports references to things that don't exist", () => {
+    const bad = copy();
+    bad.start = "nowhere";
+    bad.on.BACK_TOPICS.to = "lobby";
+    bad.on.END.if = "isFriday";
+    bad.on.ADD_QUERY.do = ["shuffle"];
+    bad.on.SHOW_SCHEME.show = "carousel";
+    bad.on.ESCALATE.say.chips = ["nav", "dance"];
+    bad.on.SET_DOMAIN.say.text[0].vars.domain = "@mood";
+    bad.on.SET_DOMAIN.set.domainId = "$session.domainId";
+
+    expect(paths(checkDialogFlow(bad)).sort()).toEqual([
+      "$.on.ADD_QUERY.do",
+      "$.on.BACK_TOPICS.to",
+      "$.on.END.if",
+      "$.on.ESCALATE.say.chips[1]",
+      "$.on.SET_DOMAIN.say.text[0].vars.domain",
+      "$.on.SET_DOMAIN.set.domainId",
+      "$.on.SHOW_SCHEME.show",
+      "$.start"
+    ]);
+  });
+
+  it("reports malformed transitions and domain content", () => {
+    const bad = copy();
+    bad.on.END.reply = "bye";
+    bad.on.RELATED = { show: "related", say: { text: ["msg.end"] } };
+    bad.on.set_domain = {};
+    bad.domains.housing.presets.push({ id: "rental", label: { zh: "租房" }, query: { en: "rent" }, action: { type: "URGENT" } });
+    bad.domains.pets = { empathy: { en: "Pets matter too." } };
+
+    const found = paths(checkDialogFlow(bad));
+    expect(found).toEqual(expect.arrayContaining([
+      "$.on.END.reply",
+      "$.on.RELATED",
+      "$.on.set_domain",
+      "$.domains.housing.presets[3]",
+      "$.domains.housing.presets[3].label",
+      "$.domains.pets"
+    ]));
+  });
+});
+
+describe("setDialogFlow", () => {
+  it("lets the flow change prompts, chips and transitions without code changes", () => {
+    const custom = copy();
+    custom.welcome = { text: [{ text: { en: "Hello from the flow", zh: "流程问候" } }], chips: ["topics"] };
+    custom.domains.housing.presets.push({ id: "utilities", label: { en: "Utility bills" }, query: { en: "utilities bills" } });
+    // picking a topic goes straight to the clarifier, skipping choose_focus
+    custom.on.SET_DOMAIN.to = "refine_and_show";
+    custom.on.SET_DOMAIN.say = custom.on.SET_FOCUS.say;
+    setDialogFlow(custom);
+
+    expect(getInitialAssistantMessage("zh").text).toBe("流程问候");
+    expect(getInitialAssistantMessage("ms").text).toBe("Hello from the flow");
+
+    const picked = handleAction(initDialogState("en"), { type: "SET_DOMAIN", domainId: "housing" });
+    expect(picked.state.step).toBe("refine_and_show");
+    const chip = picked.message.quickReplies.find(q => q.id === "utilities");
+    expect(chip).toMatchObject({ label: "Utility bills", action: { type: "ADD_QUERY", text: "utilities bills" } });
+  });
+
+  it("refuses a broken flow and keeps the current one", () => {
+    const bad = copy();
+    bad.on.RESTART.show = "missing_view";
+    expect(() => setDialogFlow(bad)).toThrow(/missing_view/);
+    expect(handleAction(initDialogState("en"), { type: "RESTART" }).message.desc.text).toEqual([{ key: "msg.welcome" }]);
+  });
+});
+
+describe("events", () => {
+  it("doesn't accept text events as actions", () => {
+    const state = initDialogState("en");
+    expect(handleAction(state, { type: "TEXT" })).toEqual({ state, message: null });
+    expect(handleAction(state, { type: "REVIVE" })).toEqual({ state, message: null });
+  });
+
+  it("renders flow text in the conversation language, with English as the fallback", () => {
+    const state = { ...initDialogState("zh"), step: "choose_focus", domainId: "healthcare", needs: ["healthcare"] };
+    const zh = handleAction(state, { type: "SET_FOCUS", focus: "eligibility" }).message;
+    expect(zh.text).toContain(flow.domains.healthcare.clarifier.zh);
+    expect(zh.quickReplies[0].label).toBe(flow.domains.healthcare.presets[0].label.zh);
+
+    const typed = handleUserText(initDialogState("ta"), "I need help with housing").message;
+    expect(typed.text).toContain(flow.domains.housing.empathy.ta);
+  });
+});
@@ -0,0 +1,136 @@
+// Eligibility pre-screening: rule operators, skipped answers, labels and the screener's question order
+import { describe, it, expect } from "vitest";
+
+import { SCREEN_QUESTIONS, checkRule, screenScheme, screenSchemes, hasProfile } from "../src/utils/eligibility";
+import { initDialogState, handleAction, handleUserText } from "../src/utils/dialogEngine";
+
+const FIELDS = SCREEN_QUESTIONS.map(q => q.field);
+
+describe("checkRule", () => {
+  it.each([
+    [{ field: "citizenship", in: ["SC", "PR"] }, { citizenship: "PR" }, "pass"],
+    [{ field: "citizenship", in: ["SC", "PR"] }, { citizenship: "other" }, "fail"],
+    [{ field: "housing", not_in: ["private"] }, { housing: "hdb_3_4" }, "pass"],
+    [{ field: "housing", not_in: ["private"] }, { housing: "private" }, "fail"],
+    [{ field: "age", min: 65 }, { age: [65, 74] }, "pass"],
+    [{ field: "age", min: 65 }, { age: [30, 54] }, "fail"],
+    [{ field: "age", min: 60 }, { age: [55, 64] }, "unknown"],
+    [{ field: "age", min: 65 }, { age: [75, null] }, "pass"],
+    [{ field: "pc_income", max: 1200 }, { pc_income: [801, 1200] }, "pass"],
+    [{ field: "pc_income", max: 1200 }, { pc_income: [3001, null] }, "fail"],
+    [{ field: "pc_income", max: 1000 }, { pc_income: [801, 1200] }, "unknown"],
+    [{ field: "household_size", min: 2, max: 4 }, { household_size: [3, 3] }, "pass"],
+    [{ field: "household_size", min: 2, max: 4 }, { household_size: [5, null] }, "fail"],
+    [{ field: "age", min: 65 }, { age: 67 }, "pass"],
+    [{ field: "age", in: [65] }, { age: [65, 74] }, "unknown"]
+  ])("%j with %j -> %s", (rule, profile, expected) => {
+    expect(checkRule(rule, profile)).toBe(expected);
+  });
+
+  it("treats a missing or skipped answer as unknown", () => {
+    const rule = { field: "citizenship", in: ["SC"] };
+    expect(checkRule(rule, {})).toBe("unknown");
+    expect(checkRule(rule, { citizenship: null })).toBe("unknown");
+    expect(checkRule(rule)).toBe("unknown");
+  });
+});
+
+describe("screenScheme", () => {
+  const scheme = {
+    eligibility_rules: [
+      { field: "citizenship", in: ["SC"] },
+      { field: "pc_income", max: 800, soft: true }
+    ]
+  };
+
+  it("labels by the hardest outcome: a hard fail is unlikely, a soft fail or a gap is possible", () => {
+    expect(screenScheme(scheme, { citizenship: "SC", pc_income: [0, 800] }).label).toBe("likely");
+    expect(screenScheme(scheme, { citizenship: "PR", pc_income: [0, 800] }).label).toBe("unlikely");
+    expect(screenScheme(scheme, { citizenship: "SC", pc_income: [3001, null] }).label).toBe("possible");
+    expect(screenScheme(scheme, { pc_income: [0, 800] }).label).toBe("possible");
+  });
+
+  it("never rules a scheme out on a skipped answer", () => {
+    const { label, checks } = screenScheme(scheme, { citizenship: null, pc_income: null });
+    expect(label).toBe("possible");
+    expect(checks).toEqual([
+      { field: "citizenship", soft: false, result: "unknown" },
+      { field: "pc_income", soft: true, result: "unknown" }
+    ]);
+  });
+
+  it("can't screen a scheme without rules; an empty rule list is open access", () => {
+    expect(screenScheme({}, { citizenship: "SC" })).toEqual({ label: "possible", checks: [] });
+    expect(screenScheme({ eligibility_rules: [] }, {})).toEqual({ label: "likely", checks: [] });
+  });
+});
+
+describe("screenSchemes", () => {
+  it("sorts likely, possible, unlikely and keeps the order within a label", () => {
+    const schemes = [
+      { id: "a", eligibility_rules: [{ field: "citizenship", in: ["PR"] }] },
+      { id: "b" },
+      { id: "c", eligibility_rules: [] },
+      { id: "d", eligibility_rules: [{ field: "age", min: 65 }] },
+      { id: "e", eligibility_rules: [{ field: "citizenship", in: ["SC"] }] }
+    ];
+    const out = screenSchemes(schemes, { citizenship: "SC" });
+    expect(out.map(x => [x.s.id, x.label])).toEqual([
+      ["c", "likely"], ["e", "likely"], ["b", "possible"], ["d", "possible"], ["a", "unlikely"]
+    ]);
+  });
+});
+
+describe("hasProfile", () => {
+  it("needs at least one answered question", () => {
+    expect(hasProfile(null)).toBe(false);
+    expect(hasProfile({})).toBe(false);
+    expect(hasProfile({ citizenship: null, age: undefined })).toBe(false);
+    expect(hasProfile({ citizenship: null, age: [65, 74] })).toBe(true);
+  });
+});
+
+describe("screener", () => {
+  const answer = (state, field, value) => handleAction(state, { type: "SCREEN_ANSWER", field, value }).state;
+  const asked = state => FIELDS[state.screenIndex];
+
+  it("asks every question in order and records a skip as unanswered", () => {
+    let { state } = handleAction(initDialogState("en"), { type: "SCREEN_START" });
+    expect(state.step).toBe("screening");
+    expect(asked(state)).toBe("citizenship");
+
+    state = answer(state, "citizenship", null);
+    expect(state.profile.citizenship).toBeNull();
+    expect(asked(state)).toBe("age");
+
+    state = answer(state, "age", [65, 74]);
+    expect(asked(state)).toBe("household_size");
+  });
+
+  it("skips questions already answered in the conversation", () => {
+    let { state } = handleUserText(initDialogState("en"), "I'm a PR, 67 years old, living alone in a 2-room HDB flat");
+    ({ state } = handleAction(state, { type: "SCREEN_START" }));
+    expect(state.profile).toMatchObject({ citizenship: "PR", age: [67, 67], household_size: [1, 1], housing: "hdb_1_2" });
+    expect(asked(state)).toBe("pc_income");
+
+    state = answer(state, "pc_income", [0, 800]);
+    expect(asked(state)).toBe("employment");
+  });
+
+  it("keeps an explicit skip when a later answer mentions the same fact", () => {
+    let { state } = handleAction(initDialogState("en"), { type: "SCREEN_START" });
+    state = answer(state, "citizenship", null);
+    ({ state } = handleUserText(state, "I'm a Singapore citizen"));
+    expect(state.profile.citizenship).toBeNull();
+  });
+
+  it("finishes after the last question", () => {
+    let { state } = handleAction(initDialogState("en"), { type: "SCREEN_START" });
+    FIELDS.forEach(field => {
+      state = answer(state, field, null);
+    });
+    expect(state.screenIndex).toBeNull();
+    expect(state.step).not.toBe("screening");
+    expect(hasProfile(state.profile)).toBe(false);
+  });
+});
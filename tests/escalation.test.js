@@ -0,0 +1,44 @@
+// Ticket storage on the device: the local queue survives a corrupt value, and the offline outbox sends each ticket once
+import { describe, it, expect } from "vitest";
+
+import { createLocalStorageTransport, createQueuedTransport, flushOutbox, pendingTickets } from "../src/utils/escalation";
+
+function memoryStorage() {
+  const map = new Map();
+  return {
+    getItem: k => (map.has(k) ? map.get(k) : null),
+    setItem: (k, v) => map.set(k, String(v)),
+    removeItem: k => map.delete(k)
+  };
+}
+
+describe("flushOutbox", () => {
+  it("sends each queued ticket once, even when a second flush starts meanwhile", async () => {
+    const storage = memoryStorage();
+    const offline = createQueuedTransport({ kind: "test", send: async () => ({}) }, { storage, online: () => false });
+    await offline.send({ ref: "SGA-1" });
+    await offline.send({ ref: "SGA-2" });
+
+    const delivered = [];
+    const server = { send: async ticket => (delivered.push(ticket.ref), { ref: `${ticket.ref}-S` }) };
+    const [first, second] = await Promise.all([flushOutbox(server, storage), flushOutbox(server, storage)]);
+
+    expect(delivered).toEqual(["SGA-1", "SGA-2"]);
+    expect(first.map(x => x.ref)).toEqual(["SGA-1-S", "SGA-2-S"]);
+    expect(second).toEqual([]);
+    expect(pendingTickets(storage)).toEqual([]);
+  });
+});
+
+describe("createLocalStorageTransport", () => {
+  it("starts a fresh queue over a corrupt stored value", async () => {
+    for (const corrupt of ["{not json", "{\"ref\":\"SGA-0\"}"]) {
+      const storage = memoryStorage();
+      storage.setItem("sga.ticketQueue", corrupt);
+      const transport = createLocalStorageTransport(storage);
+      expect(transport.list()).toEqual([]);
+      await expect(transport.send({ ref: "SGA-1" })).resolves.toEqual({ ref: "SGA-1" });
+      expect(transport.list()).toEqual([{ ref: "SGA-1" }]);
+    }
+  });
+});
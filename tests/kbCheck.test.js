@@ -0,0 +1,130 @@
+// KB checks: the schema validator's keywords and the content rules, with the paths they report
+import { describe, it, expect } from "vitest";
+
+import kbSchema from "../src/data/sg_services_kb.schema.json" with { type: "json" };
+import bundledKb from "../src/data/sg_services_kb.json" with { type: "json" };
+import { checkKb, validateSchema, describePath } from "../src/utils/kbCheck";
+import { DOMAIN } from "../src/utils/domains";
+
+const CATEGORIES = ["financial_assistance"];
+const LINK = "https://www.msf.gov.sg/what-we-do/comcare";
+
+function scheme(id, extra = {}) {
+  return {
+    id,
+    category: "financial_assistance",
+    name_en: "ComCare",
+    name_zh: "社区关怀",
+    summary_en: "Financial help for low-income households.",
+    summary_zh: "为低收入家庭提供经济援助。",
+    keywords_en: ["financial aid"],
+    keywords_zh: ["经济援助"],
+    eligibility_en: ["Singapore Citizen or PR."],
+    eligibility_zh: ["新加坡公民或永久居民。"],
+    how_to_apply_en: ["Visit an SSO."],
+    how_to_apply_zh: ["前往社会服务办事处。"],
+    official_links: [LINK],
+    sources: [LINK],
+    ...extra
+  };
+}
+
+function kb({ schemes = [scheme("comcare_smta")], ...rest } = {}) {
+  return {
+    meta: { country: "Singapore", last_updated: "2026-01-28" },
+    entry_points: [{ id: "sso", name_en: "Social Service Office", name_zh: "社会服务办事处", links: [LINK], sources: [LINK] }],
+    schemes,
+    ...rest
+  };
+}
+
+const check = data => checkKb(data, { schema: kbSchema, categories: CATEGORIES });
+const errorsAt = data => check(data).errors.map(e => [e.path, e.message]);
+
+describe("checkKb", () => {
+  it("accepts a valid KB", () => {
+    expect(check(kb())).toEqual({ issues: [], errors: [], warnings: [] });
+  });
+
+  it("accepts the bundled KB", () => {
+    expect(checkKb(bundledKb, { schema: kbSchema, categories: DOMAIN.map(d => d.cat) }).errors).toEqual([]);
+  });
+
+  it("rejects a field the schema doesn't define", () => {
+    expect(errorsAt(kb({ schemes: [scheme("comcare_smta", { name_fr: "ComCare" })] }))).toEqual([
+      ["$.schemes[0].name_fr", "unknown field"]
+    ]);
+    expect(errorsAt({ ...kb(), extra: true })).toEqual([["$.extra", "unknown field"]]);
+  });
+
+  it("only allows http(s) links", () => {
+    const bad = "javascript:alert(1)";
+    expect(errorsAt(kb({ schemes: [scheme("comcare_smta", { official_links: [bad], sources: [bad] })] }))).toEqual([
+      ["$.schemes[0].official_links[0]", "must be an http(s) URL"],
+      ["$.schemes[0].sources[0]", "must be an http(s) URL"]
+    ]);
+  });
+
+  it("reports a missing required field on the object that lacks it", () => {
+    const { summary_zh, ...rest } = scheme("comcare_smta");
+    expect(summary_zh).toBeTruthy();
+    expect(errorsAt(kb({ schemes: [rest] }))).toEqual([["$.schemes[0]", 'missing required field "summary_zh"']]);
+  });
+
+  it("points at the second of two schemes with the same id", () => {
+    expect(errorsAt(kb({ schemes: [scheme("comcare_smta"), scheme("comcare_ia"), scheme("comcare_smta")] }))).toEqual([
+      ["$.schemes[2].id", 'duplicate id "comcare_smta" (first at $.schemes[0])']
+    ]);
+  });
+
+  it("checks links against sources, related ids and categories", () => {
+    const other = "https://www.supportgowhere.gov.sg/";
+    const data = kb({
+      schemes: [
+        scheme("comcare_smta", { official_links: [LINK, other], related: ["comcare_smta", "nope"] }),
+        scheme("baby_bonus", { category: "family" })
+      ]
+    });
+    expect(errorsAt(data)).toEqual([
+      ["$.schemes[0].official_links[1]", `link is not listed in sources: ${other}`],
+      ["$.schemes[0].related[0]", "a scheme cannot be related to itself"],
+      ["$.schemes[0].related[1]", 'unknown scheme id "nope"'],
+      ["$.schemes[1].category", 'orphan category "family": no topic (DOMAIN.cat) covers it']
+    ]);
+  });
+
+  it("warns (but doesn't fail) on missing translations and misaligned step lists", () => {
+    const { errors, warnings } = check(kb({
+      schemes: [scheme("comcare_smta", { how_to_apply_zh: ["前往办事处。", "等待评估。"], summary_ms: "Bantuan." })]
+    }));
+    expect(errors).toEqual([]);
+    expect(warnings.map(w => w.path)).toEqual(["$.schemes[0].how_to_apply_zh"]);
+  });
+
+  it("reports a malformed KB instead of throwing", () => {
+    expect(errorsAt(kb({ schemes: "none" }))).toEqual([["$.schemes", "expected array, got string"]]);
+    expect(errorsAt(kb({ schemes: [null] }))).toEqual([["$.schemes[0]", "expected object, got null"]]);
+    expect(errorsAt(null)).toEqual([["$", "expected object, got null"]]);
+  });
+});
+
+describe("validateSchema", () => {
+  it("treats whitespace-only text as empty", () => {
+    expect(validateSchema("  ", { type: "string", minLength: 1 })).toEqual([{ path: "$", message: "must not be empty" }]);
+  });
+
+  it("flags repeated items in a unique list", () => {
+    expect(validateSchema(["a", "b", "a"], { type: "array", uniqueItems: true })).toEqual([
+      { path: "$", message: 'duplicate item "a"' }
+    ]);
+  });
+});
+
+describe("describePath", () => {
+  it("names the scheme an issue belongs to", () => {
+    const data = kb();
+    expect(describePath(data, "$.schemes[0].name_zh")).toBe("schemes[0] (comcare_smta).name_zh");
+    expect(describePath(data, "$.meta.last_updated")).toBe("meta.last_updated");
+    expect(describePath(data, "$")).toBe("(root)");
+  });
+});
@@ -0,0 +1,156 @@
+// Runtime KB loading: conditional requests, the device cache, validation and "newest wins", and staleness
+import { describe, it, expect } from "vitest";
+
+import bundledKb from "../src/data/sg_services_kb.json" with { type: "json" };
+import { initialKnowledgeBase, refreshKnowledgeBase, isNotOlder, kbStaleness } from "../src/utils/kbLoader";
+import { STORAGE_KEYS } from "../src/utils/storage";
+
+const URL = "https://kb.example.org/sg_services_kb.json";
+const NOW = Date.parse("2026-03-02T08:00:00Z");
+
+function memoryStorage(entries = {}) {
+  const map = new Map(Object.entries(entries));
+  return {
+    getItem: k => (map.has(k) ? map.get(k) : null),
+    setItem: (k, v) => map.set(k, String(v)),
+    removeItem: k => map.delete(k)
+  };
+}
+
+const withMeta = meta => ({ ...bundledKb, meta: { ...bundledKb.meta, ...meta } });
+const newer = withMeta({ last_updated: "2026-03-01" });
+
+// Stub fetch: answers every request with `reply` and records the request headers
+function stubFetch(reply) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, headers: init.headers });
+    if (reply instanceof Error) throw reply;
+    const { status = 200, body = null, headers = {} } = reply;
+    return {
+      status,
+      ok: status >= 200 && status < 300,
+      headers: { get: name => headers[name] ?? null },
+      json: async () => body
+    };
+  };
+  return { fetchImpl, calls };
+}
+
+const cacheEntry = store => JSON.parse(store.getItem(STORAGE_KEYS.kbCache));
+
+describe("refreshKnowledgeBase", () => {
+  it("keeps the bundled KB when no URL is configured", async () => {
+    const { fetchImpl, calls } = stubFetch({ body: newer });
+    const res = await refreshKnowledgeBase({ url: "", fetchImpl, store: memoryStorage() });
+    expect(res.source).toBe("bundled");
+    expect(calls).toEqual([]);
+  });
+
+  it("downloads, validates and caches a newer KB with its ETag and Last-Modified", async () => {
+    const store = memoryStorage();
+    const { fetchImpl, calls } = stubFetch({
+      body: newer,
+      headers: { ETag: '"v42"', "Last-Modified": "Sun, 01 Mar 2026 00:00:00 GMT" }
+    });
+    const res = await refreshKnowledgeBase({ url: URL, fetchImpl, store, now: NOW });
+
+    expect(res).toMatchObject({ source: "remote", lastUpdated: "2026-03-01", fetchedAt: NOW });
+    expect(calls).toEqual([{ url: URL, headers: {} }]);
+    expect(cacheEntry(store)).toMatchObject({ etag: '"v42"', lastModified: "Sun, 01 Mar 2026 00:00:00 GMT", fetchedAt: NOW });
+    expect(initialKnowledgeBase({ store }).source).toBe("cache");
+  });
+
+  it("sends the cached ETag and Last-Modified, and reuses the cache on 304", async () => {
+    const store = memoryStorage();
+    await refreshKnowledgeBase({
+      url: URL,
+      store,
+      now: NOW,
+      fetchImpl: stubFetch({ body: newer, headers: { ETag: '"v42"', "Last-Modified": "Sun, 01 Mar 2026 00:00:00 GMT" } }).fetchImpl
+    });
+
+    const later = NOW + 60_000;
+    const { fetchImpl, calls } = stubFetch({ status: 304 });
+    const res = await refreshKnowledgeBase({ url: URL, fetchImpl, store, now: later });
+
+    expect(calls[0].headers).toEqual({ "If-None-Match": '"v42"', "If-Modified-Since": "Sun, 01 Mar 2026 00:00:00 GMT" });
+    expect(res).toMatchObject({ source: "cache", lastUpdated: "2026-03-01", fetchedAt: later });
+    expect(res.kb).toEqual(newer);
+    expect(cacheEntry(store).fetchedAt).toBe(later);
+  });
+
+  it("falls back to the bundled KB when the download fails validation", async () => {
+    const store = memoryStorage();
+    const invalid = { ...newer, schemes: [{ ...newer.schemes[0], id: undefined }] };
+    const { fetchImpl } = stubFetch({ body: invalid });
+    const res = await refreshKnowledgeBase({ url: URL, fetchImpl, store, now: NOW });
+
+    expect(res.source).toBe("bundled");
+    expect(res.kb).toBe(bundledKb);
+    expect(res.error).toMatch(/failed validation/);
+    expect(store.getItem(STORAGE_KEYS.kbCache)).toBeNull();
+  });
+
+  it("rejects a remote KB older than the bundled one", async () => {
+    const store = memoryStorage();
+    const { fetchImpl } = stubFetch({ body: withMeta({ last_updated: "2025-06-30" }) });
+    const res = await refreshKnowledgeBase({ url: URL, fetchImpl, store, now: NOW });
+
+    expect(res).toMatchObject({ source: "bundled", error: "remote KB is older than the bundled copy" });
+    expect(store.getItem(STORAGE_KEYS.kbCache)).toBeNull();
+  });
+
+  it("keeps using the cached copy when the server can't be reached", async () => {
+    const store = memoryStorage({ [STORAGE_KEYS.kbCache]: JSON.stringify({ kb: newer, etag: '"v42"', fetchedAt: NOW }) });
+    const { fetchImpl } = stubFetch(new Error("Failed to fetch"));
+    const res = await refreshKnowledgeBase({ url: URL, fetchImpl, store, now: NOW });
+
+    expect(res).toMatchObject({ source: "cache", lastUpdated: "2026-03-01", error: "Failed to fetch" });
+  });
+});
+
+describe("initialKnowledgeBase", () => {
+  it("ignores a cached copy that is older than the bundle, invalid or unreadable", () => {
+    const cached = kb => memoryStorage({ [STORAGE_KEYS.kbCache]: JSON.stringify({ kb }) });
+    expect(initialKnowledgeBase({ store: cached(withMeta({ last_updated: "2025-01-01" })) }).source).toBe("bundled");
+    expect(initialKnowledgeBase({ store: cached({ ...newer, schemes: "none" }) }).source).toBe("bundled");
+    expect(initialKnowledgeBase({ store: memoryStorage({ [STORAGE_KEYS.kbCache]: "{not json" }) }).source).toBe("bundled");
+  });
+});
+
+describe("isNotOlder", () => {
+  it.each([
+    [{ last_updated: "2026-03-01" }, { last_updated: "2026-01-28" }, true],
+    [{ last_updated: "2026-01-28" }, { last_updated: "2026-01-28" }, true],
+    [{ last_updated: "2025-12-31" }, { last_updated: "2026-01-28" }, false],
+    [{ last_updated: "2026-01-28", version: "10" }, { last_updated: "2026-01-28", version: "9" }, true],
+    [{ last_updated: "2026-01-28" }, { last_updated: "2026-01-28", version: "2" }, false],
+    [{}, { last_updated: "2026-01-28" }, false]
+  ])("%j vs %j -> %s", (a, b, expected) => {
+    expect(isNotOlder({ meta: a }, { meta: b })).toBe(expected);
+  });
+});
+
+describe("kbStaleness", () => {
+  const day = 24 * 60 * 60 * 1000;
+  const updated = Date.parse("2026-01-01T00:00:00Z");
+
+  it("is stale only once the age passes the threshold", () => {
+    const meta = { last_updated: "2026-01-01" };
+    expect(kbStaleness(meta, { now: updated + 180 * day, days: 180 })).toEqual({ lastUpdated: "2026-01-01", ageDays: 180, stale: false });
+    expect(kbStaleness(meta, { now: updated + 181 * day, days: 180 })).toEqual({ lastUpdated: "2026-01-01", ageDays: 181, stale: true });
+    expect(kbStaleness(meta, { now: updated + 31 * day, days: 30 }).stale).toBe(true);
+  });
+
+  it("defaults to 180 days", () => {
+    const meta = { last_updated: "2026-01-01" };
+    expect(kbStaleness(meta, { now: updated + 180 * day }).stale).toBe(false);
+    expect(kbStaleness(meta, { now: updated + 181 * day }).stale).toBe(true);
+  });
+
+  it("can't tell without a valid last_updated", () => {
+    expect(kbStaleness({}, { now: updated })).toEqual({ lastUpdated: null, ageDays: null, stale: false });
+    expect(kbStaleness({ last_updated: "soon" }, { now: updated })).toEqual({ lastUpdated: "soon", ageDays: null, stale: false });
+  });
+});
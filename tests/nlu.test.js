@@ -0,0 +1,76 @@
+// NLU providers: the shared interface, a held-out comparison of the two, and a stale-model check
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it, expect, afterEach } from "vitest";
+
+import { NLU_PROVIDERS, loadNluProvider, setNluProvider, configureNluProvider, getNluProvider } from "../src/utils/nlu";
+import { trainNaiveBayes, kbTrainingExamples } from "../src/utils/nluBayes";
+import { DOMAIN } from "../src/utils/domains";
+import { detectNeeds } from "../src/utils/dialogEngine";
+import model from "../src/data/nlu_model.json" with { type: "json" };
+import kb from "../src/data/sg_services_kb.json" with { type: "json" };
+import training from "../src/data/nlu_utterances.json" with { type: "json" };
+
+const EVAL = JSON.parse(fs.readFileSync(path.join(import.meta.dirname, "fixtures", "nlu_eval.json"), "utf8"));
+
+// Top-1 accuracy on the held-out set must not drop below these (raise them as the providers improve)
+const MIN_ACCURACY = { regex: 0.6, bayes: 0.8 };
+
+const DOMAIN_IDS = DOMAIN.map(d => d.id);
+
+function accuracy(provider) {
+  const ok = EVAL.utterances.filter(u => (provider.classify(u.text, u.lang).domains[0]?.id || "none") === u.label);
+  return ok.length / EVAL.utterances.length;
+}
+
+describe.each(NLU_PROVIDERS)("NLU provider %s", async name => {
+  const provider = await loadNluProvider(name);
+
+  it("returns known domains with confidences in 0..1, strongest first", () => {
+    for (const text of ["I lost my job and can't pay rent", "我需要医疗费用帮助", "hello", ""]) {
+      const { domains, slots } = provider.classify(text, "en");
+      expect(slots).toBeTypeOf("object");
+      for (const d of domains) {
+        expect(DOMAIN_IDS).toContain(d.id);
+        expect(d.confidence).toBeGreaterThan(0);
+        expect(d.confidence).toBeLessThanOrEqual(1);
+      }
+      const confidences = domains.map(d => d.confidence);
+      expect(confidences).toEqual([...confidences].sort((a, b) => b - a));
+    }
+  });
+
+  it("finds nothing in small talk", () => {
+    expect(provider.classify("hello", "en").domains).toEqual([]);
+    expect(provider.classify("谢谢", "zh").domains).toEqual([]);
+  });
+
+  it(`gets at least ${MIN_ACCURACY[name] * 100}% of the held-out utterances right`, () => {
+    expect(accuracy(provider)).toBeGreaterThanOrEqual(MIN_ACCURACY[name]);
+  });
+});
+
+describe("configured provider", () => {
+  afterEach(() => setNluProvider(null));
+
+  it("is what the engine uses to detect needs", () => {
+    setNluProvider({ kind: "fixed", classify: () => ({ domains: [{ id: "legal", confidence: 0.9 }], slots: {} }) });
+    expect(detectNeeds("anything at all")).toEqual(["legal"]);
+    setNluProvider(null);
+    expect(detectNeeds("I need help with housing")).toEqual(["housing"]);
+  });
+
+  it("loads the named provider, and keeps regex for unknown names", async () => {
+    await expect(loadNluProvider("gpt")).rejects.toThrow(/Unknown NLU provider/);
+    expect((await configureNluProvider("gpt")).kind).toBe("regex");
+    expect((await configureNluProvider("bayes")).kind).toBe("bayes");
+    expect(getNluProvider().kind).toBe("bayes");
+  });
+});
+
+describe("bundled model", () => {
+  it("is up to date with the utterances and the KB (run npm run nlu:train)", () => {
+    const fresh = trainNaiveBayes([...training.utterances, ...kbTrainingExamples(kb, DOMAIN)]);
+    expect(model).toEqual(JSON.parse(JSON.stringify(fresh)));
+  });
+});
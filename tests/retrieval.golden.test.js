@@ -0,0 +1,36 @@
+// Retrieval golden corpus: English and Chinese queries with hand-written expectations for their top 3
+// (the top result, schemes that must / must not show up). The expectations say what a good answer is;
+// they are never regenerated from the current ranking, so a change that makes an answer worse fails here.
+// Rankings that are still wrong are listed with a `knownFailure` reason and skipped until they are fixed.
+import { describe, it, expect } from "vitest";
+
+import en from "./golden/retrieval.en.json" with { type: "json" };
+import zh from "./golden/retrieval.zh.json" with { type: "json" };
+import { searchSchemes } from "../src/utils/dialogEngine";
+
+const GOLDEN = { en, zh };
+const TOP_N = 3;
+
+function top(entry) {
+  return searchSchemes(entry.query, { domainId: entry.domainId || null, limit: TOP_N });
+}
+
+describe.each(Object.keys(GOLDEN))("retrieval golden %s", lang => {
+  GOLDEN[lang].entries.forEach(entry => {
+    const name = `${entry.query} (${entry.domainId})`;
+    const test = entry.knownFailure ? it.skip : it;
+
+    test(entry.knownFailure ? `${name}: known failure, ${entry.knownFailure}` : name, () => {
+      const ids = top(entry);
+      if (entry.first) expect(ids[0]).toBe(entry.first);
+      (entry.inTop3 || []).forEach(id => expect(ids).toContain(id));
+      (entry.notInTop3 || []).forEach(id => expect(ids).not.toContain(id));
+    });
+  });
+
+  it("says what every entry expects", () => {
+    GOLDEN[lang].entries.forEach(entry => {
+      expect(entry.first || entry.inTop3?.length, entry.query).toBeTruthy();
+    });
+  });
+});
@@ -0,0 +1,62 @@
+// Conversation safety: which phrasings the lexicon catches, and how triggers add up over a conversation
+import { describe, it, expect } from "vitest";
+
+import lexicon from "../src/data/safety_lexicon.json" with { type: "json" };
+import { scanText, assessTurn, initSafetyState } from "../src/utils/safety";
+
+const ids = text => scanText(text).map(h => h.id);
+
+describe("scanText", () => {
+  it.each([
+    "my husband hits me",
+    "My husband hit me last night",
+    "he beats me",
+    "he beats me up when he is drunk",
+    "She slapped me again",
+    "my ex-boyfriend keeps hitting me",
+    "my son has been abusing me",
+    "my daughter-in-law kicked me",
+    "they punched me",
+    "I was beaten by my father"
+  ])("family violence: %s", text => {
+    expect(ids(text)).toContain("en.being_hit");
+  });
+
+  it.each([
+    ["suami saya pukul saya", "ms.being_hit"],
+    ["saya selalu dipukul", "ms.being_hit"],
+    ["saya tak selamat di rumah", "ms.unsafe_at_home"],
+    ["dia ugut nak bunuh saya", "ms.threatened"],
+    ["என் கணவர் என்னை அடிக்கிறார்", "ta.being_hit"],
+    ["வீட்டில் பாதுகாப்பு இல்லை", "ta.unsafe_at_home"],
+    ["老公打我", "zh.being_hit"]
+  ])("%s -> %s", (text, id) => {
+    expect(ids(text)).toContain(id);
+  });
+
+  it("leaves everyday uses of the same words alone", () => {
+    expect(ids("the hospital bill hits me hard every month")).toEqual([]);
+    expect(ids("my back hurts")).toEqual([]);
+    expect(ids("keadaan kecemasan")).toEqual(["ms.urgent"]);
+  });
+});
+
+describe("assessTurn", () => {
+  it("answers a family-violence disclosure with the safety message", () => {
+    const { safety, response } = assessTurn(initSafetyState(), "my husband hits me");
+    expect(response).toBe("sensitive");
+    expect(safety.level).toBe("elevated");
+  });
+});
+
+describe("safety_lexicon.json", () => {
+  it("says how complete each language's list is", () => {
+    expect(Object.keys(lexicon.coverage).sort()).toEqual(Object.keys(lexicon.languages).sort());
+  });
+
+  it("keeps trigger ids unique and prefixed with their language", () => {
+    const all = Object.entries(lexicon.languages).flatMap(([lang, entries]) => entries.map(e => [lang, e.id]));
+    expect(new Set(all.map(([, id]) => id)).size).toBe(all.length);
+    all.forEach(([lang, id]) => expect(id.startsWith(`${lang}.`)).toBe(true));
+  });
+});
@@ -0,0 +1,43 @@
+// Data kept on the device: "Clear my data" wipes the user's data but never escalation tickets or staff KB drafts
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+
+import { clearAllData } from "../src/utils/sessionStore";
+import { STORAGE_KEYS, CLEARED_KEYS, KEPT_KEYS } from "../src/utils/storage";
+
+function memoryStorage(entries = {}) {
+  const map = new Map(Object.entries(entries));
+  return {
+    getItem: k => (map.has(k) ? map.get(k) : null),
+    setItem: (k, v) => map.set(k, String(v)),
+    removeItem: k => map.delete(k),
+    keys: () => [...map.keys()].sort()
+  };
+}
+
+let saved;
+beforeEach(() => {
+  saved = Object.getOwnPropertyDescriptor(globalThis, "localStorage");
+});
+afterEach(() => {
+  if (saved) Object.defineProperty(globalThis, "localStorage", saved);
+  else delete globalThis.localStorage;
+});
+
+describe("clearAllData", () => {
+  it("removes the user's data, keeps tickets, the staff KB draft and other sites' keys", () => {
+    const store = memoryStorage({
+      ...Object.fromEntries(Object.values(STORAGE_KEYS).map(k => [k, "[]"])),
+      "other.app": "1"
+    });
+    Object.defineProperty(globalThis, "localStorage", { value: store, configurable: true });
+
+    clearAllData();
+    expect(store.keys()).toEqual(
+      ["other.app", STORAGE_KEYS.adminDraft, STORAGE_KEYS.ticketOutbox, STORAGE_KEYS.ticketQueue].sort()
+    );
+  });
+
+  it("decides for every key whether it is cleared or kept", () => {
+    expect([...CLEARED_KEYS, ...KEPT_KEYS].sort()).toEqual(Object.values(STORAGE_KEYS).sort());
+  });
+});
@@ -0,0 +1,69 @@
+// Household facts from free text: extraction (EN/ZH), the profile they make, and how they rank schemes
+import { describe, it, expect } from "vitest";
+
+import { extractSlots, mergeSlots, parseCount, slotsToProfile, slotsToScreenAnswers } from "../src/utils/slots";
+import { searchSchemes } from "../src/utils/dialogEngine";
+
+describe("extractSlots", () => {
+  it.each([
+    ["I'm 67, living alone in a 2-room HDB flat, earning $800",
+      { age: 67, household_size: 1, housing: "hdb_1_2", income: { amount: 800, scope: null } }],
+    ["We are a family of four, household income of $4,800, staying in a 4-room flat",
+      { household_size: 4, housing: "hdb_3_4", income: { amount: 4800, scope: "household" } }],
+    ["single mum with two kids, my salary is only 1.5k", { dependants: 2, income: { amount: 1500, scope: null } }],
+    ["I'm a PR, 45 years old, annual income $36,000", { citizenship: "PR", age: 45, income: { amount: 3000, scope: null } }],
+    ["I lost my job, no income now and we rent a flat from HDB", { income: { amount: 0, scope: null }, housing: "hdb_rental" }],
+    ["我今年六十七岁，独居，住在两房式组屋，月入800元", { age: 67, household_size: 1, housing: "hdb_1_2", income: { amount: 800, scope: null } }],
+    ["一家四口，家庭收入三千，我是新加坡公民", { household_size: 4, citizenship: "SC", income: { amount: 3000, scope: "household" } }],
+    ["我有两个孩子，住在租赁组屋", { dependants: 2, housing: "hdb_rental" }]
+  ])("%s", (text, expected) => {
+    expect(extractSlots(text)).toEqual(expected);
+  });
+
+  it("ignores amounts that aren't income and numbers that aren't ages", () => {
+    expect(extractSlots("I can't pay my $800 electricity bill")).toEqual({});
+    expect(extractSlots("I'm 5 months behind on rent")).toEqual({});
+    expect(extractSlots("")).toEqual({});
+  });
+
+  it("reads English and Chinese counts", () => {
+    expect([parseCount("4"), parseCount("four"), parseCount("十"), parseCount("十五"), parseCount("六十七")]).toEqual([4, 4, 10, 15, 67]);
+    expect(parseCount("many")).toBeNull();
+  });
+
+  it("lets later mentions replace earlier ones", () => {
+    expect(mergeSlots({ household_size: 3, age: 40 }, { household_size: 4 })).toEqual({ household_size: 4, age: 40 });
+  });
+});
+
+describe("slotsToProfile", () => {
+  it("divides household income by the household size", () => {
+    expect(slotsToProfile({ household_size: 4, income: { amount: 4800, scope: "household" } }))
+      .toEqual({ household_size: [4, 4], pc_income: [1200, 1200] });
+  });
+
+  it("only bounds per-person income when the household size isn't known", () => {
+    const profile = slotsToProfile({ dependants: 2, income: { amount: 1500, scope: null } });
+    expect(profile).toEqual({ household_size: [3, null], pc_income: [0, 500] });
+    expect(slotsToScreenAnswers({ dependants: 2, income: { amount: 1500, scope: null } })).toEqual({});
+  });
+
+  it("answers screener questions with exact values", () => {
+    expect(slotsToScreenAnswers({ age: 67, citizenship: "SC", housing: "hdb_1_2" }))
+      .toEqual({ age: [67, 67], citizenship: "SC", housing: "hdb_1_2" });
+  });
+});
+
+describe("ranking with slots", () => {
+  it("moves schemes the household likely qualifies for up", () => {
+    const slots = extractSlots("I'm 67, a Singaporean living alone in a 2-room HDB flat, earning $800");
+    const plain = searchSchemes("cash", { domainId: "financial", limit: 5 });
+    const ranked = searchSchemes("cash", { domainId: "financial", limit: 5, slots });
+    expect(ranked.indexOf("comcare_smta")).toBeLessThan(plain.indexOf("comcare_smta"));
+    expect([...ranked].sort()).toEqual([...plain].sort());
+  });
+
+  it("keeps the plain ranking without slots", () => {
+    expect(searchSchemes("clinic", { domainId: "healthcare", slots: {} })).toEqual(searchSchemes("clinic", { domainId: "healthcare" }));
+  });
+});
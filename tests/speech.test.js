@@ -0,0 +1,102 @@
+// Voice input and read-aloud through the mock speech provider: a finished transcript is a user turn,
+// and what is read aloud is the message and its cards in the conversation's language
+import { describe, it, expect, afterEach } from "vitest";
+
+import {
+  createMockSpeechProvider, setSpeechProvider, getSpeechProvider, messageSpeechText, splitForSpeech
+} from "../src/utils/speech";
+import { initDialogState, handleUserText, handleAction } from "../src/utils/dialogEngine";
+import { t } from "../src/utils/i18n";
+
+// Push-to-talk as the chat wires it: the transcript from onEnd goes through handleUserText, then the reply is read
+function voiceTurn(state, words, { final = true } = {}) {
+  const speech = getSpeechProvider();
+  const turn = { interim: [], state, message: null };
+  const session = speech.listen({
+    lang: state.lang,
+    onInterim: text => turn.interim.push(text),
+    onEnd: transcript => {
+      if (!transcript.trim()) return;
+      ({ state: turn.state, message: turn.message } = handleUserText(turn.state, transcript.trim()));
+      speech.speak(messageSpeechText(turn.message, turn.state.lang), { lang: turn.state.lang });
+    }
+  });
+  speech.hear(words, { final });
+  if (!final) session.stop();
+  return turn;
+}
+
+afterEach(() => setSpeechProvider(null));
+
+describe("voice input", () => {
+  it("sends a finished transcript to the dialog engine as a user turn", () => {
+    const speech = createMockSpeechProvider();
+    setSpeechProvider(speech);
+
+    const turn = voiceTurn(initDialogState("en"), "I need help with housing");
+    expect(turn.interim).toEqual(["I need help with housing"]);
+    expect(turn.state.domainId).toBe("housing");
+    expect(turn.state.step).toBe("choose_focus");
+    expect(speech.listening).toBe(false);
+  });
+
+  it("ends the turn when the button is released mid-sentence", () => {
+    setSpeechProvider(createMockSpeechProvider());
+    const turn = voiceTurn(initDialogState("zh"), "我需要医疗费用帮助", { final: false });
+    expect(turn.state.domainId).toBe("healthcare");
+  });
+
+  it("sends nothing when recognition fails", () => {
+    const speech = createMockSpeechProvider();
+    setSpeechProvider(speech);
+    const ended = [];
+    speech.listen({ onEnd: transcript => ended.push(transcript) });
+    speech.fail();
+    expect(ended).toEqual([""]);
+    expect(speech.spoken).toEqual([]);
+  });
+});
+
+describe("read-aloud", () => {
+  it("reads the reply in the conversation's language", () => {
+    const speech = createMockSpeechProvider();
+    setSpeechProvider(speech);
+
+    const { message } = voiceTurn(initDialogState("zh"), "我需要医疗费用帮助");
+    expect(speech.spoken).toEqual([{ text: message.text, lang: "zh" }]);
+  });
+
+  it("reads each card's title, summary and the sections for the chosen focus", () => {
+    let { state } = handleUserText(initDialogState("zh"), "我需要医疗费用帮助");
+    ({ state } = handleAction(state, { type: "SET_FOCUS", focus: "overview" }));
+    const { message } = handleUserText(state, "门诊 补贴");
+    const [card] = message.cards;
+    expect(card).toBeTruthy();
+
+    const text = messageSpeechText(message, "zh");
+    expect(text.startsWith(message.text)).toBe(true);
+    expect(text).toContain(card.title);
+    expect(text).toContain(card.summary);
+    expect(text).toContain(`${t("zh", "eligibility")}:`);
+    expect(text).toContain(`${t("zh", "howToApply")}:`);
+    expect(text).not.toContain(t("en", "eligibility"));
+    card.links.forEach(link => expect(text).not.toContain(link));
+  });
+
+  it("switches the section labels with the language", () => {
+    const card = { title: "MediFund", summary: "Help with medical bills.", eligibility: ["Assessed by the hospital."], steps: [], links: [] };
+    expect(messageSpeechText({ text: "", cards: [card] }, "ms")).toContain(`${t("ms", "eligibility")}:`);
+    expect(messageSpeechText({ text: "", cards: [card] }, "en")).toContain(`${t("en", "eligibility")}:`);
+  });
+});
+
+describe("splitForSpeech", () => {
+  it("keeps chunks short enough for the browser to read to the end", () => {
+    const long = Array.from({ length: 30 }, (_, i) => `Sentence number ${i} is here.`).join(" ");
+    const chunks = splitForSpeech(long);
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(c => expect(c.length).toBeLessThanOrEqual(200));
+    expect(chunks.join(" ")).toBe(long);
+    expect(splitForSpeech("第一句。第二句！")).toEqual(["第一句。 第二句！"]);
+  });
+});
@@ -0,0 +1,77 @@
+// Headless engine: the plain-Node entry point and the text conversations behind `npm run chat`
+import { describe, it, expect } from "vitest";
+import { execFileSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+import { createTextChat, formatMessage } from "../src/utils/textChat";
+import { getInitialAssistantMessage } from "../src/utils/dialogEngine";
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+
+describe("engine entry point", () => {
+  it("loads and answers in plain Node, without Vite", () => {
+    const script = `
+      import { initDialogState, handleUserText, loadNluProvider, setNluProvider } from "./src/engine.js";
+      setNluProvider(await loadNluProvider("bayes"));
+      const { state } = handleUserText(initDialogState("en"), "I need help with housing");
+      console.log(state.step + " " + state.domainId);
+    `;
+    const out = execFileSync(process.execPath, ["--input-type=module", "-e", script], { cwd: root, encoding: "utf8" });
+    expect(out.trim()).toBe("choose_focus housing");
+  });
+});
+
+describe("formatMessage", () => {
+  it("numbers the quick replies", () => {
+    const text = formatMessage(getInitialAssistantMessage("en"), "en");
+    expect(text).toContain("\n\n1) Financial\n2) Housing\n");
+    expect(text).toMatch(/12\) End$/);
+  });
+});
+
+describe("createTextChat", () => {
+  it("takes quick-reply numbers, typed text and card commands", () => {
+    const chat = createTextChat();
+    chat.input("2");
+    expect(chat.state).toMatchObject({ step: "choose_focus", domainId: "housing" });
+
+    chat.input("I'm looking for a public rental flat");
+    const shown = chat.state.shownSchemeIds;
+    expect(shown.length).toBeGreaterThan(0);
+
+    const details = chat.input("/details 1");
+    expect(details).toContain(`[1] `);
+    expect(details).toContain(`(${shown[0]})`);
+
+    expect(chat.input("/details 9")).toMatch(/^No card "9"/);
+    expect(chat.input("/dance")).toMatch(/^Unknown command \/dance/);
+  });
+
+  it("sends numbers beyond the quick replies as text", () => {
+    const chat = createTextChat();
+    chat.input("I need help with housing");
+    chat.input("/action {\"type\":\"SCREEN_START\"}");
+    chat.input("1");
+    expect(chat.state.profile).toMatchObject({ citizenship: "SC" });
+    // the age question: 67 isn't one of its options, so it goes in as a typed answer
+    const reply = chat.input("67");
+    expect(reply).toContain("Please tap one of the options below");
+    expect(chat.state.step).toBe("screening");
+  });
+
+  it("re-renders the last message after a language switch and traces routing on request", () => {
+    const chat = createTextChat({ trace: true });
+    expect(chat.input("I need help with housing")).toMatch(/^· step choose_domain -> choose_focus \| domain housing \| needs housing/);
+    const zh = chat.input("/lang zh");
+    expect(zh).toContain("住房");
+    expect(chat.state.lang).toBe("zh");
+  });
+
+  it("replays conversation fixture turns", () => {
+    const chat = createTextChat({ lang: "en" });
+    chat.turn({ user: "I need help with housing" });
+    chat.turn({ chip: "eligibility" });
+    expect(chat.state).toMatchObject({ step: "refine_and_show", focus: "eligibility" });
+    expect(chat.turn({ chip: "nope" })).toMatch(/^No quick reply "nope" \(offered: /);
+  });
+});
@@ -0,0 +1,98 @@
+// Embeddable widget: element attributes, events for the host page, and conversations limited to some domains
+import { describe, it, expect, vi } from "vitest";
+
+import { widgetOptions, hostEvents, postHostEvent, HOST_EVENT_SOURCE } from "../src/utils/widget";
+import {
+  initDialogState, handleUserText, handleAction, getInitialAssistantMessage, renderMessage
+} from "../src/utils/dialogEngine";
+
+const attrs = values => name => values[name] ?? null;
+const topicIds = message => message.quickReplies.filter(q => q.action.type === "SET_DOMAIN").map(q => q.action.domainId);
+
+describe("widgetOptions", () => {
+  it("reads language, starting domain and allowed domains", () => {
+    expect(widgetOptions(attrs({ lang: "zh", domain: "seniors", domains: "seniors, healthcare,seniors", open: "" }))).toEqual({
+      lang: "zh", domain: "seniors", allowedDomains: ["seniors", "healthcare"], open: true
+    });
+    expect(widgetOptions(attrs({}))).toEqual({ lang: "en", domain: null, allowedDomains: null, open: false });
+  });
+
+  it("ignores unknown values and a starting domain outside the allowed ones", () => {
+    expect(widgetOptions(attrs({ lang: "fr", domain: "pets", domains: "pets,astrology" }))).toMatchObject({
+      lang: "en", domain: null, allowedDomains: null
+    });
+    expect(widgetOptions(attrs({ domain: "housing", domains: "seniors", open: "false" }))).toMatchObject({
+      domain: null, allowedDomains: ["seniors"], open: false
+    });
+  });
+});
+
+describe("hostEvents", () => {
+  const state = { ...initDialogState("en"), step: "refine_and_show", domainId: "seniors", needs: ["seniors"] };
+
+  it("reports escalations, viewed schemes and the end of the conversation", () => {
+    const escalate = handleAction(state, { type: "ESCALATE" });
+    expect(hostEvents(state, escalate.state, escalate.message, { action: { type: "ESCALATE" } })).toEqual([
+      { type: "ESCALATE", stage: "opened", domainId: "seniors" }
+    ]);
+
+    const urgent = handleAction(state, { type: "URGENT" });
+    expect(urgent.state.domainId).toBeNull();
+    expect(hostEvents(state, urgent.state, urgent.message, { action: { type: "URGENT" } })).toEqual([
+      { type: "ESCALATE", stage: "urgent", domainId: "seniors" }
+    ]);
+
+    const ticket = { type: "TICKET_CREATED", ref: "SGA-1234", queued: true };
+    const created = handleAction(state, ticket);
+    expect(hostEvents(state, created.state, created.message, { action: ticket })).toEqual([
+      { type: "ESCALATE", stage: "ticket_queued", domainId: "seniors", ticketRef: "SGA-1234" }
+    ]);
+
+    const show = { type: "SHOW_SCHEME", schemeId: "silver_support" };
+    const viewed = handleAction(state, show);
+    expect(hostEvents(state, viewed.state, viewed.message, { action: show })).toEqual([
+      { type: "SCHEME_VIEWED", schemeId: "silver_support", domainId: "seniors" }
+    ]);
+
+    const end = handleAction(state, { type: "END" });
+    expect(hostEvents(state, end.state, end.message, { action: { type: "END" } })).toEqual([{ type: "END", domainId: "seniors" }]);
+  });
+
+  it("sends nothing for ordinary turns, and never what the user typed", () => {
+    const typed = handleUserText(state, "my name is Tan, call me at 91234567");
+    expect(hostEvents(state, typed.state, typed.message, { text: "my name is Tan, call me at 91234567" })).toEqual([]);
+  });
+
+  it("posts events tagged with the widget source", () => {
+    const target = { postMessage: vi.fn() };
+    postHostEvent({ type: "END", domainId: null }, { widgetId: "w1", target });
+    expect(target.postMessage).toHaveBeenCalledWith({ source: HOST_EVENT_SOURCE, widgetId: "w1", type: "END", domainId: null }, "*");
+  });
+});
+
+describe("conversations limited to some domains", () => {
+  const allowedDomains = ["seniors", "healthcare"];
+
+  it("only offers the allowed topics (in the usual order), also after a restart and a language switch", () => {
+    const welcome = getInitialAssistantMessage("en", { allowedDomains });
+    expect(topicIds(welcome)).toEqual(["healthcare", "seniors"]);
+    expect(topicIds(renderMessage(welcome.desc, "zh"))).toEqual(["healthcare", "seniors"]);
+
+    const state = initDialogState("en", { allowedDomains });
+    const restarted = handleAction(handleAction(state, { type: "SET_DOMAIN", domainId: "seniors" }).state, { type: "RESTART" });
+    expect(restarted.state.allowedDomains).toEqual(allowedDomains);
+    expect(topicIds(restarted.message)).toEqual(["healthcare", "seniors"]);
+
+    expect(topicIds(getInitialAssistantMessage("en"))).toHaveLength(10);
+  });
+
+  it("doesn't pick up needs outside the allowed domains from free text", () => {
+    const state = initDialogState("en", { allowedDomains });
+    const housing = handleUserText(state, "I need help with housing");
+    expect(housing.state.needs).toEqual([]);
+    expect(topicIds(housing.message)).toEqual(["healthcare", "seniors"]);
+
+    const mixed = handleUserText(state, "I need help with housing and my medical bills");
+    expect(mixed.state.needs).toEqual(["healthcare"]);
+  });
+});
@@ -1,8 +1,26 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import serviceWorker from './scripts/serviceWorkerPlugin.js'
 
-// https://vite.dev/config/
-export default defineConfig({
+// Embeddable widget (`vite build --mode widget`): one ES module defining <sg-assistant>, for partner agency
+// pages (see src/widgetMain.jsx). Chunks loaded on demand (e.g. the NLU model) sit next to it.
+const widget = {
   plugins: [react()],
+  publicDir: false,
+  // library builds leave process.env alone, and React reads NODE_ENV from it
+  define: { 'process.env.NODE_ENV': JSON.stringify('production') },
+  build: {
+    outDir: 'dist-widget',
+    lib: {
+      entry: 'src/widgetMain.jsx',
+      formats: ['es'],
+      fileName: () => 'sg-assistant.js',
+    },
+  },
+}
+
+// https://vite.dev/config/
+export default defineConfig(({ mode }) => mode === 'widget' ? widget : {
+  plugins: [react(), serviceWorker()],
   base: "/social-good-assistant/"
 })